@@ -0,0 +1,68 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+import { EventEmitter } from 'events';
+/**
+ * A signal passed to the Drive operations to cancel them.
+ * It emits `abort` event when the operation is cancelled.
+ */
+export class DriveAbortSignal extends EventEmitter {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+    /**
+     * Whether the operation was cancelled.
+     * @type {Boolean}
+     */
+    this.aborted = false;
+  }
+}
+/**
+ * Cancels Drive operations.
+ * It follows the DOM's `AbortController` interface, which is not available
+ * in the main process.
+ *
+ * ```javascript
+ * const controller = new DriveAbortController();
+ * drive.downloadToFile(id, file, auth, { signal: controller.signal });
+ * controller.abort();
+ * ```
+ */
+export class DriveAbortController {
+  /**
+   * @constructor
+   */
+  constructor() {
+    /**
+     * The signal to pass to the operation.
+     * @type {DriveAbortSignal}
+     */
+    this.signal = new DriveAbortSignal();
+  }
+  /**
+   * Cancels the operation.
+   */
+  abort() {
+    const { signal } = this;
+    if (signal.aborted) {
+      return;
+    }
+    signal.aborted = true;
+    signal.emit('abort');
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+import { app } from 'electron';
+import fs from 'fs';
+import path from 'path';
+/**
+ * A store of Google accounts signed in to the Drive library.
+ *
+ * The list of accounts (`id`, `email` and `name`) and the default account are
+ * stored in a file in the application's `userData` directory. Access tokens
+ * are kept in memory only.
+ */
+export class DriveAccounts {
+  /**
+   * @param {?Object} opts Store options:
+   * - `file` Location of the accounts file. Default to
+   * `google-drive-accounts.json` in the application's `userData` directory.
+   * Set to `false` to keep the accounts in memory only.
+   */
+  constructor(opts) {
+    if (!opts) {
+      opts = {};
+    }
+    /**
+     * Location of the accounts file or `false` when the list is not stored.
+     */
+    this.file = opts.file;
+    /**
+     * ID of the default account.
+     * @type {String|undefined}
+     */
+    this.defaultId = undefined;
+    this._accounts = [];
+  }
+  /**
+   * @return {String|undefined} Location of the accounts file.
+   */
+  _getFile() {
+    if (this.file === false) {
+      return;
+    }
+    if (this.file) {
+      return this.file;
+    }
+    return path.join(app.getPath('userData'), 'google-drive-accounts.json');
+  }
+  /**
+   * Reads accounts from the accounts file.
+   * The file is read only once.
+   * @return {Promise}
+   */
+  restore() {
+    if (!this._restore) {
+      this._restore = this._read();
+    }
+    return this._restore;
+  }
+  /**
+   * Reads the accounts file.
+   * @return {Promise}
+   */
+  async _read() {
+    const file = this._getFile();
+    if (!file) {
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (_) {
+      return;
+    }
+    if (!data || !(data.accounts instanceof Array)) {
+      return;
+    }
+    data.accounts.forEach((item) => {
+      if (!this.get(item.id)) {
+        this._accounts.push({
+          id: item.id,
+          email: item.email,
+          name: item.name,
+        });
+      }
+    });
+    if (!this.defaultId && this.get(data.defaultId)) {
+      this.defaultId = data.defaultId;
+    }
+  }
+  /**
+   * Stores the accounts in the accounts file.
+   * @return {Promise}
+   */
+  async store() {
+    const file = this._getFile();
+    if (!file) {
+      return;
+    }
+    const data = JSON.stringify({
+      defaultId: this.defaultId,
+      accounts: this._accounts.map((item) => ({
+        id: item.id,
+        email: item.email,
+        name: item.name,
+      })),
+    });
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data);
+  }
+  /**
+   * @param {String} id Account ID
+   * @return {Object|undefined} Account object with `id`, `email`, `name`,
+   * `token` and `authConfig` properties.
+   */
+  get(id) {
+    return this._accounts.find((item) => item.id === id);
+  }
+  /**
+   * @return {Array<Object>} List of accounts with `id`, `email`, `name` and
+   * `isDefault` properties.
+   */
+  list() {
+    return this._accounts.map((item) => this.info(item));
+  }
+  /**
+   * @param {Object} account Account object
+   * @return {Object} Public information about the account.
+   */
+  info(account) {
+    return {
+      id: account.id,
+      email: account.email,
+      name: account.name,
+      isDefault: account.id === this.defaultId,
+    };
+  }
+  /**
+   * Adds an account or updates existing account with the same ID.
+   * The first account becomes the default account.
+   * @param {Object} account Account data with `id`, `email`, `name` and
+   * optional `token` and `authConfig` properties.
+   * @return {Object} Stored account object.
+   */
+  add(account) {
+    let item = this.get(account.id);
+    if (item) {
+      Object.assign(item, account);
+    } else {
+      item = Object.assign({}, account);
+      this._accounts.push(item);
+    }
+    if (!this.defaultId) {
+      this.defaultId = item.id;
+    }
+    return item;
+  }
+  /**
+   * Removes an account.
+   * When the default account is removed the first remaining account becomes
+   * the default account.
+   * @param {String} id Account ID
+   * @return {Boolean} True when the account was removed.
+   */
+  remove(id) {
+    const index = this._accounts.findIndex((item) => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this._accounts.splice(index, 1);
+    if (this.defaultId === id) {
+      this.defaultId = this._accounts[0] && this._accounts[0].id;
+    }
+    return true;
+  }
+  /**
+   * Sets the default account.
+   * @param {String} id Account ID
+   * @return {Boolean} False when the account does not exist.
+   */
+  setDefault(id) {
+    if (!this.get(id)) {
+      return false;
+    }
+    this.defaultId = id;
+    return true;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+/**
+ * Operations accepted by `DriveBatch.from()`. These are names of
+ * the builder functions.
+ */
+const OPERATIONS = ['get', 'update', 'rename', 'trash', 'untrash', 'delete'];
+/**
+ * A list of metadata operations sent to Drive with `DriveExport.batch()`
+ * in a single `multipart/mixed` request. Each request has its own result.
+ *
+ * ```javascript
+ * const batch = new DriveBatch()
+ *     .get('file-1', 'id,name')
+ *     .rename('file-2', 'new name.json')
+ *     .trash('file-3');
+ * const results = await drive.batch(batch);
+ * // [{ status: 200, body: { id, name } }, ..., { status: 404, error }]
+ * ```
+ */
+export class DriveBatch {
+  /**
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Queued requests with `operation`, `method`, `path`, `params` and
+     * `body` properties.
+     * @type {Array<Object>}
+     */
+    this.requests = [];
+  }
+  /**
+   * Creates a batch from a list of operations. It is used to pass a batch
+   * over IPC.
+   * @param {DriveBatch|Array<Object>} value A batch or a list of objects
+   * with `operation` (`get`, `update`, `rename`, `trash`, `untrash` or
+   * `delete`) and `fileId` properties. Depending on the operation they have
+   * `fields`, `resource`, `params` and `name` properties.
+   * @return {DriveBatch}
+   */
+  static from(value) {
+    if (value instanceof DriveBatch) {
+      return value;
+    }
+    if (!(value instanceof Array)) {
+      throw new Error('The batch must be a list of operations.');
+    }
+    const batch = new DriveBatch();
+    value.forEach((item) => {
+      const operation = item && item.operation;
+      if (OPERATIONS.indexOf(operation) === -1) {
+        throw new Error(`Unknown batch operation ${operation}.`);
+      }
+      if (!item.fileId || typeof item.fileId !== 'string') {
+        throw new Error(`The fileId of ${operation} operation is missing.`);
+      }
+      switch (operation) {
+        case 'get': batch.get(item.fileId, item.fields); break;
+        case 'update':
+          batch.update(item.fileId, item.resource, item.params);
+          break;
+        case 'rename': batch.rename(item.fileId, item.name); break;
+        default: batch[operation](item.fileId);
+      }
+    });
+    return batch;
+  }
+  /**
+   * @return {Number} Number of queued requests.
+   */
+  get size() {
+    return this.requests.length;
+  }
+  /**
+   * Reads file metadata.
+   * @param {String} fileId File ID
+   * @param {?String} fields Fields of the file to read.
+   * @return {DriveBatch}
+   */
+  get(fileId, fields) {
+    return this.add({
+      operation: 'get',
+      method: 'GET',
+      path: this._filePath(fileId),
+      params: fields ? { fields } : undefined,
+    });
+  }
+  /**
+   * Updates file metadata.
+   * @param {String} fileId File ID
+   * @param {Object} resource Changed metadata
+   * @param {?Object} params Query parameters, e.g. `addParents` and
+   * `removeParents`.
+   * @return {DriveBatch}
+   */
+  update(fileId, resource, params) {
+    return this.add({
+      operation: 'update',
+      method: 'PATCH',
+      path: this._filePath(fileId),
+      params,
+      body: resource || {},
+    });
+  }
+  /**
+   * @param {String} fileId ID of a file or a folder.
+   * @param {String} name New name
+   * @return {DriveBatch}
+   */
+  rename(fileId, name) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('The name must be a non-empty string.');
+    }
+    return this._patch('rename', fileId, { name });
+  }
+  /**
+   * @param {String} fileId ID of a file or a folder.
+   * @return {DriveBatch}
+   */
+  trash(fileId) {
+    return this._patch('trash', fileId, { trashed: true });
+  }
+  /**
+   * @param {String} fileId ID of a file or a folder.
+   * @return {DriveBatch}
+   */
+  untrash(fileId) {
+    return this._patch('untrash', fileId, { trashed: false });
+  }
+  /**
+   * Permanently deletes a file or a folder.
+   * @param {String} fileId ID of a file or a folder.
+   * @return {DriveBatch}
+   */
+  delete(fileId) {
+    return this.add({
+      operation: 'delete',
+      method: 'DELETE',
+      path: this._filePath(fileId),
+    });
+  }
+  /**
+   * Adds a request to the batch.
+   * @param {Object} request Request with `method`, `path` of a Drive API
+   * endpoint, e.g. `/drive/v3/files/{id}`, and optional `params`, `body`
+   * and `operation` properties.
+   * @return {DriveBatch}
+   */
+  add(request) {
+    this.requests.push(request);
+    return this;
+  }
+  /**
+   * @param {String} operation
+   * @param {String} fileId
+   * @param {Object} body
+   * @return {DriveBatch}
+   */
+  _patch(operation, fileId, body) {
+    return this.add({
+      operation,
+      method: 'PATCH',
+      path: this._filePath(fileId),
+      body,
+    });
+  }
+  /**
+   * @param {String} fileId
+   * @return {String}
+   */
+  _filePath(fileId) {
+    return `/drive/v3/files/${encodeURIComponent(fileId)}`;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+import zlib from 'zlib';
+/**
+ * Maximum size in bytes of `indexableText` accepted by Drive.
+ */
+const MAX_TEXT_SIZE = 128 * 1024;
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 120;
+const HEADER_HEIGHT = 16;
+const BACKGROUND = [0xfa, 0xfa, 0xfa];
+const HEADER = [0x00, 0xa2, 0xdf];
+/**
+ * Sections of an ARC export drawn on the thumbnail, with their colors.
+ */
+const SECTIONS = [
+  { keys: ['requests'], color: [0x21, 0x96, 0xf3] },
+  { keys: ['projects'], color: [0xff, 0x98, 0x00] },
+  { keys: ['history'], color: [0x4c, 0xaf, 0x50] },
+  { keys: ['environments', 'variables'], color: [0x9c, 0x27, 0xb0] },
+];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a,
+  0x0a]);
+let crcTable;
+/**
+ * @param {Buffer} data
+ * @return {Number} CRC-32 of the data, as used by PNG.
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = [];
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+/**
+ * @param {String} type Chunk type
+ * @param {Buffer} data Chunk data
+ * @return {Buffer} PNG chunk with length and CRC.
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+/**
+ * Creates Drive's `contentHints` of an ARC export file: `indexableText`
+ * with names and URLs of requests, projects and environments so Drive
+ * search finds the file by them, and a PNG thumbnail with a bar for each
+ * section of the export.
+ *
+ * Extend the class or pass an object with `create()` function as
+ * the `contentHints` option of `DriveExport` to generate own hints.
+ */
+export class DriveContentHints {
+  /**
+   * Creates content hints for file content.
+   * @param {String|Buffer} content File content
+   * @param {Object} resource File metadata
+   * @return {Promise<Object|undefined>} Promise resolved to `contentHints`
+   * with `indexableText` and `thumbnail` properties or `undefined` when
+   * the content is not an ARC export.
+   */
+  async create(content, resource) {
+    const data = this._parse(content);
+    if (!data) {
+      return;
+    }
+    const result = {};
+    const text = this.indexableText(data, resource);
+    if (text) {
+      result.indexableText = text;
+    }
+    const image = this.thumbnail(data);
+    if (image) {
+      result.thumbnail = {
+        image: image.toString('base64').replace(/\+/g, '-')
+            .replace(/\//g, '_'),
+        mimeType: 'image/png',
+      };
+    }
+    return result;
+  }
+  /**
+   * Collects names and URLs from the export. Credentials, query parameters
+   * and fragments of URLs are removed as they may contain secrets.
+   * @param {Object} data Parsed export
+   * @param {?Object} resource File metadata. The `name` of the file is
+   * indexed too.
+   * @return {String} Text to index, up to 128 KB.
+   */
+  indexableText(data, resource) {
+    const values = new Set();
+    if (resource && resource.name) {
+      values.add(resource.name);
+    }
+    this._collect(data, values, 0);
+    let text = Array.from(values).join('\n');
+    if (Buffer.byteLength(text) > MAX_TEXT_SIZE) {
+      text = Buffer.from(text).slice(0, MAX_TEXT_SIZE).toString()
+          .replace(/\uFFFD$/, '');
+    }
+    return text;
+  }
+  /**
+   * Renders the thumbnail. Each section of the export (requests, projects,
+   * history and environments) is a bar which length depends on the number
+   * of items.
+   * @param {Object} data Parsed export
+   * @return {Buffer} PNG image
+   */
+  thumbnail(data) {
+    const counts = SECTIONS.map((section) => section.keys
+        .reduce((sum, key) => sum + this._count(data[key]), 0));
+    const max = Math.max(...counts, 1);
+    const width = THUMBNAIL_WIDTH;
+    const height = THUMBNAIL_HEIGHT;
+    const pixels = Buffer.alloc(width * height * 3);
+    this._fill(pixels, 0, 0, width, height, BACKGROUND);
+    this._fill(pixels, 0, 0, width, HEADER_HEIGHT, HEADER);
+    const rowHeight = Math.floor((height - HEADER_HEIGHT) / SECTIONS.length);
+    const barWidth = width - 24;
+    counts.forEach((count, index) => {
+      if (!count) {
+        return;
+      }
+      // Logarithmic scale keeps small sections visible.
+      const size = Math.max(4, Math.round(barWidth *
+        Math.log(count + 1) / Math.log(max + 1)));
+      const top = HEADER_HEIGHT + index * rowHeight + 6;
+      this._fill(pixels, 12, top, size, rowHeight - 12,
+          SECTIONS[index].color);
+    });
+    return this._encodePng(width, height, pixels);
+  }
+  /**
+   * @param {String|Buffer} content
+   * @return {Object|undefined} Parsed JSON object.
+   */
+  _parse(content) {
+    let data;
+    try {
+      data = JSON.parse(String(content));
+    } catch (_) {
+      return;
+    }
+    if (!data || typeof data !== 'object' || data instanceof Array) {
+      return;
+    }
+    return data;
+  }
+  /**
+   * Adds values of `name` and `url` properties of the object and its
+   * children to the set.
+   * @param {*} value
+   * @param {Set<String>} values
+   * @param {Number} depth
+   */
+  _collect(value, values, depth) {
+    if (!value || typeof value !== 'object' || depth > 8) {
+      return;
+    }
+    if (value instanceof Array) {
+      value.forEach((item) => this._collect(item, values, depth + 1));
+      return;
+    }
+    Object.keys(value).forEach((key) => {
+      const item = value[key];
+      if (typeof item === 'string' && item) {
+        if (key === 'name') {
+          values.add(item);
+        } else if (key === 'url') {
+          values.add(this._stripUrl(item));
+        }
+      } else {
+        this._collect(item, values, depth + 1);
+      }
+    });
+  }
+  /**
+   * Removes parts of a URL that may contain secrets: the user name and
+   * password, the query and the fragment.
+   * @param {String} url
+   * @return {String}
+   */
+  _stripUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (_) {
+      // URLs with variables, like `{{baseUri}}/path`, are not valid.
+      return url.replace(/[?#].*$/, '')
+          .replace(/^([^/?#]*\/\/)[^/?#]*@/, '$1');
+    }
+    parsed.username = '';
+    parsed.password = '';
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.toString();
+  }
+  /**
+   * @param {*} value
+   * @return {Number} Number of items of an export's section.
+   */
+  _count(value) {
+    if (value instanceof Array) {
+      return value.length;
+    }
+    return value && typeof value === 'object' ? 1 : 0;
+  }
+  /**
+   * Fills a rectangle with a color.
+   * @param {Buffer} pixels RGB pixels
+   * @param {Number} x
+   * @param {Number} y
+   * @param {Number} width
+   * @param {Number} height
+   * @param {Array<Number>} color RGB color
+   */
+  _fill(pixels, x, y, width, height, color) {
+    for (let row = y; row < y + height; row++) {
+      for (let col = x; col < x + width; col++) {
+        const offset = (row * THUMBNAIL_WIDTH + col) * 3;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+      }
+    }
+  }
+  /**
+   * Encodes RGB pixels as PNG image.
+   * @param {Number} width
+   * @param {Number} height
+   * @param {Buffer} pixels RGB pixels, row by row.
+   * @return {Buffer}
+   */
+  _encodePng(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // RGB
+    const stride = width * 3;
+    const rows = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+      // Each row starts with the filter type, 0 (none).
+      pixels.copy(rows, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(rows)),
+      pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+import crypto from 'crypto';
+import { DriveError } from './drive-error.js';
+/**
+ * First bytes of an encrypted file. It starts with a NUL byte so it can't be
+ * confused with a text file.
+ */
+const MAGIC = Buffer.from([0x00, 0x41, 0x52, 0x43]);
+const VERSION = 1;
+const KDF_NONE = 0;
+const KDF_SCRYPT = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+/**
+ * Maximum scrypt's log2(N) accepted in a file header.
+ */
+const MAX_COST = 20;
+/**
+ * scrypt's block size (r) and parallelization (p) written by `encrypt()`.
+ * Files with higher values are rejected.
+ */
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+/**
+ * Memory limit of scrypt. It allows the highest accepted parameters.
+ */
+const MAX_MEM = 256 * Math.pow(2, MAX_COST) * SCRYPT_R;
+const HEADER_LENGTH = MAGIC.length + 5 + SALT_LENGTH + IV_LENGTH;
+/**
+ * Names of the file's `appProperties` that describe the encryption.
+ */
+const PROPERTIES = [
+  'encryption',
+  'encryptionKdf',
+  'encryptionKdfParams',
+  'encryptionSalt',
+  'encryptionIv',
+];
+/**
+ * Encrypts and decrypts file content with AES-256-GCM.
+ *
+ * The key is either a 32 bytes key or it is derived from a passphrase with
+ * scrypt. The encrypted content has the following format:
+ *
+ * | Bytes | Value |
+ * | ----- | ----- |
+ * | 4 | `0x00 0x41 0x52 0x43` (`\0ARC`) |
+ * | 1 | Format version, `1` |
+ * | 1 | Key derivation: `0` - key, `1` - scrypt |
+ * | 3 | scrypt's log2(N), r and p, zeros for a key |
+ * | 16 | scrypt salt, zeros for a key |
+ * | 12 | AES-GCM initialization vector |
+ * | n | Encrypted content |
+ * | 16 | AES-GCM authentication tag |
+ *
+ * The first 37 bytes (the header) are authenticated with the content.
+ * The same parameters are stored in the file's `appProperties` (see
+ * `properties()`) so encrypted files can be found with a query.
+ */
+export class DriveEncryption {
+  /**
+   * @param {Object} opts Encryption options:
+   * - `{String}` `passphrase` - A passphrase to derive the key from.
+   * - `{Buffer|Uint8Array|String}` `key` - A 32 bytes key used when
+   * `passphrase` is not set. A string is decoded as base64.
+   * - `{Number}` `cost` - scrypt's log2(N). Default to 14.
+   */
+  constructor(opts) {
+    if (!opts) {
+      opts = {};
+    }
+    this.passphrase = opts.passphrase;
+    this.key = opts.key;
+    if (typeof this.key === 'string') {
+      this.key = Buffer.from(this.key, 'base64');
+    } else if (this.key instanceof Uint8Array && !Buffer.isBuffer(this.key)) {
+      this.key = Buffer.from(this.key.buffer, this.key.byteOffset,
+          this.key.byteLength);
+    }
+    this.cost = Math.min(opts.cost || 14, MAX_COST);
+    if (!this.passphrase && !this.key) {
+      throw DriveEncryption.createError('keyRequired',
+          'Encryption passphrase or key is required.');
+    }
+    if (!this.passphrase && this.key.length !== KEY_LENGTH) {
+      throw DriveEncryption.createError('invalidKey',
+          `Encryption key must be ${KEY_LENGTH} bytes long.`);
+    }
+  }
+  /**
+   * @param {Buffer} data
+   * @return {Boolean} True when the data has the encrypted content format.
+   */
+  static isEncrypted(data) {
+    return Buffer.isBuffer(data) &&
+      data.length >= HEADER_LENGTH + TAG_LENGTH &&
+      data.slice(0, MAGIC.length).equals(MAGIC);
+  }
+  /**
+   * Reads the file's `appProperties` describing the encryption from
+   * the content.
+   * @param {Buffer} data File content
+   * @return {Object} Properties to set on the file. When the content is not
+   * encrypted the properties are set to `null` so Drive removes them.
+   */
+  static properties(data) {
+    const result = {};
+    if (!DriveEncryption.isEncrypted(data)) {
+      PROPERTIES.forEach((name) => {
+        result[name] = null;
+      });
+      return result;
+    }
+    const header = DriveEncryption._readHeader(data);
+    result.encryption = 'aes-256-gcm';
+    if (header.kdf === KDF_SCRYPT) {
+      result.encryptionKdf = 'scrypt';
+      result.encryptionKdfParams =
+        `N=${Math.pow(2, header.cost)},r=${header.r},p=${header.p}`;
+      result.encryptionSalt = header.salt.toString('base64');
+    } else {
+      result.encryptionKdf = 'none';
+      result.encryptionKdfParams = null;
+      result.encryptionSalt = null;
+    }
+    result.encryptionIv = header.iv.toString('base64');
+    return result;
+  }
+  /**
+   * @param {String} reason Error reason
+   * @param {String} message Error message
+   * @return {DriveError}
+   */
+  static createError(reason, message) {
+    return new DriveError(message, {
+      reason,
+      domain: 'encryption',
+    });
+  }
+  /**
+   * @param {Buffer} data Encrypted content
+   * @return {Object} Header values.
+   */
+  static _readHeader(data) {
+    let offset = MAGIC.length;
+    const version = data[offset++];
+    const kdf = data[offset++];
+    const cost = data[offset++];
+    const r = data[offset++];
+    const p = data[offset++];
+    const salt = data.slice(offset, offset + SALT_LENGTH);
+    offset += SALT_LENGTH;
+    const iv = data.slice(offset, offset + IV_LENGTH);
+    return { version, kdf, cost, r, p, salt, iv };
+  }
+  /**
+   * Encrypts the data.
+   * @param {Buffer|String} data Content to encrypt.
+   * @return {Promise<Buffer>} Promise resolved to the encrypted content.
+   */
+  async encrypt(data) {
+    if (!Buffer.isBuffer(data)) {
+      data = Buffer.from(data || '');
+    }
+    const header = Buffer.alloc(HEADER_LENGTH);
+    MAGIC.copy(header);
+    let offset = MAGIC.length;
+    header[offset++] = VERSION;
+    let salt;
+    if (this.passphrase) {
+      salt = crypto.randomBytes(SALT_LENGTH);
+      header[offset++] = KDF_SCRYPT;
+      header[offset++] = this.cost;
+      header[offset++] = SCRYPT_R;
+      header[offset++] = SCRYPT_P;
+      salt.copy(header, offset);
+    } else {
+      offset += 4;
+    }
+    offset += SALT_LENGTH;
+    crypto.randomBytes(IV_LENGTH).copy(header, offset);
+    const params = DriveEncryption._readHeader(header);
+    const key = await this._deriveKey(params);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, params.iv);
+    cipher.setAAD(header);
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([header, encrypted, cipher.getAuthTag()]);
+  }
+  /**
+   * Decrypts content created by `encrypt()`.
+   * @param {Buffer} data Encrypted content
+   * @return {Promise<Buffer>} Promise resolved to decrypted content.
+   */
+  async decrypt(data) {
+    if (!DriveEncryption.isEncrypted(data)) {
+      throw DriveEncryption.createError('invalidEncryption',
+          'The content is not encrypted.');
+    }
+    const params = DriveEncryption._readHeader(data);
+    if (params.version !== VERSION) {
+      throw DriveEncryption.createError('invalidEncryption',
+          `Unsupported encryption format version ${params.version}.`);
+    }
+    const key = await this._deriveKey(params);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, params.iv);
+    decipher.setAAD(data.slice(0, HEADER_LENGTH));
+    decipher.setAuthTag(data.slice(data.length - TAG_LENGTH));
+    try {
+      return Buffer.concat([
+        decipher.update(data.slice(HEADER_LENGTH, data.length - TAG_LENGTH)),
+        decipher.final(),
+      ]);
+    } catch (_) {
+      throw DriveEncryption.createError('invalidKey',
+          'Unable to decrypt the file. The key is invalid or the file ' +
+          'is damaged.');
+    }
+  }
+  /**
+   * Creates the AES key for the header parameters.
+   * @param {Object} params Header values
+   * @return {Promise<Buffer>}
+   */
+  _deriveKey(params) {
+    if (params.kdf === KDF_NONE) {
+      if (!this.key) {
+        throw DriveEncryption.createError('keyRequired',
+            'The file is encrypted with a key.');
+      }
+      return Promise.resolve(this.key);
+    }
+    if (params.kdf !== KDF_SCRYPT) {
+      throw DriveEncryption.createError('invalidEncryption',
+          `Unsupported key derivation function ${params.kdf}.`);
+    }
+    if (!this.passphrase) {
+      throw DriveEncryption.createError('keyRequired',
+          'The file is encrypted with a passphrase.');
+    }
+    if (params.cost < 1 || params.cost > MAX_COST) {
+      throw DriveEncryption.createError('invalidEncryption',
+          'The key derivation cost is invalid.');
+    }
+    if (params.r < 1 || params.r > SCRYPT_R || params.p < 1 ||
+      params.p > SCRYPT_P) {
+      throw DriveEncryption.createError('invalidEncryption',
+          'The key derivation parameters are invalid.');
+    }
+    const options = {
+      N: Math.pow(2, params.cost),
+      r: params.r,
+      p: params.p,
+      maxmem: MAX_MEM,
+    };
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(this.passphrase, params.salt, KEY_LENGTH, options,
+          (error, key) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve(key);
+            }
+          });
+    });
+  }
+}
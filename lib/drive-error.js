@@ -0,0 +1,234 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+/**
+ * Drive error reasons that can be fixed by repeating the request.
+ */
+const RETRYABLE_REASONS = [
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'backendError',
+  'internalError',
+];
+/**
+ * Chromium network error codes reported when the machine is offline.
+ */
+const OFFLINE_ERRORS = [
+  'net::ERR_INTERNET_DISCONNECTED',
+  'net::ERR_NETWORK_CHANGED',
+  'net::ERR_NAME_NOT_RESOLVED',
+  'net::ERR_ADDRESS_UNREACHABLE',
+];
+/**
+ * Node's socket error codes.
+ */
+const SOCKET_ERRORS = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+];
+/**
+ * An error reported by the Drive library.
+ *
+ * Besides the message it carries the HTTP `status` of the response, Drive's
+ * error `reason` and `domain`, the `operation` that failed and whether
+ * the operation can be repeated (`retryable`).
+ *
+ * Errors that are not reported by Drive API have the following reasons:
+ * - `authCancelled` (domain `oauth2`) - the user closed the authorization
+ * window or denied access
+ * - other OAuth 2 error codes (domain `oauth2`), like `invalid_grant`
+ * - `authError` (domain `oauth2`) - the application is not authorized
+ * - `offline` (domain `network`) - the machine is not connected to
+ * the internet
+ * - `networkError` (domain `network`) - any other connection error
+ * - `accountNotFound` (domain `accounts`) - the account was not added
+ * - `conflict` (status 412) - the file has changed since it was read
+ * - `aborted` - the operation was cancelled
+ * - `timeout` - the operation did not finish in the time set in
+ * `ArcElectronDrive` options (retryable)
+ * - `checksumMismatch` - downloaded content does not match Drive's checksum
+ * - `keyRequired` and `invalidKey` (domain `encryption`) - the file is
+ * encrypted and the key is not set or it is wrong
+ * - `invalidEncryption` (domain `encryption`) - the encrypted content is in
+ * an unsupported format or the content of a file marked as encrypted is not
+ * encrypted
+ * - `invalidLaunchState` - the state passed by Drive UI is invalid
+ * - `invalidPermission` - the permission passed to `share()` is invalid
+ * - `invalidQuery` - the query passed to `search()` is invalid
+ * - `invalidProperties` - `appProperties` or `properties` of a file are
+ * invalid
+ * - `invalidName` - the name passed to `rename()` is empty
+ * - `invalidParents` - the list of parents passed to `move()` is empty
+ * - `invalidBatch` - the list of operations passed to `batch()` is invalid
+ * - `missingResponse` - the batch response has no result of a request
+ * - `invalidResponse` - the response (e.g. of a batch request) can't be
+ * read
+ *
+ * The error is serialized with `toJSON()` when sent over IPC and restored
+ * with `DriveError.fromJSON()`.
+ */
+export class DriveError extends Error {
+  /**
+   * @param {String} message Error message
+   * @param {?Object} opts Error properties:
+   * - `{Number}` `status` - HTTP status of Drive response
+   * - `{String}` `reason` - Drive error reason, e.g. `notFound`
+   * - `{String}` `domain` - Drive error domain, e.g. `usageLimits`
+   * - `{String}` `operation` - Name of the operation, e.g. `getFile`
+   * - `{Boolean}` `retryable` - Whether the operation can be repeated.
+   */
+  constructor(message, opts) {
+    super(message);
+    if (!opts) {
+      opts = {};
+    }
+    this.name = 'DriveError';
+    /**
+     * HTTP status of Drive response.
+     * @type {Number|undefined}
+     */
+    this.status = opts.status;
+    /**
+     * Drive error reason.
+     * @type {String|undefined}
+     */
+    this.reason = opts.reason;
+    /**
+     * Drive error domain.
+     * @type {String|undefined}
+     */
+    this.domain = opts.domain;
+    /**
+     * Name of the failed operation.
+     * @type {String|undefined}
+     */
+    this.operation = opts.operation;
+    /**
+     * Whether the operation can be repeated.
+     * @type {Boolean}
+     */
+    this.retryable = !!opts.retryable;
+  }
+  /**
+   * @return {Object} Serializable representation of the error.
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      reason: this.reason,
+      domain: this.domain,
+      operation: this.operation,
+      retryable: this.retryable,
+    };
+  }
+  /**
+   * Restores the error from an object created by `toJSON()`.
+   * @param {Object} data
+   * @return {DriveError}
+   */
+  static fromJSON(data) {
+    if (!data) {
+      data = {};
+    }
+    return new DriveError(data.message, data);
+  }
+  /**
+   * Creates an error from Drive API error response.
+   * @param {Number} status Response status code
+   * @param {String|Buffer} body Response body
+   * @param {?String} operation Name of the operation
+   * @return {DriveError}
+   */
+  static fromResponse(status, body, operation) {
+    let message = body ? body.toString() : '';
+    let reason;
+    let domain;
+    try {
+      const data = JSON.parse(message);
+      const info = data.error || data;
+      if (info.message) {
+        message = info.message;
+      }
+      if (info.errors && info.errors[0]) {
+        reason = info.errors[0].reason;
+        domain = info.errors[0].domain;
+      }
+    } catch (_) {}
+    if (!message) {
+      message = `Drive responded with ${status} status.`;
+    }
+    const retryable = status === 408 || status === 429 || status >= 500 ||
+      RETRYABLE_REASONS.includes(reason);
+    return new DriveError(message, {
+      status,
+      reason,
+      domain,
+      operation,
+      retryable,
+    });
+  }
+  /**
+   * Creates `DriveError` from any error.
+   * When `cause` already is a `DriveError` it is returned with `operation`
+   * set if missing.
+   *
+   * @param {Error|Object|String} cause The original error
+   * @param {?String} operation Name of the operation
+   * @return {DriveError}
+   */
+  static from(cause, operation) {
+    if (cause instanceof DriveError) {
+      if (!cause.operation) {
+        cause.operation = operation;
+      }
+      return cause;
+    }
+    if (!cause) {
+      cause = {};
+    } else if (typeof cause === 'string') {
+      cause = { message: cause };
+    }
+    const message = cause.message || 'Unknown error';
+    const code = cause.code;
+    if (message.indexOf('net::') === 0 || SOCKET_ERRORS.includes(code)) {
+      const offline = OFFLINE_ERRORS.some(
+          (item) => message.indexOf(item) === 0);
+      return new DriveError(message, {
+        reason: offline ? 'offline' : 'networkError',
+        domain: 'network',
+        operation,
+        retryable: true,
+      });
+    }
+    if (typeof code === 'string' && /^[a-z_]+$/.test(code)) {
+      const cancelled = code === 'user_interrupted' || code === 'access_denied';
+      return new DriveError(message, {
+        reason: cancelled ? 'authCancelled' : code,
+        domain: 'oauth2',
+        operation,
+      });
+    }
+    return new DriveError(message, {
+      status: cause.status,
+      operation,
+    });
+  }
+}
@@ -15,7 +15,63 @@
  ******************************************************************************/
 
 import { Oauth2Identity } from '@advanced-rest-client/electron-oauth2';
-import { ipcMain, net } from 'electron';
+import { app, ipcMain, net } from 'electron';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import stream from 'stream';
+import { DriveAbortController } from './drive-abort.js';
+import { DriveAccounts } from './drive-accounts.js';
+import { DriveBatch } from './drive-batch.js';
+import { DriveContentHints } from './drive-content-hints.js';
+import { DriveEncryption } from './drive-encryption.js';
+import { DriveError } from './drive-error.js';
+import { DriveOutbox } from './drive-outbox.js';
+import { DriveQuery } from './drive-query.js';
+/**
+ * Drive requires upload chunks to be a multiple of this value.
+ */
+const CHUNK_UNIT = 256 * 1024;
+/**
+ * Fields of a revision returned by the library.
+ */
+const REVISION_FIELDS = 'id,mimeType,modifiedTime,size,md5Checksum,' +
+  'keepForever,lastModifyingUser(displayName,emailAddress)';
+/**
+ * Paths of endpoints that accept `supportsAllDrives` parameter. Without it
+ * Drive responds with 404 status for files of shared drives.
+ */
+const ALL_DRIVES_PATH =
+  /^(?:\/upload)?\/drive\/v3\/(?:files|changes)(?!\/[^/]+\/revisions)/;
+const FILE_FIELDS = 'id,name,mimeType,modifiedTime,size,md5Checksum,' +
+  'headRevisionId,parents,driveId,appProperties,properties';
+/**
+ * Maximum size in bytes of a property's key and value together.
+ */
+const MAX_PROPERTY_SIZE = 124;
+/**
+ * Fields of a file returned by rename, move, copy, trash and untrash.
+ */
+const MANAGE_FIELDS = `${FILE_FIELDS},trashed`;
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+/**
+ * Maximum number of requests in a batch request accepted by Drive.
+ */
+const BATCH_LIMIT = 100;
+const DRIVE_FIELDS = 'id,name,createdTime,hidden,' +
+  'capabilities(canAddChildren,canShare)';
+const PERMISSION_FIELDS = 'id,type,role,emailAddress,domain,displayName,' +
+  'allowFileDiscovery';
+/**
+ * Permission types and roles accepted by `share()`. Ownership is not
+ * transferred by the library.
+ */
+const PERMISSION_TYPES = ['user', 'group', 'domain', 'anyone'];
+const PERMISSION_ROLES = ['reader', 'commenter', 'writer'];
+/**
+ * Format of Drive file and folder IDs.
+ */
+const ID_PATTERN = /^[\w-]+$/;
 /**
  * A class that is responsible for exporting data to Google Drive.
  * The class is to be used with the main process.
@@ -31,9 +87,161 @@ export class DriveExport {
       fileType: 'application/json',
     };
   }
+  /**
+   * Reads the `state` that Drive passes to the application launched from
+   * Drive UI with "Open with" or "New" menu for the registered `mime` type.
+   *
+   * The state is a JSON value like `{"ids":["id"],"action":"open"}` or
+   * `{"folderId":"id","action":"create"}` passed in the `state` query
+   * parameter of the launch URL.
+   *
+   * @param {String|Array<String>} input The launch URL, the value of
+   * the `state` parameter, a `--state=<value>` argument or a list of command
+   * line arguments that contains one of them.
+   * @return {Object|undefined} The state with `action` (`open` or `create`),
+   * `ids` (for `open`), `folderId` (for `create`) and `userId` properties or
+   * `undefined` when the input has no state.
+   * @throws {DriveError} When the state is invalid. The `reason` of
+   * the error is `invalidLaunchState`.
+   */
+  static parseLaunchState(input) {
+    if (Array.isArray(input)) {
+      for (const item of input) {
+        const state = DriveExport.parseLaunchState(item);
+        if (state) {
+          return state;
+        }
+      }
+      return;
+    }
+    if (typeof input !== 'string') {
+      return;
+    }
+    const value = DriveExport._readLaunchState(input.trim());
+    if (value === undefined) {
+      return;
+    }
+    let state;
+    try {
+      state = JSON.parse(value);
+    } catch (_) {
+      throw DriveExport._createLaunchStateError('The state is not valid JSON.');
+    }
+    return DriveExport._validateLaunchState(state);
+  }
+  /**
+   * @param {String} input An item passed to `parseLaunchState()`.
+   * @return {String|undefined} The value of the state.
+   */
+  static _readLaunchState(input) {
+    if (input[0] === '{') {
+      return input;
+    }
+    const arg = /^(?:--)?state=(.*)$/.exec(input);
+    if (arg) {
+      return arg[1][0] === '%' ? decodeURIComponent(arg[1]) : arg[1];
+    }
+    let url;
+    try {
+      url = new URL(input);
+    } catch (_) {
+      return;
+    }
+    const state = url.searchParams.get('state');
+    return state === null ? undefined : state;
+  }
+  /**
+   * @param {Object} state Parsed state
+   * @return {Object} Normalized state.
+   */
+  static _validateLaunchState(state) {
+    if (!state || typeof state !== 'object') {
+      throw DriveExport._createLaunchStateError('The state is not an object.');
+    }
+    const isId = (id) => typeof id === 'string' && ID_PATTERN.test(id);
+    const result = {
+      action: state.action,
+      userId: typeof state.userId === 'string' ? state.userId : undefined,
+    };
+    if (state.action === 'open') {
+      if (!(state.ids instanceof Array) || !state.ids.length ||
+        !state.ids.every(isId)) {
+        throw DriveExport._createLaunchStateError(
+            'The "ids" of the state are invalid.');
+      }
+      result.ids = state.ids.slice();
+    } else if (state.action === 'create') {
+      if (!isId(state.folderId)) {
+        throw DriveExport._createLaunchStateError(
+            'The "folderId" of the state is invalid.');
+      }
+      result.folderId = state.folderId;
+    } else {
+      throw DriveExport._createLaunchStateError(
+          `Unsupported action "${state.action}".`);
+    }
+    return result;
+  }
+  /**
+   * @param {String} message
+   * @return {DriveError}
+   */
+  static _createLaunchStateError(message) {
+    return new DriveError(message, {
+      reason: 'invalidLaunchState',
+      operation: 'open',
+    });
+  }
   /**
    * @param {Object} opts Instance defaults
    * - `mime` Default mime type for a file if not defined when updating.
+   * - `chunkSize` Size in bytes of a single upload request. It is rounded
+   * down to a multiple of 256 KB. Default to 5 MB.
+   * - `uploadRetries` Number of times an interrupted upload is resumed
+   * before it fails. Default to 3.
+   * - `apiBase` Base URL of Drive API. Default to
+   * `https://www.googleapis.com`. Change it to use a different server,
+   * like `FakeDriveServer` in tests.
+   * - `maxRetries` Number of times a request is repeated when Drive responds
+   * with 429 or 5xx status code. Default to 5.
+   * - `retryDelay` Initial delay in milliseconds before a request is
+   * repeated. It is doubled with each attempt. Default to 1000.
+   * - `maxRetryDelay` Maximum delay in milliseconds before a request is
+   * repeated. Default to 32000.
+   * - `folderCacheTtl` Time in milliseconds after which the list of
+   * application folders is read again from Drive. Default to 1 hour.
+   * - `folderCacheFile` Location of the file where the folders cache is
+   * stored. Default to `google-drive-folders.json` in the application's
+   * `userData` directory. Set to `false` to keep the cache in memory only.
+   * Caches of accounts added with `addAccount()` are stored in separate files
+   * with the account ID added to the file name.
+   * - `accountsFile` Location of the file where the list of accounts added
+   * with `addAccount()` is stored. Default to `google-drive-accounts.json` in
+   * the application's `userData` directory. Set to `false` to keep the list
+   * in memory only.
+   * - `watchInterval` Time in milliseconds between checks for changes of
+   * files watched with `watch()`. Default to 60000.
+   * - `appProperties` App properties added to each file saved with
+   * `google-drive-data-save` event.
+   * - `appVersion` Version of the application stored in the `arcVersion`
+   * app property of saved files. Default to the version of the Electron
+   * application.
+   * - `schemaVersion` Version of the data format stored in
+   * the `schemaVersion` app property of saved files.
+   * - `contentHints` Generator of files' `contentHints`, an object with
+   * `create(content, resource)` function. Default to `DriveContentHints`.
+   * Set to `false` to not generate the hints.
+   * - `outbox` When set, saves made with `google-drive-data-save` event that
+   * fail with a network error are queued and replayed when the machine is
+   * back online.
+   * - `outboxFile` Location of the file where the queued saves are stored.
+   * Default to `google-drive-outbox.json` in the application's `userData`
+   * directory. Set to `false` to keep the queue in memory only.
+   * - `outboxInterval` Time in milliseconds between attempts to replay
+   * queued saves. Default to 30000.
+   * - `downloadDirectories` List of directories to which files can be
+   * downloaded with `google-drive-download-file` event. Default to the user's
+   * downloads directory.
    */
   constructor(opts) {
     if (!opts) {
@@ -44,7 +252,7 @@ export class DriveExport {
      * It will be used to search for app's files in the Drive.
      * Drive's handlers will recognize the app and will run it from Drive UI.
      */
-    this.mime = opts.opts;
+    this.mime = opts.mime;
     /**
      * A default file description
      */
@@ -53,13 +261,152 @@ export class DriveExport {
      * A default file media type
      */
     this.fileType = opts.fileType;
+    /**
+     * Size of a single upload chunk.
+     */
+    this.chunkSize = Math.max(CHUNK_UNIT,
+        Math.floor((opts.chunkSize || 5 * 1024 * 1024) / CHUNK_UNIT) *
+        CHUNK_UNIT);
+    /**
+     * Number of times an interrupted upload is resumed.
+     */
+    this.uploadRetries = typeof opts.uploadRetries === 'number' ?
+      opts.uploadRetries : 3;
+    /**
+     * Base URL of Drive API.
+     */
+    this.apiBase = (opts.apiBase || 'https://www.googleapis.com')
+        .replace(/\/+$/, '');
+    /**
+     * Number of times a request is repeated after 429 or 5xx response.
+     */
+    this.maxRetries = typeof opts.maxRetries === 'number' ?
+      opts.maxRetries : 5;
+    /**
+     * Initial delay before a request is repeated.
+     */
+    this.retryDelay = typeof opts.retryDelay === 'number' ?
+      opts.retryDelay : 1000;
+    /**
+     * Maximum delay before a request is repeated.
+     */
+    this.maxRetryDelay = typeof opts.maxRetryDelay === 'number' ?
+      opts.maxRetryDelay : 32000;
+    /**
+     * Time after which the folders cache expires.
+     */
+    this.folderCacheTtl = typeof opts.folderCacheTtl === 'number' ?
+      opts.folderCacheTtl : 60 * 60 * 1000;
+    /**
+     * Location of the folders cache file or `false` when the cache is not
+     * stored.
+     */
+    this.folderCacheFile = opts.folderCacheFile;
+    /**
+     * Time between checks for changes of watched files.
+     */
+    this.watchInterval = typeof opts.watchInterval === 'number' ?
+      opts.watchInterval : 60000;
+    /**
+     * App properties added to each saved file.
+     */
+    this.appProperties = opts.appProperties;
+    /**
+     * Version of the application added to saved files.
+     */
+    this.appVersion = opts.appVersion || app.getVersion();
+    /**
+     * Version of the data format added to saved files.
+     */
+    this.schemaVersion = opts.schemaVersion;
+    /**
+     * Generator of `contentHints` of uploaded files.
+     */
+    this.contentHints = opts.contentHints === undefined ?
+      new DriveContentHints() : opts.contentHints;
+    /**
+     * Queue of saves that failed with a network error, when enabled with
+     * the `outbox` option.
+     * @type {DriveOutbox|undefined}
+     */
+    this.outbox = opts.outbox ?
+      new DriveOutbox({ file: opts.outboxFile }) : undefined;
+    /**
+     * Time between attempts to replay queued saves.
+     */
+    this.outboxInterval = typeof opts.outboxInterval === 'number' ?
+      opts.outboxInterval : 30000;
+    /**
+     * Directories to which the renderer process can download files.
+     * @type {Array<String>|undefined}
+     */
+    this.downloadDirectories = opts.downloadDirectories;
     this._dataSaveHandler = this._dataSaveHandler.bind(this);
     this._listAppFoldersHandler = this._listAppFoldersHandler.bind(this);
     this._getFileHandler = this._getFileHandler.bind(this);
+    this._listFilesHandler = this._listFilesHandler.bind(this);
+    this._addAccountHandler = this._addAccountHandler.bind(this);
+    this._listAccountsHandler = this._listAccountsHandler.bind(this);
+    this._setDefaultAccountHandler = this._setDefaultAccountHandler.bind(this);
+    this._removeAccountHandler = this._removeAccountHandler.bind(this);
+    this._listRevisionsHandler = this._listRevisionsHandler.bind(this);
+    this._getRevisionHandler = this._getRevisionHandler.bind(this);
+    this._restoreRevisionHandler = this._restoreRevisionHandler.bind(this);
+    this._keepRevisionHandler = this._keepRevisionHandler.bind(this);
+    this._downloadFileHandler = this._downloadFileHandler.bind(this);
+    this._abortHandler = this._abortHandler.bind(this);
+    this._watchHandler = this._watchHandler.bind(this);
+    this._unwatchHandler = this._unwatchHandler.bind(this);
+    this._shareHandler = this._shareHandler.bind(this);
+    this._searchHandler = this._searchHandler.bind(this);
+    this._listSharedDrivesHandler = this._listSharedDrivesHandler.bind(this);
+    this._shareLinkHandler = this._shareLinkHandler.bind(this);
+    this._listPermissionsHandler = this._listPermissionsHandler.bind(this);
+    this._revokePermissionHandler = this._revokePermissionHandler.bind(this);
+    this._renameHandler = this._renameHandler.bind(this);
+    this._moveHandler = this._moveHandler.bind(this);
+    this._copyHandler = this._copyHandler.bind(this);
+    this._trashHandler = this._trashHandler.bind(this);
+    this._untrashHandler = this._untrashHandler.bind(this);
+    this._deleteHandler = this._deleteHandler.bind(this);
+    this._batchHandler = this._batchHandler.bind(this);
+    this._listOutboxHandler = this._listOutboxHandler.bind(this);
     /**
-     * List of cached folders created by the app.
+     * Google accounts added with `addAccount()`.
+     * @type {DriveAccounts}
      */
-    this.cachedFolders = undefined;
+    this.accounts = new DriveAccounts({ file: opts.accountsFile });
+    this._folderCaches = {};
+    this._operations = {};
+    this._watches = {};
+    this._senderWatches = new Map();
+    this._outboxSenders = new Set();
+  }
+  /**
+   * List of cached folders created by the app for the default account.
+   * @type {Array<Object>|undefined}
+   */
+  get cachedFolders() {
+    return this._folderCache().folders;
+  }
+  /**
+   * @param {Array<Object>|undefined} value
+   */
+  set cachedFolders(value) {
+    this._folderCache().folders = value;
+  }
+  /**
+   * Time when `cachedFolders` was read from Drive.
+   * @type {Number|undefined}
+   */
+  get cachedFoldersTime() {
+    return this._folderCache().time;
+  }
+  /**
+   * @param {Number|undefined} value
+   */
+  set cachedFoldersTime(value) {
+    this._folderCache().time = value;
   }
   /**
    * Listens for renderer events.
@@ -68,6 +415,39 @@ export class DriveExport {
     ipcMain.on('google-drive-data-save', this._dataSaveHandler);
     ipcMain.on('google-drive-list-app-folders', this._listAppFoldersHandler);
     ipcMain.on('google-drive-get-file', this._getFileHandler);
+    ipcMain.on('google-drive-list-files', this._listFilesHandler);
+    ipcMain.on('google-drive-search', this._searchHandler);
+    ipcMain.on('google-drive-add-account', this._addAccountHandler);
+    ipcMain.on('google-drive-list-accounts', this._listAccountsHandler);
+    ipcMain.on('google-drive-set-default-account',
+        this._setDefaultAccountHandler);
+    ipcMain.on('google-drive-remove-account', this._removeAccountHandler);
+    ipcMain.on('google-drive-list-revisions', this._listRevisionsHandler);
+    ipcMain.on('google-drive-get-revision', this._getRevisionHandler);
+    ipcMain.on('google-drive-restore-revision', this._restoreRevisionHandler);
+    ipcMain.on('google-drive-keep-revision', this._keepRevisionHandler);
+    ipcMain.on('google-drive-download-file', this._downloadFileHandler);
+    ipcMain.on('google-drive-abort', this._abortHandler);
+    ipcMain.on('google-drive-watch', this._watchHandler);
+    ipcMain.on('google-drive-unwatch', this._unwatchHandler);
+    ipcMain.on('google-drive-list-shared-drives',
+        this._listSharedDrivesHandler);
+    ipcMain.on('google-drive-share', this._shareHandler);
+    ipcMain.on('google-drive-share-link', this._shareLinkHandler);
+    ipcMain.on('google-drive-list-permissions', this._listPermissionsHandler);
+    ipcMain.on('google-drive-revoke-permission',
+        this._revokePermissionHandler);
+    ipcMain.on('google-drive-rename', this._renameHandler);
+    ipcMain.on('google-drive-move', this._moveHandler);
+    ipcMain.on('google-drive-copy', this._copyHandler);
+    ipcMain.on('google-drive-trash', this._trashHandler);
+    ipcMain.on('google-drive-untrash', this._untrashHandler);
+    ipcMain.on('google-drive-delete', this._deleteHandler);
+    ipcMain.on('google-drive-batch', this._batchHandler);
+    ipcMain.on('google-drive-list-outbox', this._listOutboxHandler);
+    if (this.outbox) {
+      this._restoreOutbox();
+    }
   }
   /**
    * Remove event listeners from the main IPC
@@ -77,6 +457,52 @@ export class DriveExport {
     ipcMain.removeListener('google-drive-list-app-folders',
         this._listAppFoldersHandler);
     ipcMain.removeListener('google-drive-get-file', this._getFileHandler);
+    ipcMain.removeListener('google-drive-list-files', this._listFilesHandler);
+    ipcMain.removeListener('google-drive-search', this._searchHandler);
+    ipcMain.removeListener('google-drive-add-account',
+        this._addAccountHandler);
+    ipcMain.removeListener('google-drive-list-accounts',
+        this._listAccountsHandler);
+    ipcMain.removeListener('google-drive-set-default-account',
+        this._setDefaultAccountHandler);
+    ipcMain.removeListener('google-drive-remove-account',
+        this._removeAccountHandler);
+    ipcMain.removeListener('google-drive-list-revisions',
+        this._listRevisionsHandler);
+    ipcMain.removeListener('google-drive-get-revision',
+        this._getRevisionHandler);
+    ipcMain.removeListener('google-drive-restore-revision',
+        this._restoreRevisionHandler);
+    ipcMain.removeListener('google-drive-keep-revision',
+        this._keepRevisionHandler);
+    ipcMain.removeListener('google-drive-download-file',
+        this._downloadFileHandler);
+    ipcMain.removeListener('google-drive-abort', this._abortHandler);
+    ipcMain.removeListener('google-drive-watch', this._watchHandler);
+    ipcMain.removeListener('google-drive-unwatch', this._unwatchHandler);
+    ipcMain.removeListener('google-drive-list-shared-drives',
+        this._listSharedDrivesHandler);
+    ipcMain.removeListener('google-drive-share', this._shareHandler);
+    ipcMain.removeListener('google-drive-share-link', this._shareLinkHandler);
+    ipcMain.removeListener('google-drive-list-permissions',
+        this._listPermissionsHandler);
+    ipcMain.removeListener('google-drive-revoke-permission',
+        this._revokePermissionHandler);
+    ipcMain.removeListener('google-drive-rename', this._renameHandler);
+    ipcMain.removeListener('google-drive-move', this._moveHandler);
+    ipcMain.removeListener('google-drive-copy', this._copyHandler);
+    ipcMain.removeListener('google-drive-trash', this._trashHandler);
+    ipcMain.removeListener('google-drive-untrash', this._untrashHandler);
+    ipcMain.removeListener('google-drive-delete', this._deleteHandler);
+    ipcMain.removeListener('google-drive-batch', this._batchHandler);
+    ipcMain.removeListener('google-drive-list-outbox',
+        this._listOutboxHandler);
+    Array.from(this._senderWatches.keys())
+        .forEach((sender) => this._unwatchSender(sender));
+    if (this._outboxTimer) {
+      clearTimeout(this._outboxTimer);
+      this._outboxTimer = undefined;
+    }
   }
   /**
    * Handler for `google-drive-data-save` event emmited by the renderer proccess
@@ -86,7 +512,10 @@ export class DriveExport {
    * @param {Object} config Request configuration data:
    * - `{Object}` `meta` - Google Drive file resource values.
    * See Google Drive API documentation for details.
-   * - `{String|Object}` `body` - File data. Objects are serialized to JSON.
+   * - `{String|Object|Uint8Array}` `body` - File data. Binary data is
+   * uploaded as is, other objects are serialized to JSON.
+   * - `{String}` `filePath` - Path to a local file to upload when `body` is
+   * not set.
    * - `{String}` `type` - File content type. Defaults to `application/json`
    * - `{String}` `id` - Existing Drive file id. If present the file is being
    * updated.
@@ -97,568 +526,4235 @@ export class DriveExport {
    * `Oauth2Identity.launchWebAuthFlow()` function. If the object is not set
    * it uses `Oauth2Identity.getAuthToken()` to get token from the server.
    * It implies "oauth2" configuration in the package.json file.
+   * - `{String}` `accountId` - ID of an account added with `addAccount()`.
+   * Default to the default account.
+   * - `{Object}` `expectedVersion` - Version of the file returned by
+   * `getFile()`. See `update()` for details.
+   * - `{Boolean}` `merge` - When set and the file has changed, the renderer
+   * is asked to merge the changes. See `_requestMerge()`.
+   * - `{Object}` `encryption` - Encrypts the content. See `create()`.
+   * - `{String}` `driveId` - ID of a shared drive to create the file in.
+   * - `{String}` `kind` - Kind of the export, e.g. `history` or `project`,
+   * stored in the `kind` app property.
+   * - `{Object}` `appProperties` - App properties of the file. They are
+   * added to the default app properties. See `_createResource()`.
+   * - `{Object}` `properties` - Public properties of the file.
+   *
+   * The upload progress is reported with `google-drive-upload-progress`
+   * event sent to the renderer with the `requestId` and an object with
+   * `loaded` and `total` properties.
+   *
+   * When the `outbox` option is set and the save fails with a network error
+   * the save is queued and the result is an object with `queued` (`true`)
+   * and `outboxId` properties. The renderer receives
+   * `google-drive-outbox-status` events when the status of the queued save
+   * changes. Files created with the `outbox` option have `arcSaveId` app
+   * property so the replay does not create the file again when Drive
+   * created it before the connection was lost.
    */
   async _dataSaveHandler(e, requestId, config) {
-    const { auth, id } = config;
+    const { id } = config;
+    if (this.outbox && !id && !config.encryption) {
+      config = Object.assign({}, config, {
+        saveId: crypto.randomBytes(12).toString('hex'),
+      });
+    }
+    const auth = this._createIpcAuth(config.auth, config.accountId);
     const meta = this._createResource(config);
     const media = this._createMedia(config);
+    const opts = {
+      onProgress: (progress) => {
+        e.sender.send('google-drive-upload-progress', requestId, progress);
+      },
+      expectedVersion: config.expectedVersion,
+      encryption: config.encryption,
+      driveId: config.driveId,
+      signal: this._startOperation(e, requestId),
+    };
+    if (config.merge) {
+      opts.onConflict = (info) =>
+        this._requestMerge(e, requestId, info, opts.signal);
+    }
     try {
       let result;
       if (id) {
-        result = await this.update(id, meta, media, auth);
+        result = await this.update(id, meta, media, auth, opts);
       } else {
-        result = await this.create(meta, media, auth);
+        result = await this.create(meta, media, auth, opts);
       }
       e.sender.send('google-drive-operation-result', requestId, result);
     } catch (cause) {
-      if (cause instanceof Error) {
-        cause = {
-          message: cause.message,
-        };
+      const error = DriveError.from(cause, 'save');
+      if (!this.outbox || error.domain !== 'network' ||
+        !(await this._queueSave(e, requestId, config))) {
+        this._sendError(e, requestId, error, 'save');
       }
-      e.sender.send('google-drive-operation-error', requestId, cause);
+    } finally {
+      this._endOperation(e, requestId);
     }
   }
   /**
-   * Creates media data used by this library
-   * @param {Object} config Passed user configuration
-   * @return {Object} Resource object
+   * Adds a save that failed with a network error to the outbox and notifies
+   * the renderer that the save is queued.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {Object} config Configuration of the save.
+   * @return {Promise<Boolean>} True when the save was queued. Saves with
+   * `encryption` are not queued as the key would be stored on disk.
    */
-  _createMedia(config) {
-    let { body, type } = config;
-    if (typeof body !== 'string') {
-      body = JSON.stringify(body);
+  async _queueSave(e, requestId, config) {
+    if (config.encryption) {
+      return false;
     }
-    const media = {
-      mimeType: type || this.fileType,
-      body,
-    };
-    return media;
+    let item;
+    try {
+      await this.outbox.restore();
+      item = this.outbox.add(config, requestId);
+      await this.outbox.store();
+    } catch (_) {
+      if (item) {
+        this.outbox.remove(item.id);
+      }
+      return false;
+    }
+    this._addOutboxSender(e.sender);
+    e.sender.send('google-drive-operation-result', requestId, {
+      queued: true,
+      outboxId: item.id,
+    });
+    this._notifyOutbox(item);
+    this._scheduleOutbox();
+    return true;
   }
   /**
-   * Creates resource data for Drive file.
-   * @param {Object} config Passed user configuration
-   * @return {Object} Resource object
+   * Handler for `google-drive-list-outbox` event.
+   * The renderer receives `google-drive-outbox-status` events after it sends
+   * the event.
+   * @param {Event} e
+   * @param {String} requestId
    */
-  _createResource(config) {
-    let { meta, type } = config;
-    if (!meta) {
-      meta = {};
-    }
-    if (!meta.description && this.fileDescription) {
-      meta.description = this.fileDescription;
+  async _listOutboxHandler(e, requestId) {
+    if (!this.outbox) {
+      e.sender.send('google-drive-operation-result', requestId, []);
+      return;
     }
-    if (!meta.mimeType) {
-      meta.mimeType = type || this.fileType;
+    this._addOutboxSender(e.sender);
+    try {
+      await this.outbox.restore();
+      e.sender.send('google-drive-operation-result', requestId,
+          this.outbox.list());
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'listOutbox');
     }
-    return meta;
   }
   /**
-   * Authoriza the user with Google Drive.
-   * @param {Object} auth Passed `auth` object to create / update functions.
-   * @return {Promise} Promise resolved to token info object.
+   * Reads the outbox file and replays queued saves.
+   * @return {Promise}
    */
-  auth(auth) {
-    let p;
-    if (auth) {
-      if (auth.accessToken) {
-        p = Promise.resolve(auth);
-      } else {
-        p = Oauth2Identity.launchWebAuthFlow(auth);
-      }
-    }
-    if (!p) {
-      p = Oauth2Identity.getAuthToken({ interactive: true });
+  async _restoreOutbox() {
+    try {
+      await this.outbox.restore();
+    } catch (_) {
+      return;
     }
-    return p;
+    this._scheduleOutbox();
   }
   /**
-   * List application created folders as a response to a web event.
-   * @param {Event} e Handled event
-   * @param {String} requestId
-   * @param {Object} opts List options.
+   * Replays queued saves in the order they were made. When a save fails
+   * with a network error the replay stops and it is repeated after
+   * `outboxInterval` milliseconds. Saves that fail with other errors are
+   * removed from the outbox. The replay does not start when Electron reports
+   * that the machine is offline.
+   * @return {Promise}
    */
-  async _listAppFoldersHandler(e, requestId, opts) {
-    if (this.cachedFolders) {
-      e.sender.send('google-drive-operation-result',
-          requestId, this.cachedFolders);
-      return;
+  flushOutbox() {
+    if (!this.outbox) {
+      return Promise.resolve();
     }
-    if (!opts) {
-      opts = {};
+    if (!this._outboxFlush) {
+      const done = () => {
+        this._outboxFlush = undefined;
+        this._scheduleOutbox();
+      };
+      this._outboxFlush = this._flushOutbox().then(done, done);
     }
-    const interactive = typeof opts.interactive === 'undefined' ?
-      true : opts.interactive;
-    try {
-      const result = await this.listAppFolders(interactive);
-      const folders = [];
-      if (result.files) {
-        result.files.forEach((item) => {
-          folders[folders.length] = {
-            id: item.id,
-            name: item.name,
-          };
-        });
+    return this._outboxFlush;
+  }
+  /**
+   * @return {Promise}
+   */
+  async _flushOutbox() {
+    await this.outbox.restore();
+    const items = this.outbox.items.filter((item) =>
+      item.status === 'queued');
+    for (const item of items) {
+      if (!this._isOnline()) {
+        return;
       }
-      this.cachedFolders = folders;
-      e.sender.send('google-drive-operation-result', requestId, folders);
-    } catch (cause) {
-      if (cause instanceof Error) {
-        cause = {
-          message: cause.message,
-        };
+      this._setOutboxStatus(item, 'uploading');
+      let result;
+      try {
+        result = await this._replaySave(item.config);
+      } catch (cause) {
+        const error = DriveError.from(cause, 'save');
+        if (error.domain === 'network') {
+          this._setOutboxStatus(item, 'queued', error);
+          return;
+        }
+        this.outbox.remove(item.id);
+        this._setOutboxStatus(item, 'failed', error);
+        continue;
       }
-      e.sender.send('google-drive-operation-error', requestId, cause);
+      this.outbox.remove(item.id);
+      this._setOutboxStatus(item, 'done', undefined, result);
     }
   }
   /**
-   * Lists folders in Google Drive.
-   * With regular set of authorization scopes this function lists folders
-   * creaded by this application.
-   * With additional scopes it will list all folders.
-   * ARC uses default set of scopes meaning it will only list folders
-   * previously created by it (as ling as OAuth client id is the same).
-   * @param {Boolean} interactive Perform interactive authorization. When
-   * false it will not bring
-   * oauth screen when application is not authorized.
-   * @return {Promise} Promise resolved to Drive response.
+   * Electron 12 added `net.isOnline()` and `net.online`. In older versions
+   * the state is unknown and the replay is attempted.
+   * @return {Boolean} False when the machine is known to be offline.
    */
-  listAppFolders(interactive) {
-    return Oauth2Identity.getAuthToken({ interactive })
-        .then((auth) => {
-          if (auth) {
-            return this._listAppFolders(auth);
-          }
-        });
+  _isOnline() {
+    if (typeof net.isOnline === 'function') {
+      return net.isOnline();
+    }
+    if (typeof net.online === 'boolean') {
+      return net.online;
+    }
+    return true;
   }
   /**
-   * Implementation for folders listing
-   * @param {Object} auth
-   * @return {Promise}
+   * Saves a file queued in the outbox.
+   * A file created by the save is searched for first as Drive may have
+   * created it before the connection was lost.
+   * @param {Object} config Configuration of the save.
+   * @return {Promise<Object>} Promise resolved to the saved file.
    */
-  _listAppFolders(auth) {
-    const params = {
-      q: 'trashed = false and mimeType="application/vnd.google-apps.folder"',
-      orderBy: 'modifiedTime desc',
+  async _replaySave(config) {
+    const auth = this._createIpcAuth(config.auth, config.accountId);
+    const meta = this._createResource(config);
+    const media = this._createMedia(config);
+    const opts = {
+      expectedVersion: config.expectedVersion,
+      driveId: config.driveId,
     };
-    let url = 'https://www.googleapis.com/drive/v3/files?';
-    Object.keys(params).forEach((key) => {
-      url += key + '=' + encodeURIComponent(params[key]) + '&';
-    });
-    return new Promise((resolve, reject) => {
-      const request = net.request({
-        method: 'GET',
-        url,
-      });
-      request.setHeader('authorization', 'Bearer ' + auth.accessToken);
-      request.setHeader('accept', 'application/json');
-      request.on('response', (response) => {
-        let body = [];
-        response.on('data', (chunk) => {
-          body.push(chunk);
-        });
-        response.on('end', () => {
-          body = Buffer.concat(body).toString();
-          try {
-            body = JSON.parse(body);
-          } catch (e) {
-            reject(e);
-            return;
-          }
-          if (body.error) {
-            reject(new Error(body.message));
-          } else {
-            resolve(body);
-          }
-        });
-      });
-      request.on('error', (error) => {
-        reject(error);
-      });
-      request.end();
-    });
+    if (config.id) {
+      return await this.update(config.id, meta, media, auth, opts);
+    }
+    if (config.saveId) {
+      const query = new DriveQuery()
+          .appProperty('arcSaveId', config.saveId)
+          .trashed(false);
+      const page = await this.search(query, {
+        pageSize: 1,
+        driveId: config.driveId,
+      }, auth);
+      if (page.files.length) {
+        return page.files[0];
+      }
+    }
+    return await this.create(meta, media, auth, opts);
   }
   /**
-   * Creates a Google Drive File.
-   *
-   * If `config.resource.mimeType` is not set and `drive.file.mime` is set then
-   * `this.mime` is used instead.
-   *
-   * This script will automatically set file thumbnail if not set
-   * (`config.resource.contentHints.thumbnail` object value).
-   *
-   * @param {Object} resource File metadata.
-   * @param {Object} media A data to send with content type.
-   * - {String} `mimeType` - A media mime type
-   * - {String} `body` - A content to save.
-   * @param {?Object} auth Authorization data to use:
-   * - `{Object}` `auth` - Authorization data to use. If it contains
-   * `accessToken`
-   * property it will skip authorization and use this token. Otherwise
-   * it expects
-   * `@advanced-rest-client/electron-oauth2` configuration object for
-   * `Oauth2Identity.launchWebAuthFlow()` function. If the object is not set
-   * it uses `Oauth2Identity.getAuthToken()` to get token from the server.
-   * It implies "oauth2" configuration in the package.json file.
-   * @return {Promise} Promise resolved to Drive response object.
+   * Changes status of an outbox item, stores the outbox and notifies
+   * the renderers.
+   * @param {Object} item Outbox item
+   * @param {String} status `queued`, `uploading`, `done` or `failed`.
+   * @param {?DriveError} error The error of the last attempt.
+   * @param {?Object} result The saved file.
    */
-  async create(resource, media, auth) {
-    if (!resource.mimeType && this.mime) {
-      resource.mimeType = this.mime;
+  _setOutboxStatus(item, status, error, result) {
+    item.status = status;
+    item.error = error && error.toJSON();
+    this.outbox.store().catch(() => {});
+    this._notifyOutbox(item, result);
+  }
+  /**
+   * Sends `google-drive-outbox-status` event to the renderers.
+   * @param {Object} item Outbox item
+   * @param {?Object} result The saved file, for `done` status.
+   */
+  _notifyOutbox(item, result) {
+    const info = this.outbox.info(item);
+    if (result) {
+      info.result = result;
     }
-    const info = await this.auth(auth);
-    const token = info.accessToken;
-    let createdParents;
-    if (resource.parents && resource.parents.length) {
-      createdParents = await this.createParents(resource.parents, info);
-      if (!createdParents || !createdParents.length) {
-        delete resource.parents;
-      } else {
-        resource.parents = createdParents.map((item) => item.id);
+    this._outboxSenders.forEach((sender) => {
+      if (!sender.isDestroyed()) {
+        sender.send('google-drive-outbox-status', info);
       }
+    });
+  }
+  /**
+   * Registers a renderer that receives `google-drive-outbox-status` events.
+   * @param {WebContents} sender
+   */
+  _addOutboxSender(sender) {
+    if (this._outboxSenders.has(sender)) {
+      return;
     }
-    const url = await this._initializeSession(token, resource);
-    const result = await this._upload(token, url, media.body, media.mimeType);
-    if (createdParents) {
-      result.parents = createdParents;
-    }
-    return result;
+    this._outboxSenders.add(sender);
+    sender.once('destroyed', () => this._outboxSenders.delete(sender));
   }
   /**
-   * Update a file on Google Drive.
-   *
-   * @param {String} fileId A Google Drive file ID.
-   * @param {Object} resource The same as for `create` function.
-   * @param {Object} media The same as for `create` function.
-   * @param {?Object} auth The same as for `create` function.
-   * @return {Promise} Fulfilled promise with file properties (the response).
+   * Schedules replay of queued saves after `outboxInterval` milliseconds.
    */
-  async update(fileId, resource, media, auth) {
-    if (!resource.mimeType && this.mime) {
-      resource.mimeType = this.mime;
+  _scheduleOutbox() {
+    if (this._outboxTimer || this._outboxFlush ||
+      !this.outbox.items.some((item) => item.status === 'queued')) {
+      return;
     }
-    const info = await this.auth(auth);
-    const token = info.accessToken;
-    const url = await this._initializeSession(token, resource, fileId);
-    return await this._upload(token, url, media.body, media.mimeType);
+    this._outboxTimer = setTimeout(() => {
+      this._outboxTimer = undefined;
+      this.flushOutbox();
+    }, this.outboxInterval);
+  }
+  /**
+   * Sends `google-drive-operation-error` event to the renderer process.
+   * The error is converted to `DriveError` and serialized so the renderer
+   * can restore it.
+   * @param {Event} e Handled event
+   * @param {String} requestId
+   * @param {Error|Object} cause The error
+   * @param {String} operation Name of the operation
+   */
+  _sendError(e, requestId, cause, operation) {
+    const error = DriveError.from(cause, operation);
+    e.sender.send('google-drive-operation-error', requestId, error.toJSON());
+  }
+  /**
+   * Registers an operation requested by the renderer process so it can be
+   * cancelled with `google-drive-abort` event.
+   * @param {Event} e Handled event
+   * @param {String} requestId
+   * @return {DriveAbortSignal} The signal to pass to the operation.
+   */
+  _startOperation(e, requestId) {
+    const controller = new DriveAbortController();
+    this._operations[this._operationKey(e, requestId)] = controller;
+    return controller.signal;
+  }
+  /**
+   * Removes an operation registered with `_startOperation()`.
+   * @param {Event} e Handled event
+   * @param {String} requestId
+   */
+  _endOperation(e, requestId) {
+    delete this._operations[this._operationKey(e, requestId)];
+  }
+  /**
+   * @param {Event} e Handled event
+   * @param {String} requestId
+   * @return {String} Key of the operation in the operations registry.
+   * Request IDs are unique per renderer process only.
+   */
+  _operationKey(e, requestId) {
+    return `${e.sender.id}:${requestId}`;
+  }
+  /**
+   * Handler for `google-drive-abort` event.
+   * Cancels an operation in progress. The operation is rejected with
+   * the `aborted` reason.
+   * @param {Event} e
+   * @param {String} requestId ID of the request to cancel.
+   */
+  _abortHandler(e, requestId) {
+    const controller = this._operations[this._operationKey(e, requestId)];
+    if (controller) {
+      controller.abort();
+    }
+  }
+  /**
+   * Asks the renderer process to merge local and remote content of a file.
+   * It sends `google-drive-conflict` event with the `requestId` and an object
+   * with `local`, `remote` and `version` properties and waits for
+   * `google-drive-conflict-result` event with the same `requestId` and
+   * the merged content. When the content is not set the update is rejected.
+   * @param {Event} e Handled event
+   * @param {String} requestId
+   * @param {Object} info Conflict information passed to `onConflict`.
+   * @param {?DriveAbortSignal} signal Rejects the promise when the operation
+   * is cancelled.
+   * @return {Promise} Promise resolved to the merged content.
+   */
+  _requestMerge(e, requestId, info, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        ipcMain.removeListener('google-drive-conflict-result', handler);
+        reject(this._createAbortError());
+      };
+      const handler = (event, id, content) => {
+        if (id !== requestId || event.sender !== e.sender) {
+          return;
+        }
+        ipcMain.removeListener('google-drive-conflict-result', handler);
+        if (signal) {
+          signal.removeListener('abort', onAbort);
+        }
+        resolve(content);
+      };
+      ipcMain.on('google-drive-conflict-result', handler);
+      if (signal) {
+        signal.once('abort', onAbort);
+      }
+      e.sender.send('google-drive-conflict', requestId, info);
+    });
+  }
+  /**
+   * Creates authorization data for an operation requested by the renderer.
+   * @param {?Object} auth Authorization data sent by the renderer.
+   * @param {?String} accountId ID of the account to use.
+   * @return {Object|undefined}
+   */
+  _createIpcAuth(auth, accountId) {
+    if (!accountId) {
+      return auth;
+    }
+    return Object.assign({}, auth, { accountId });
+  }
+  /**
+   * Creates media data used by this library.
+   * Strings and binary data (`Buffer`, `Uint8Array`) are used as they are,
+   * other values are serialized to JSON. When `filePath` is set the content
+   * is read from the local file.
+   * @param {Object} config Passed user configuration
+   * @return {Object} Resource object
+   */
+  _createMedia(config) {
+    let { body } = config;
+    const { type, filePath } = config;
+    const media = {
+      mimeType: type || this.fileType,
+    };
+    if (filePath && body === undefined) {
+      media.filePath = filePath;
+      return media;
+    }
+    if (body instanceof Uint8Array && !Buffer.isBuffer(body)) {
+      body = Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+    } else if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+    }
+    media.body = body;
+    return media;
+  }
+  /**
+   * Creates resource data for Drive file.
+   * The default app properties are added to `appProperties`. The `config`
+   * properties take precedence over the `meta` properties.
+   * The `meta` object is copied as `create()` and `update()` change
+   * the resource, e.g. replace folder paths of `parents` with folder IDs,
+   * and the outbox replays the save with the original configuration.
+   * @param {Object} config Passed user configuration
+   * @return {Object} Resource object
+   */
+  _createResource(config) {
+    const { type } = config;
+    const meta = Object.assign({}, config.meta);
+    if (meta.parents instanceof Array) {
+      meta.parents = meta.parents.slice();
+    }
+    if (!meta.description && this.fileDescription) {
+      meta.description = this.fileDescription;
+    }
+    if (!meta.mimeType) {
+      meta.mimeType = type || this.fileType;
+    }
+    meta.appProperties = Object.assign(this._defaultAppProperties(config),
+        meta.appProperties, config.appProperties);
+    if (meta.properties || config.properties) {
+      meta.properties = Object.assign({}, meta.properties, config.properties);
+    }
+    return meta;
+  }
+  /**
+   * Creates app properties added to each saved file: the `appProperties`
+   * option, `arcVersion`, `schemaVersion`, `kind` of the export and
+   * `arcSaveId` of a save that can be queued in the outbox.
+   * @param {Object} config Passed user configuration
+   * @return {Object}
+   */
+  _defaultAppProperties(config) {
+    const result = Object.assign({}, this.appProperties);
+    if (this.appVersion) {
+      result.arcVersion = this.appVersion;
+    }
+    if (this.schemaVersion) {
+      result.schemaVersion = this.schemaVersion;
+    }
+    if (config.kind) {
+      result.kind = config.kind;
+    }
+    if (config.saveId) {
+      result.arcSaveId = config.saveId;
+    }
+    return result;
+  }
+  /**
+   * Checks `appProperties` and `properties` of a file. Values are converted
+   * to strings as Drive stores strings only. `null` removes a property.
+   * @param {Object} resource File metadata
+   * @param {String} operation Name of the operation reported with errors.
+   * @throws {DriveError} When a property is invalid. The `reason` of
+   * the error is `invalidProperties`.
+   */
+  _checkProperties(resource, operation) {
+    ['appProperties', 'properties'].forEach((field) => {
+      const values = resource[field];
+      if (values === undefined || values === null) {
+        return;
+      }
+      if (typeof values !== 'object' || values instanceof Array) {
+        throw this._createPropertiesError(`The ${field} must be an object.`,
+            operation);
+      }
+      Object.keys(values).forEach((key) => {
+        const value = values[key];
+        if (value === undefined) {
+          delete values[key];
+          return;
+        }
+        if (value === null) {
+          return;
+        }
+        if (typeof value === 'object') {
+          throw this._createPropertiesError(
+              `The value of the ${key} property must be a string.`,
+              operation);
+        }
+        values[key] = String(value);
+        if (Buffer.byteLength(key + values[key]) > MAX_PROPERTY_SIZE) {
+          throw this._createPropertiesError(`The ${key} property is longer ` +
+            `than ${MAX_PROPERTY_SIZE} bytes.`, operation);
+        }
+      });
+    });
+  }
+  /**
+   * @param {String} message
+   * @param {String} operation
+   * @return {DriveError}
+   */
+  _createPropertiesError(message, operation) {
+    return new DriveError(message, {
+      reason: 'invalidProperties',
+      operation,
+    });
+  }
+  /**
+   * Authoriza the user with Google Drive.
+   * @param {Object} auth Passed `auth` object to create / update functions.
+   * When it has `accountId` property the token of that account is used.
+   * When it is not set and an account was added with `addAccount()` the
+   * default account is used.
+   * @param {?Boolean} interactive Used when `auth` is not set. When `false`
+   * the user won't be prompted to authorize the application. Default to
+   * `true`.
+   * @return {Promise} Promise resolved to token info object.
+   */
+  async auth(auth, interactive) {
+    if (auth && auth.accessToken) {
+      return auth;
+    }
+    await this.accounts.restore();
+    const accountId = this._resolveAccountId(auth);
+    if (accountId) {
+      return await this._accountAuth(accountId, interactive);
+    }
+    if (auth) {
+      return await Oauth2Identity.launchWebAuthFlow(auth);
+    }
+    if (typeof interactive === 'undefined') {
+      interactive = true;
+    }
+    return await Oauth2Identity.getAuthToken({ interactive });
+  }
+  /**
+   * @param {?Object} auth Authorization data.
+   * @return {String|undefined} ID of the account used with the authorization
+   * data.
+   */
+  _resolveAccountId(auth) {
+    if (auth) {
+      return auth.accountId;
+    }
+    return this.accounts.defaultId;
+  }
+  /**
+   * Gets a token for an account added with `addAccount()`.
+   * The token is kept in memory until it expires.
+   * @param {String} id Account ID
+   * @param {?Boolean} interactive Whether the user can be prompted to
+   * authorize the application. Default to `true`.
+   * @return {Promise<Object>} Promise resolved to token info object.
+   */
+  async _accountAuth(id, interactive) {
+    const account = this.accounts.get(id);
+    if (!account) {
+      throw new DriveError(`Unknown Google account ${id}.`, {
+        reason: 'accountNotFound',
+        domain: 'accounts',
+      });
+    }
+    const { token } = account;
+    if (token && token.accessToken &&
+      !(token.expires_at && token.expires_at <= Date.now())) {
+      return token;
+    }
+    account.token = await this._requestAccountToken(account.authConfig,
+        account.email, interactive);
+    return account.token;
+  }
+  /**
+   * Runs OAuth 2 flow for an account.
+   * @param {?Object} config OAuth 2 configuration for
+   * `Oauth2Identity.launchWebAuthFlow()`. Default to the "oauth2"
+   * configuration in the package.json file.
+   * @param {?String} loginHint Email of the account to authorize.
+   * @param {?Boolean} interactive Default to `true`.
+   * @return {Promise<Object>} Promise resolved to token info object.
+   */
+  async _requestAccountToken(config, loginHint, interactive) {
+    if (!config) {
+      config = await Oauth2Identity.getOAuthConfig();
+    }
+    // The OAuth library caches a single token per client, which may belong
+    // to another account.
+    await Oauth2Identity.removeToken(config);
+    const opts = Object.assign({}, config, {
+      interactive: typeof interactive === 'undefined' ? true : interactive,
+    });
+    if (loginHint) {
+      opts.login_hint = loginHint;
+    }
+    return await Oauth2Identity.launchWebAuthFlow(opts);
+  }
+  /**
+   * Adds a Google account.
+   *
+   * The user is asked to choose an account and to authorize the application.
+   * The first added account becomes the default account. Adding an account
+   * that already is on the list renews its token.
+   *
+   * @param {?Object} authConfig `@advanced-rest-client/electron-oauth2`
+   * configuration object for `Oauth2Identity.launchWebAuthFlow()` function.
+   * Default to the "oauth2" configuration in the package.json file.
+   * @return {Promise<Object>} Promise resolved to the account with `id`,
+   * `email`, `name` and `isDefault` properties.
+   */
+  async addAccount(authConfig) {
+    await this.accounts.restore();
+    let config = authConfig;
+    if (!config) {
+      config = await Oauth2Identity.getOAuthConfig();
+    }
+    config = Object.assign({}, config, {
+      customData: {
+        auth: {
+          parameters: [{ name: 'prompt', value: 'select_account' }],
+        },
+      },
+    });
+    const token = await this._requestAccountToken(config, undefined, true);
+    const user = await this._getUser({ accessToken: token.accessToken });
+    const account = this.accounts.add({
+      id: user.permissionId,
+      email: user.emailAddress,
+      name: user.displayName,
+      authConfig,
+      token,
+    });
+    await this.accounts.store();
+    return this.accounts.info(account);
+  }
+  /**
+   * Lists accounts added with `addAccount()`.
+   * @return {Promise<Array<Object>>} Promise resolved to the list of accounts
+   * with `id`, `email`, `name` and `isDefault` properties.
+   */
+  async listAccounts() {
+    await this.accounts.restore();
+    return this.accounts.list();
+  }
+  /**
+   * Sets the account used when an operation does not specify an account.
+   * @param {String} id Account ID
+   * @return {Promise}
+   */
+  async setDefaultAccount(id) {
+    await this.accounts.restore();
+    if (!this.accounts.setDefault(id)) {
+      throw new DriveError(`Unknown Google account ${id}.`, {
+        reason: 'accountNotFound',
+        domain: 'accounts',
+      });
+    }
+    await this.accounts.store();
+  }
+  /**
+   * Removes an account with its token and folders cache.
+   * @param {String} id Account ID
+   * @return {Promise<Boolean>} Promise resolved to `true` when the account
+   * was removed.
+   */
+  async removeAccount(id) {
+    await this.accounts.restore();
+    if (!this.accounts.remove(id)) {
+      return false;
+    }
+    await this.accounts.store();
+    delete this._folderCaches[id];
+    const file = this._getFolderCacheFile(id);
+    if (file) {
+      try {
+        await fs.promises.unlink(file);
+      } catch (_) {}
+    }
+    return true;
+  }
+  /**
+   * Reads information about the user from Drive API.
+   * @param {Object} auth Authorization data to use.
+   * @return {Promise<Object>} Promise resolved to Drive's `user` object.
+   */
+  async _getUser(auth) {
+    const response = await this._request({
+      url: this._createUrl('/drive/v3/about', { fields: 'user' }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'addAccount',
+      auth,
+    });
+    return response.body.user;
+  }
+  /**
+   * Handler for `google-drive-add-account` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {?Object} authConfig OAuth 2 configuration. See `addAccount()`.
+   */
+  async _addAccountHandler(e, requestId, authConfig) {
+    try {
+      const result = await this.addAccount(authConfig);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'addAccount');
+    }
+  }
+  /**
+   * Handler for `google-drive-list-accounts` event.
+   * @param {Event} e
+   * @param {String} requestId
+   */
+  async _listAccountsHandler(e, requestId) {
+    try {
+      const result = await this.listAccounts();
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'listAccounts');
+    }
+  }
+  /**
+   * Handler for `google-drive-set-default-account` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} id Account ID
+   */
+  async _setDefaultAccountHandler(e, requestId, id) {
+    try {
+      await this.setDefaultAccount(id);
+      e.sender.send('google-drive-operation-result', requestId);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'setDefaultAccount');
+    }
+  }
+  /**
+   * Handler for `google-drive-remove-account` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} id Account ID
+   */
+  async _removeAccountHandler(e, requestId, id) {
+    try {
+      const result = await this.removeAccount(id);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'removeAccount');
+    }
+  }
+  /**
+   * List application created folders as a response to a web event.
+   *
+   * The list is cached for `folderCacheTtl` milliseconds.
+   * @param {Event} e Handled event
+   * @param {String} requestId
+   * @param {Object} opts List options:
+   * - `{Boolean}` `interactive` - Whether the user can be prompted to
+   * authorize the application. Default to `true`.
+   * - `{Boolean}` `refresh` - When set it reads the list from Drive even
+   * when the cache is valid.
+   * - `{String}` `accountId` - ID of the account to use. Default to
+   * the default account.
+   * - `{String}` `driveId` - ID of a shared drive to list folders from.
+   * Folders of shared drives are not cached.
+   */
+  async _listAppFoldersHandler(e, requestId, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const interactive = typeof opts.interactive === 'undefined' ?
+      true : opts.interactive;
+    const auth = this._createIpcAuth(undefined, opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    const { driveId } = opts;
+    try {
+      await this._restoreFolderCache(auth);
+      const cache = this._folderCache(auth);
+      if (!driveId && !opts.refresh && this._isFolderCacheValid(auth)) {
+        e.sender.send('google-drive-operation-result',
+            requestId, cache.folders);
+        return;
+      }
+      const result = await this.listAppFolders(interactive, auth, {
+        signal,
+        driveId,
+      });
+      if (!result) {
+        e.sender.send('google-drive-operation-result',
+            requestId, (!driveId && cache.folders) || []);
+        return;
+      }
+      const folders = [];
+      if (result.files) {
+        result.files.forEach((item) => {
+          folders[folders.length] = {
+            id: item.id,
+            name: item.name,
+            parents: item.parents,
+          };
+        });
+      }
+      if (!driveId) {
+        this._setCachedFolders(folders, auth);
+      }
+      e.sender.send('google-drive-operation-result', requestId, folders);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'listAppFolders');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Gets the folders cache of the account used with the authorization data.
+   * Each account has own cache. The cache of an unknown account, e.g. when
+   * `accessToken` is passed, is kept under an empty key.
+   * @param {?Object} auth Authorization data.
+   * @return {Object} The cache with `folders` and `time` properties.
+   */
+  _folderCache(auth) {
+    const key = this._resolveAccountId(auth) || '';
+    if (!this._folderCaches[key]) {
+      this._folderCaches[key] = {
+        key,
+        folders: undefined,
+        time: undefined,
+      };
+    }
+    return this._folderCaches[key];
+  }
+  /**
+   * @param {?Object} auth Authorization data.
+   * @return {Boolean} True when the folders cache is set and not expired.
+   */
+  _isFolderCacheValid(auth) {
+    const cache = this._folderCache(auth);
+    if (!cache.folders || !cache.time) {
+      return false;
+    }
+    return Date.now() - cache.time < this.folderCacheTtl;
+  }
+  /**
+   * Replaces the folders cache with the list read from Drive.
+   * @param {Array<Object>} folders
+   * @param {?Object} auth Authorization data.
+   */
+  _setCachedFolders(folders, auth) {
+    const cache = this._folderCache(auth);
+    cache.folders = folders;
+    cache.time = Date.now();
+    this._storeFolderCache(auth);
+  }
+  /**
+   * Removes folders from the cache.
+   * @param {Array<String>} ids IDs of folders to remove.
+   * @param {?Object} auth Authorization data.
+   * @return {Boolean} True when any folder was removed.
+   */
+  _removeCachedFolders(ids, auth) {
+    const cache = this._folderCache(auth);
+    if (!cache.folders || !ids) {
+      return false;
+    }
+    const size = cache.folders.length;
+    cache.folders = cache.folders.filter((item) => !ids.includes(item.id));
+    if (cache.folders.length === size) {
+      return false;
+    }
+    this._storeFolderCache(auth);
+    return true;
+  }
+  /**
+   * @param {?String} accountId ID of the account.
+   * @return {String|undefined} Location of the folders cache file.
+   */
+  _getFolderCacheFile(accountId) {
+    if (this.folderCacheFile === false) {
+      return;
+    }
+    const file = this.folderCacheFile ||
+      path.join(app.getPath('userData'), 'google-drive-folders.json');
+    if (!accountId) {
+      return file;
+    }
+    const ext = path.extname(file);
+    const suffix = '-' + String(accountId).replace(/[^\w-]/g, '_');
+    return file.substr(0, file.length - ext.length) + suffix + ext;
+  }
+  /**
+   * Reads the folders cache from the cache file.
+   * The file is read only once for each account.
+   * @param {?Object} auth Authorization data.
+   * @return {Promise}
+   */
+  async _restoreFolderCache(auth) {
+    await this.accounts.restore();
+    const cache = this._folderCache(auth);
+    if (!cache.restore) {
+      cache.restore = this._readFolderCache(cache);
+    }
+    await cache.restore;
+  }
+  /**
+   * Reads the cache file.
+   * @param {Object} cache The cache to restore.
+   * @return {Promise}
+   */
+  async _readFolderCache(cache) {
+    const file = this._getFolderCacheFile(cache.key);
+    if (!file) {
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (_) {
+      return;
+    }
+    if (cache.folders || !data || !(data.folders instanceof Array)) {
+      return;
+    }
+    cache.folders = data.folders;
+    cache.time = data.time;
+  }
+  /**
+   * Stores the folders cache in the cache file.
+   * Errors are ignored as the cache is optional.
+   * @param {?Object} auth Authorization data.
+   * @return {Promise}
+   */
+  async _storeFolderCache(auth) {
+    const cache = this._folderCache(auth);
+    const file = this._getFolderCacheFile(cache.key);
+    if (!file) {
+      return;
+    }
+    const data = JSON.stringify({
+      time: cache.time,
+      folders: cache.folders || [],
+    });
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    } catch (_) {}
+  }
+  /**
+   * Lists folders in Google Drive.
+   * With regular set of authorization scopes this function lists folders
+   * creaded by this application.
+   * With additional scopes it will list all folders.
+   * ARC uses default set of scopes meaning it will only list folders
+   * previously created by it (as ling as OAuth client id is the same).
+   * @param {Boolean} interactive Perform interactive authorization. When
+   * false it will not bring
+   * oauth screen when application is not authorized.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{String}` `driveId` - ID of a shared drive to list folders from.
+   * @return {Promise} Promise resolved to Drive response.
+   */
+  async listAppFolders(interactive, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const info = await this.auth(auth, interactive);
+    if (info) {
+      return await this._listAppFolders(auth, interactive, opts.signal,
+          opts.driveId);
+    }
+  }
+  /**
+   * Implementation for folders listing
+   * @param {?Object} auth Authorization data to use.
+   * @param {?Boolean} interactive Whether the authorization can prompt
+   * the user.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @param {?String} driveId ID of a shared drive.
+   * @return {Promise}
+   */
+  async _listAppFolders(auth, interactive, signal, driveId) {
+    const params = this._setDriveParams({
+      q: new DriveQuery().trashed(false).folder().toString(),
+      orderBy: 'modifiedTime desc',
+      fields: 'files(id,name,parents)',
+    }, driveId);
+    const response = await this._request({
+      url: this._createUrl('/drive/v3/files', params),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'listAppFolders',
+      auth,
+      interactive,
+      signal,
+    });
+    return response.body;
+  }
+  /**
+   * Handler for `google-drive-list-files` event emmited by the renderer
+   * proccess.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {?Object} opts List options. See `listFiles()` for details.
+   * Additionally it accepts `auth` property with authorization data and
+   * `accountId` property with ID of the account to use.
+   */
+  async _listFilesHandler(e, requestId, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const signal = this._startOperation(e, requestId);
+    try {
+      const auth = this._createIpcAuth(opts.auth, opts.accountId);
+      const result = await this.listFiles(Object.assign({}, opts, { signal }),
+          auth);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'listFiles');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Lists application data files stored in Google Drive.
+   * It reads all pages of the results before the promise is resolved.
+   *
+   * @param {?Object} opts List options:
+   * - `{String}` `parent` - An ID of a folder to list files from.
+   * - `{String}` `name` - A name, or part of it, of a file to search for.
+   * - `{String|Boolean}` `mimeType` - Files media type. Defaults to
+   * the registered `mime`. Set to `false` to list files of any type.
+   * - `{String}` `driveId` - ID of a shared drive to list files from.
+   * By default files of the user's drive are listed.
+   * - `{Object}` `appProperties` - Lists files with all of the app
+   * properties, e.g. `{ kind: 'project' }`.
+   * - `{Object}` `properties` - Lists files with all of the properties.
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of files.
+   * Each file has `id`, `name`, `mimeType`, `modifiedTime`, `size`,
+   * `md5Checksum`, `headRevisionId`, `parents`, `appProperties`,
+   * `properties` and, for shared drives, `driveId` properties.
+   */
+  async listFiles(opts, auth) {
+    if (!opts) {
+      opts = {};
+    }
+    const params = this._setDriveParams({
+      q: this._createFilesQuery(opts),
+      orderBy: 'modifiedTime desc',
+      fields: `nextPageToken,files(${FILE_FIELDS})`,
+    }, opts.driveId);
+    const files = [];
+    do {
+      const result = await this._listFiles(auth, params, opts.signal);
+      if (result.files) {
+        result.files.forEach((item) => files.push(item));
+      }
+      params.pageToken = result.nextPageToken;
+    } while (params.pageToken);
+    return files;
+  }
+  /**
+   * Creates value of the `q` parameter for the files list request.
+   * @param {Object} opts Options passed to the `listFiles()` function.
+   * @return {String}
+   */
+  _createFilesQuery(opts) {
+    const query = new DriveQuery().trashed(false);
+    const mimeType = opts.mimeType === false ?
+      undefined : opts.mimeType || this.mime;
+    if (mimeType) {
+      query.mimeType(mimeType);
+    }
+    if (opts.parent) {
+      query.parent(opts.parent);
+    }
+    if (opts.name) {
+      query.nameContains(opts.name);
+    }
+    if (opts.appProperties) {
+      query.appProperties(opts.appProperties);
+    }
+    if (opts.properties) {
+      query.properties(opts.properties);
+    }
+    return query.toString();
+  }
+  /**
+   * Handler for `google-drive-search` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {Object} query Query conditions. See `DriveQuery.from()`.
+   * @param {?Object} opts Search options. See `search()`. Additionally it
+   * accepts `accountId` property with ID of the account to use.
+   */
+  async _searchHandler(e, requestId, query, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const signal = this._startOperation(e, requestId);
+    try {
+      const auth = this._createIpcAuth(undefined, opts.accountId);
+      const result = await this.search(query, Object.assign({}, opts,
+          { signal }), auth);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'search');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Searches for files. Unlike `listFiles()` it reads a single page of
+   * the results and it doesn't limit the search to the registered `mime`
+   * type.
+   *
+   * ```javascript
+   * const query = new DriveQuery().nameContains(input).trashed(false);
+   * let page = await drive.search(query, { orderBy: 'name' });
+   * page = await drive.search(query, { pageToken: page.nextPageToken });
+   * ```
+   *
+   * @param {DriveQuery|Object} query The query or an object with
+   * conditions. See `DriveQuery.from()`.
+   * @param {?Object} opts Search options:
+   * - `{String|Array<String>}` `orderBy` - Sort keys, e.g.
+   * `modifiedTime desc`. Default to `modifiedTime desc`.
+   * - `{String|Array<String>}` `fields` - File fields to read. Default to
+   * `id`, `name`, `mimeType`, `modifiedTime`, `size`, `md5Checksum`,
+   * `headRevisionId`, `parents`, `driveId`, `appProperties` and
+   * `properties`.
+   * - `{Number}` `pageSize` - Maximum number of files in the page.
+   * Default to 100.
+   * - `{String}` `pageToken` - `nextPageToken` of the previous page.
+   * - `{String}` `driveId` - ID of a shared drive to search in.
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @return {Promise<Object>} Promise resolved to an object with `files`
+   * and `nextPageToken` properties. `nextPageToken` is not set for the last
+   * page.
+   */
+  async search(query, opts, auth) {
+    if (!opts) {
+      opts = {};
+    }
+    let q;
+    let fields;
+    try {
+      q = DriveQuery.from(query).toString();
+      fields = this._searchList(opts.fields, FILE_FIELDS);
+    } catch (cause) {
+      throw new DriveError(cause.message, {
+        reason: 'invalidQuery',
+        operation: 'search',
+      });
+    }
+    const params = this._setDriveParams({
+      q: q || undefined,
+      orderBy: this._searchList(opts.orderBy, 'modifiedTime desc'),
+      pageSize: opts.pageSize || 100,
+      pageToken: opts.pageToken,
+      fields: `nextPageToken,files(${fields})`,
+    }, opts.driveId);
+    const result = await this._request({
+      url: this._createUrl('/drive/v3/files', params),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'search',
+      auth,
+      signal: opts.signal,
+    });
+    return {
+      files: result.body.files || [],
+      nextPageToken: result.body.nextPageToken,
+    };
+  }
+  /**
+   * @param {?String|Array<String>} value A list option of `search()`.
+   * @param {String} defaultValue Used when the value is not set.
+   * @return {String} Comma separated list.
+   */
+  _searchList(value, defaultValue) {
+    if (value instanceof Array) {
+      value = value.join(',');
+    }
+    if (!value) {
+      return defaultValue;
+    }
+    if (!/^[\w\s,./()*]+$/.test(value)) {
+      throw new Error(`Invalid list value ${value}.`);
+    }
+    return value;
+  }
+  /**
+   * Sets files list parameters so files of a shared drive are listed.
+   * @param {Object} params Query parameters of the request.
+   * @param {?String} driveId ID of a shared drive.
+   * @return {Object} The parameters.
+   */
+  _setDriveParams(params, driveId) {
+    if (driveId) {
+      params.corpora = 'drive';
+      params.driveId = driveId;
+      params.includeItemsFromAllDrives = true;
+    }
+    return params;
+  }
+  /**
+   * Makes a request to Drive API to list files.
+   * @param {?Object} auth Authorization data to use.
+   * @param {Object} params Query parameters of the request.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @return {Promise} Promise resolved to Drive response.
+   */
+  async _listFiles(auth, params, signal) {
+    const response = await this._request({
+      url: this._createUrl('/drive/v3/files', params),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'listFiles',
+      auth,
+      signal,
+    });
+    return response.body;
+  }
+  /**
+   * Handler for `google-drive-list-shared-drives` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _listSharedDrivesHandler(e, requestId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.listSharedDrives(auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'listSharedDrives');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Lists shared drives the user is a member of.
+   * It reads all pages of the results before the promise is resolved.
+   * The drive's `id` is used as the `driveId` option of other functions.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of drives.
+   * Each drive has `id`, `name`, `createdTime`, `hidden` and `capabilities`
+   * properties.
+   */
+  async listSharedDrives(auth, opts) {
+    const params = {
+      pageSize: 100,
+      fields: `nextPageToken,drives(${DRIVE_FIELDS})`,
+    };
+    const drives = [];
+    do {
+      const response = await this._request({
+        url: this._createUrl('/drive/v3/drives', params),
+        headers: {
+          accept: 'application/json',
+        },
+        operation: 'listSharedDrives',
+        auth,
+        signal: opts && opts.signal,
+      });
+      const result = response.body;
+      if (result.drives) {
+        result.drives.forEach((item) => drives.push(item));
+      }
+      params.pageToken = result.nextPageToken;
+    } while (params.pageToken);
+    return drives;
+  }
+  /**
+   * Reads the token of the current state of the Drive changes feed.
+   * Changes made after this call are returned by `listChanges()` with
+   * the token.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{Boolean}` `interactive` - When `false` the user is not prompted to
+   * authorize the application.
+   * - `{String}` `driveId` - ID of a shared drive to read the token of
+   * the drive's changes feed.
+   * @return {Promise<String>} Promise resolved to the page token.
+   */
+  async getChangesStartToken(auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const response = await this._request({
+      url: this._createUrl('/drive/v3/changes/startPageToken',
+          { driveId: opts.driveId }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'listChanges',
+      auth,
+      interactive: opts.interactive,
+      signal: opts.signal,
+    });
+    return response.body.startPageToken;
+  }
+  /**
+   * Lists changes made to the files of the user since the page token was
+   * created. It reads all pages of the results before the promise is
+   * resolved.
+   * @param {String} pageToken Token returned by `getChangesStartToken()` or
+   * `newStartPageToken` returned by this function.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{Boolean}` `interactive` - When `false` the user is not prompted to
+   * authorize the application.
+   * - `{String}` `driveId` - ID of a shared drive to list changes of.
+   * The token has to be read for the same drive. Without it changes of
+   * the user's files in all drives are listed.
+   * @return {Promise<Object>} Promise resolved to an object with `changes`
+   * and `newStartPageToken` properties. Each change has `fileId`,
+   * `removed` and `file` properties. The file has `id`, `name`,
+   * `mimeType`, `parents`, `trashed`, `md5Checksum`, `headRevisionId`,
+   * `modifiedTime`, `size` and `driveId` properties.
+   */
+  async listChanges(pageToken, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const params = {
+      pageToken,
+      pageSize: 1000,
+      driveId: opts.driveId,
+      includeItemsFromAllDrives: true,
+      fields: 'nextPageToken,newStartPageToken,changes(fileId,removed,' +
+        'file(id,name,mimeType,parents,trashed,md5Checksum,headRevisionId,' +
+        'modifiedTime,size,driveId))',
+    };
+    const changes = [];
+    let result;
+    do {
+      const response = await this._request({
+        url: this._createUrl('/drive/v3/changes', params),
+        headers: {
+          accept: 'application/json',
+        },
+        operation: 'listChanges',
+        auth,
+        interactive: opts.interactive,
+        signal: opts.signal,
+      });
+      result = response.body;
+      if (result.changes) {
+        result.changes.forEach((item) => changes.push(item));
+      }
+      params.pageToken = result.nextPageToken;
+    } while (params.pageToken);
+    return {
+      changes,
+      newStartPageToken: result.newStartPageToken,
+    };
+  }
+  /**
+   * Handler for `google-drive-rename` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId ID of a file or a folder.
+   * @param {String} name New name
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _renameHandler(e, requestId, fileId, name, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.rename(fileId, name, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'rename');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-move` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId ID of a file or a folder.
+   * @param {String|Array<String>} parents ID of the new parent folder or
+   * a list of IDs.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _moveHandler(e, requestId, fileId, parents, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.move(fileId, parents, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'move');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-copy` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {?Object} resource Metadata of the copy.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _copyHandler(e, requestId, fileId, resource, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.copy(fileId, resource, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'copy');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-trash` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _trashHandler(e, requestId, fileId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.trash(fileId, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'trash');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-untrash` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _untrashHandler(e, requestId, fileId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.untrash(fileId, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'untrash');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-delete` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _deleteHandler(e, requestId, fileId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.delete(fileId, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'delete');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Renames a file or a folder. Renamed folder is updated in the folders
+   * cache.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {String} name New name
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Object>} Promise resolved to the updated file.
+   */
+  async rename(fileId, name, auth, opts) {
+    if (!name || typeof name !== 'string') {
+      throw new DriveError('The name must be a non-empty string.', {
+        reason: 'invalidName',
+        operation: 'rename',
+      });
+    }
+    const file = await this._patchFile(fileId, { name }, undefined,
+        'rename', auth, opts && opts.signal);
+    this._updateCachedFolder(file, auth);
+    return file;
+  }
+  /**
+   * Moves a file or a folder to other folders. The file is removed from
+   * its current parents that are not on the list. Moved folder is updated
+   * in the folders cache.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {String|Array<String>} parents ID of the new parent folder or
+   * a list of IDs. Use `root` for the root of My Drive.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Object>} Promise resolved to the updated file.
+   */
+  async move(fileId, parents, auth, opts) {
+    const signal = opts && opts.signal;
+    if (!(parents instanceof Array)) {
+      parents = parents ? [parents] : [];
+    }
+    if (!parents.length) {
+      throw new DriveError('The list of parents is empty.', {
+        reason: 'invalidParents',
+        operation: 'move',
+      });
+    }
+    const response = await this._request({
+      url: this._createUrl(this._filePath(fileId), { fields: 'parents' }),
+      operation: 'move',
+      auth,
+      signal,
+    });
+    const current = response.body.parents || [];
+    const params = {
+      addParents: parents.filter((id) => !current.includes(id)).join(','),
+      removeParents: current.filter((id) => !parents.includes(id)).join(','),
+    };
+    const file = await this._patchFile(fileId, {}, params, 'move', auth,
+        signal);
+    this._updateCachedFolder(file, auth);
+    return file;
+  }
+  /**
+   * Copies a file. Drive does not copy folders.
+   * @param {String} fileId File ID
+   * @param {?Object} resource Metadata of the copy, e.g. `name` and
+   * `parents`. By default the copy has the name and the parents of
+   * the file.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Object>} Promise resolved to the created file.
+   */
+  async copy(fileId, resource, auth, opts) {
+    resource = Object.assign({}, resource);
+    this._checkProperties(resource, 'copy');
+    const response = await this._request({
+      method: 'POST',
+      url: this._createUrl(`${this._filePath(fileId)}/copy`,
+          { fields: MANAGE_FIELDS }),
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(resource),
+      operation: 'copy',
+      auth,
+      signal: opts && opts.signal,
+    });
+    return response.body;
+  }
+  /**
+   * Moves a file or a folder to the trash. Trashed folder and its
+   * subfolders are removed from the folders cache.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Object>} Promise resolved to the file with `id`, `name`
+   * and `trashed` properties.
+   */
+  async trash(fileId, auth, opts) {
+    const file = await this._patchFile(fileId, { trashed: true }, undefined,
+        'trash', auth, opts && opts.signal);
+    this._removeCachedFolders(this._cachedFolderTree(fileId, auth), auth);
+    return file;
+  }
+  /**
+   * Restores a file or a folder from the trash. Restored folder is added to
+   * the folders cache. Its subfolders are added when the cache is read
+   * from Drive again.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Object>} Promise resolved to the restored file.
+   */
+  async untrash(fileId, auth, opts) {
+    const file = await this._patchFile(fileId, { trashed: false }, undefined,
+        'untrash', auth, opts && opts.signal);
+    this._updateCachedFolder(file, auth);
+    return file;
+  }
+  /**
+   * Permanently deletes a file or a folder, skipping the trash. Deleted
+   * folder and its subfolders are removed from the folders cache.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Boolean>}
+   */
+  async delete(fileId, auth, opts) {
+    await this._request({
+      method: 'DELETE',
+      url: this._createUrl(this._filePath(fileId)),
+      operation: 'delete',
+      auth,
+      signal: opts && opts.signal,
+    });
+    this._removeCachedFolders(this._cachedFolderTree(fileId, auth), auth);
+    return true;
+  }
+  /**
+   * Sends files.update request without media.
+   * @param {String} fileId File ID
+   * @param {Object} body Changed metadata
+   * @param {?Object} params Additional query parameters
+   * @param {String} operation Name of the operation.
+   * @param {?Object} auth
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise<Object>} The updated file.
+   */
+  async _patchFile(fileId, body, params, operation, auth, signal) {
+    const response = await this._request({
+      method: 'PATCH',
+      url: this._createUrl(this._filePath(fileId),
+          Object.assign({ fields: MANAGE_FIELDS }, params)),
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      operation,
+      auth,
+      signal,
+    });
+    return response.body;
+  }
+  /**
+   * @param {String} fileId File ID
+   * @return {String} Path of the file's endpoint.
+   */
+  _filePath(fileId) {
+    return `/drive/v3/files/${encodeURIComponent(fileId)}`;
+  }
+  /**
+   * Updates or adds a folder in the folders cache after its metadata
+   * changed. Files other than folders are ignored.
+   * @param {Object} file File with `id`, `name`, `mimeType`, `parents` and
+   * `trashed` properties.
+   * @param {?Object} auth Authorization data.
+   */
+  _updateCachedFolder(file, auth) {
+    if (!file || file.mimeType !== FOLDER_MIME || file.trashed) {
+      return;
+    }
+    const cache = this._folderCache(auth);
+    const folder = (cache.folders || []).find((item) => item.id === file.id);
+    if (!folder) {
+      this._cacheFolder({
+        id: file.id,
+        name: file.name,
+        parents: file.parents,
+      }, auth);
+      return;
+    }
+    folder.name = file.name;
+    folder.parents = file.parents;
+    this._storeFolderCache(auth);
+  }
+  /**
+   * @param {String} id Folder ID
+   * @param {?Object} auth Authorization data.
+   * @return {Array<String>} IDs of the folder and its cached subfolders.
+   */
+  _cachedFolderTree(id, auth) {
+    const folders = this._folderCache(auth).folders || [];
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+      folders.forEach((item) => {
+        if (item.parents && item.parents.includes(ids[i]) &&
+          !ids.includes(item.id)) {
+          ids.push(item.id);
+        }
+      });
+    }
+    return ids;
+  }
+  /**
+   * Handler for `google-drive-batch` event.
+   * The errors of requests are sent as objects created by
+   * `DriveError.toJSON()`.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {Array<Object>} requests List of operations. See
+   * `DriveBatch.from()`.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _batchHandler(e, requestId, requests, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const results = await this.batch(requests, auth, { signal });
+      const result = results.map((item) => item.error ?
+        Object.assign({}, item, { error: item.error.toJSON() }) : item);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'batch');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Sends metadata operations to Drive's batch endpoint. A batch with more
+   * than 100 requests is split into several batch requests. Requests that
+   * failed with 429 or 5xx status are repeated up to `maxRetries` times.
+   * Renamed, restored, trashed and deleted folders are updated in
+   * the folders cache.
+   *
+   * @param {DriveBatch|Array<Object>} batch The batch or a list of
+   * operations accepted by `DriveBatch.from()`.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of results
+   * in the order of the requests. A result has `status` and `body`
+   * properties or `status` and `error` (`DriveError`) properties when
+   * the request failed. The promise is rejected only when the whole batch
+   * fails.
+   */
+  async batch(batch, auth, opts) {
+    const signal = opts && opts.signal;
+    let requests;
+    try {
+      requests = DriveBatch.from(batch).requests;
+    } catch (cause) {
+      throw new DriveError(cause.message, {
+        reason: 'invalidBatch',
+        operation: 'batch',
+      });
+    }
+    const results = [];
+    for (let i = 0; i < requests.length; i += BATCH_LIMIT) {
+      const part = requests.slice(i, i + BATCH_LIMIT);
+      const items = await this._runBatch(part, auth, signal);
+      part.forEach((request, index) => {
+        this._applyBatchResult(request, items[index], auth);
+      });
+      results.push(...items);
+    }
+    return results;
+  }
+  /**
+   * Sends up to 100 requests and repeats the requests that can be repeated.
+   * @param {Array<Object>} requests
+   * @param {?Object} auth
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise<Array<Object>>} Results of the requests.
+   */
+  async _runBatch(requests, auth, signal) {
+    const results = [];
+    let pending = requests.map((request, index) => index);
+    let attempt = 0;
+    while (pending.length) {
+      const responses = await this._sendBatch(
+          pending.map((index) => requests[index]), auth, signal);
+      const retry = [];
+      pending.forEach((index, position) => {
+        const response = responses[position];
+        const status = response && response.status;
+        if ((status === 429 || status >= 500) &&
+          attempt < this.maxRetries) {
+          retry.push(index);
+          return;
+        }
+        results[index] = this._createBatchResult(requests[index], response);
+      });
+      if (retry.length) {
+        await this._delay(this._retryDelay(attempt), signal);
+        attempt++;
+      }
+      pending = retry;
+    }
+    return results;
+  }
+  /**
+   * Sends a batch request.
+   * @param {Array<Object>} requests
+   * @param {?Object} auth
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise<Array<Object>>} Responses of the requests, in the order
+   * of the requests, with `status` and `body` properties.
+   */
+  async _sendBatch(requests, auth, signal) {
+    const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+    const body = requests.map((request, index) =>
+      this._createBatchPart(request, index, boundary)).join('') +
+      `--${boundary}--\r\n`;
+    const response = await this._request({
+      method: 'POST',
+      url: this._createUrl('/batch/drive/v3'),
+      headers: {
+        'content-type': `multipart/mixed; boundary=${boundary}`,
+      },
+      body,
+      responseType: 'text',
+      operation: 'batch',
+      auth,
+      signal,
+    });
+    const type = this._readHeader(response.headers, 'content-type') || '';
+    return this._parseBatchResponse(response.body, type, requests.length);
+  }
+  /**
+   * @param {Object} request A request of `DriveBatch`.
+   * @param {Number} index Position of the request.
+   * @param {String} boundary
+   * @return {String} Part of the batch request body.
+   */
+  _createBatchPart(request, index, boundary) {
+    const params = request.method === 'DELETE' ? request.params :
+      Object.assign({ fields: MANAGE_FIELDS }, request.params);
+    let part = `--${boundary}\r\n` +
+      'content-type: application/http\r\n' +
+      `content-id: <item-${index}>\r\n\r\n` +
+      `${request.method} ${this._createPath(request.path, params)} ` +
+      'HTTP/1.1\r\n';
+    if (request.body) {
+      part += 'content-type: application/json; charset=UTF-8\r\n\r\n' +
+        JSON.stringify(request.body);
+    }
+    return part + '\r\n';
+  }
+  /**
+   * Reads responses of a batch request.
+   * @param {String} body Response body
+   * @param {String} type Response content type with the boundary.
+   * @param {Number} size Number of requests in the batch.
+   * @return {Array<Object>} Responses with `status` and `body` properties.
+   * Responses missing in the batch response are `undefined`.
+   */
+  _parseBatchResponse(body, type, size) {
+    const match = /boundary="?([^";]+)"?/i.exec(type);
+    if (!match) {
+      throw new DriveError('The batch response has no boundary.', {
+        reason: 'invalidResponse',
+        operation: 'batch',
+      });
+    }
+    const responses = new Array(size);
+    const parts = body.split(`--${match[1]}`).slice(1);
+    parts.forEach((part, position) => {
+      const [headers, ...http] = part.split(/\r?\n\r?\n/);
+      const id = /content-id:\s*<response-item-(\d+)>/i.exec(headers);
+      const index = id ? Number(id[1]) : position;
+      const status = /^HTTP\/[\d.]+ (\d+)/.exec(http[0] || '');
+      if (!status || index >= size) {
+        return;
+      }
+      responses[index] = {
+        status: Number(status[1]),
+        body: http.slice(1).join('\r\n\r\n').trim(),
+      };
+    });
+    return responses;
+  }
+  /**
+   * @param {Object} request A request of `DriveBatch`.
+   * @param {?Object} response Response of the request.
+   * @return {Object} Result with `status` and `body` or `error` properties.
+   */
+  _createBatchResult(request, response) {
+    const operation = request.operation || 'batch';
+    if (!response) {
+      return {
+        status: 0,
+        error: new DriveError('Drive did not respond to the request.', {
+          reason: 'missingResponse',
+          operation,
+          retryable: true,
+        }),
+      };
+    }
+    const { status, body } = response;
+    if (status >= 400) {
+      return {
+        status,
+        error: DriveError.fromResponse(status, body, operation),
+      };
+    }
+    if (!body) {
+      return { status, body: undefined };
+    }
+    try {
+      return { status, body: JSON.parse(body) };
+    } catch (_) {
+      return {
+        status,
+        error: new DriveError('The response is not a valid JSON.', {
+          status,
+          reason: 'invalidResponse',
+          operation,
+        }),
+      };
+    }
+  }
+  /**
+   * Updates the folders cache after a request of a batch succeeded.
+   * @param {Object} request A request of `DriveBatch`.
+   * @param {Object} result Result of the request.
+   * @param {?Object} auth Authorization data.
+   */
+  _applyBatchResult(request, result, auth) {
+    if (result.error) {
+      return;
+    }
+    const match = /^\/drive\/v3\/files\/([^/]+)$/.exec(request.path);
+    if (!match) {
+      return;
+    }
+    switch (request.operation) {
+      case 'trash':
+      case 'delete':
+        this._removeCachedFolders(
+            this._cachedFolderTree(decodeURIComponent(match[1]), auth), auth);
+        break;
+      case 'update':
+      case 'rename':
+      case 'untrash':
+        this._updateCachedFolder(result.body, auth);
+        break;
+    }
+  }
+  /**
+   * Handler for `google-drive-watch` event.
+   * The renderer receives `google-drive-file-changed` events until it
+   * sends `google-drive-unwatch` event or the window is closed.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} id ID of a file or a folder to watch.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _watchHandler(e, requestId, id, opts) {
+    const { sender } = e;
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const key = `${this._watchKey(auth)}:${id}`;
+    let watches = this._senderWatches.get(sender);
+    if (!watches) {
+      watches = new Map();
+      this._senderWatches.set(sender, watches);
+      sender.once('destroyed', () => this._unwatchSender(sender));
+    }
+    if (!watches.has(key)) {
+      const listener = (info) => {
+        if (!sender.isDestroyed()) {
+          sender.send('google-drive-file-changed', info);
+        }
+      };
+      watches.set(key, { id, auth, listener });
+      try {
+        await this.watch(id, auth, listener);
+      } catch (cause) {
+        watches.delete(key);
+        this._sendError(e, requestId, cause, 'watch');
+        return;
+      }
+    }
+    sender.send('google-drive-operation-result', requestId, true);
+  }
+  /**
+   * Handler for `google-drive-unwatch` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} id ID of a watched file or folder.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  _unwatchHandler(e, requestId, id, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const key = `${this._watchKey(auth)}:${id}`;
+    const watches = this._senderWatches.get(e.sender);
+    const item = watches && watches.get(key);
+    if (item) {
+      watches.delete(key);
+      this.unwatch(item.id, item.auth, item.listener);
+    }
+    e.sender.send('google-drive-operation-result', requestId, !!item);
+  }
+  /**
+   * Removes all watches of a renderer.
+   * @param {WebContents} sender
+   */
+  _unwatchSender(sender) {
+    const watches = this._senderWatches.get(sender);
+    if (!watches) {
+      return;
+    }
+    this._senderWatches.delete(sender);
+    watches.forEach((item) => this.unwatch(item.id, item.auth, item.listener));
+  }
+  /**
+   * Starts watching a file or a folder for changes.
+   *
+   * Changes are read from the Drive changes feed every `watchInterval`
+   * milliseconds, one request for all watched files of an account.
+   * The listener is called with an object with `id` (the watched ID),
+   * `fileId`, `removed` and `file` properties (see `listChanges()`) when
+   * the watched file changes or, for a folder, when a file in the folder is
+   * added, changed or moved to the trash. Files removed from a folder
+   * permanently are reported only to watchers of the file.
+   *
+   * The user is not prompted to authorize the application while checking
+   * for changes. Failed checks are repeated with the next interval.
+   *
+   * @param {String} id ID of a file or a folder.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {Function} listener Function called with the change.
+   * @return {Promise} Promise resolved when the changes are being watched.
+   */
+  async watch(id, auth, listener) {
+    const key = this._watchKey(auth);
+    let watch = this._watches[key];
+    if (!watch) {
+      watch = {
+        auth,
+        listeners: {},
+      };
+      watch.ready = this.getChangesStartToken(auth).then((token) => {
+        watch.pageToken = token;
+        this._scheduleWatch(watch);
+      });
+      this._watches[key] = watch;
+    }
+    if (!watch.listeners[id]) {
+      watch.listeners[id] = [];
+    }
+    watch.listeners[id].push(listener);
+    try {
+      await watch.ready;
+    } catch (cause) {
+      this.unwatch(id, auth, listener);
+      throw DriveError.from(cause, 'watch');
+    }
+  }
+  /**
+   * Stops watching a file or a folder.
+   * @param {String} id ID of a file or a folder.
+   * @param {?Object} auth Authorization data passed to `watch()`.
+   * @param {?Function} listener The listener passed to `watch()`. When not
+   * set all listeners of the ID are removed.
+   */
+  unwatch(id, auth, listener) {
+    const key = this._watchKey(auth);
+    const watch = this._watches[key];
+    if (!watch || !watch.listeners[id]) {
+      return;
+    }
+    const listeners = watch.listeners[id]
+        .filter((item) => listener && item !== listener);
+    if (listeners.length) {
+      watch.listeners[id] = listeners;
+      return;
+    }
+    delete watch.listeners[id];
+    if (!Object.keys(watch.listeners).length) {
+      clearTimeout(watch.timer);
+      watch.stopped = true;
+      delete this._watches[key];
+    }
+  }
+  /**
+   * @param {?Object} auth Authorization data.
+   * @return {String} Key of the watches of an account.
+   */
+  _watchKey(auth) {
+    return this._resolveAccountId(auth) || '';
+  }
+  /**
+   * Schedules next check for changes.
+   * @param {Object} watch Watches of an account.
+   */
+  _scheduleWatch(watch) {
+    if (watch.stopped) {
+      return;
+    }
+    watch.timer = setTimeout(() => this._checkWatch(watch),
+        this.watchInterval);
+  }
+  /**
+   * Reads changes of watched files and notifies the listeners.
+   * @param {Object} watch Watches of an account.
+   * @return {Promise}
+   */
+  async _checkWatch(watch) {
+    try {
+      const result = await this.listChanges(watch.pageToken, watch.auth,
+          { interactive: false });
+      watch.pageToken = result.newStartPageToken;
+      result.changes.forEach((change) => this._notifyWatch(watch, change));
+    } catch (_) {
+      // Checked again with the next interval.
+    }
+    this._scheduleWatch(watch);
+  }
+  /**
+   * Calls listeners of the file and its parent folders.
+   * @param {Object} watch Watches of an account.
+   * @param {Object} change Drive change
+   */
+  _notifyWatch(watch, change) {
+    const ids = [change.fileId];
+    const { file } = change;
+    if (file && file.parents) {
+      file.parents.forEach((parent) => ids.push(parent));
+    }
+    ids.forEach((id) => {
+      const listeners = watch.listeners[id];
+      if (!listeners) {
+        return;
+      }
+      const info = {
+        id,
+        fileId: change.fileId,
+        removed: !!change.removed,
+        file,
+      };
+      listeners.slice().forEach((listener) => {
+        try {
+          listener(info);
+        } catch (_) {
+          // A listener error doesn't stop other listeners.
+        }
+      });
+    });
+  }
+  /**
+   * Creates a Google Drive File.
+   *
+   * If `config.resource.mimeType` is not set and `drive.file.mime` is set then
+   * `this.mime` is used instead.
+   *
+   * When `resource.contentHints` is not set the `contentHints` generator
+   * sets the file's thumbnail and indexable text. The hints are not
+   * generated for encrypted content and content uploaded from a file or
+   * a stream.
+   *
+   * @param {Object} resource File metadata.
+   * @param {Object} media A data to send with content type.
+   * - {String} `mimeType` - A media mime type
+   * - {String|Buffer|stream.Readable} `body` - A content to save. Streams are
+   * read to memory before the upload.
+   * - {String} `filePath` - Path to a local file to upload when `body` is not
+   * set. The file is read in chunks.
+   * @param {?Object} auth Authorization data to use:
+   * - `{Object}` `auth` - Authorization data to use. If it contains
+   * `accessToken`
+   * property it will skip authorization and use this token. When it
+   * contains `accountId` property it uses the token of an account added
+   * with `addAccount()`. Otherwise it expects
+   * `@advanced-rest-client/electron-oauth2` configuration object for
+   * `Oauth2Identity.launchWebAuthFlow()` function. If the object is not set
+   * it uses the default account or, when no account was added,
+   * `Oauth2Identity.getAuthToken()` to get token from the server.
+   * It implies "oauth2" configuration in the package.json file.
+   * @param {?Object} opts Upload options:
+   * - `{Function}` `onProgress` - Called after each uploaded chunk with an
+   * object with `loaded` and `total` bytes.
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{Object}` `encryption` - When set the content is encrypted before
+   * the upload. It has `passphrase` or `key` (32 bytes) property.
+   * See `DriveEncryption` for the format of the encrypted file.
+   * - `{String}` `driveId` - ID of a shared drive to create the file in.
+   * Folder paths of `resource.parents` are resolved from the root of
+   * the drive and the file is created in the root when `parents` is not set.
+   * @return {Promise} Promise resolved to Drive response object.
+   */
+  async create(resource, media, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const { signal, driveId } = opts;
+    this._checkProperties(resource, 'create');
+    if (!resource.mimeType && this.mime) {
+      resource.mimeType = this.mime;
+    }
+    await this._setContentHints(resource, media, opts);
+    if (opts.encryption) {
+      media = await this._encryptMedia(resource, media, opts.encryption);
+    }
+    const { parents } = resource;
+    let createdParents;
+    if (parents && parents.length) {
+      createdParents = await this._resolveParents(resource, parents, auth,
+          signal, driveId);
+    }
+    if (driveId && !resource.parents) {
+      resource.parents = [driveId];
+    }
+    let url;
+    try {
+      url = await this._initializeSession(auth, resource, undefined, signal);
+    } catch (cause) {
+      // A cached folder may have been removed from Drive.
+      if (cause.status !== 404 || !createdParents ||
+        !this._removeCachedFolders(resource.parents, auth)) {
+        throw cause;
+      }
+      createdParents = await this._resolveParents(resource, parents, auth,
+          signal, driveId);
+      url = await this._initializeSession(auth, resource, undefined, signal);
+    }
+    const result = await this._upload(auth, url, this._mediaBody(media),
+        media.mimeType, opts.onProgress, signal);
+    if (createdParents) {
+      result.parents = createdParents;
+    }
+    return result;
+  }
+  /**
+   * Finds or creates parent folders of a file and sets their IDs on
+   * the resource.
+   * @param {Object} resource File metadata.
+   * @param {Array<String>|Array<Object>} parents Parents definition. See
+   * `createParents()` for details.
+   * @param {?Object} auth Authorization data to use.
+   * @param {?DriveAbortSignal} signal Cancels the operation.
+   * @param {?String} driveId ID of a shared drive.
+   * @return {Promise<Array<Object>>} Promise resolved to the list of parent
+   * folders.
+   */
+  async _resolveParents(resource, parents, auth, signal, driveId) {
+    const result = await this.createParents(parents, auth, {
+      signal,
+      driveId,
+    });
+    if (!result || !result.length) {
+      delete resource.parents;
+    } else {
+      resource.parents = result.map((item) => item.id);
+    }
+    return result;
+  }
+  /**
+   * Update a file on Google Drive.
+   *
+   * When `opts.expectedVersion` is set the current version of the file is
+   * compared with it before the content is uploaded. If the file has changed
+   * and `opts.onConflict` is not set the function is rejected with
+   * `DriveError` which `reason` is `conflict`. Otherwise `onConflict` is
+   * called with an object with `local` (the content to upload), `remote`
+   * (the current content of the file) and `version` (the current version)
+   * properties. It returns (or resolves to) merged content that is uploaded
+   * instead of `media.body`, or `undefined` to reject the update.
+   *
+   * Drive has no conditional upload so a change made between the check and
+   * the upload is not detected.
+   *
+   * @param {String} fileId A Google Drive file ID.
+   * @param {Object} resource The same as for `create` function.
+   * @param {Object} media The same as for `create` function.
+   * @param {?Object} auth The same as for `create` function.
+   * @param {?Object} opts The same as for `create` function and:
+   * - `{Object}` `expectedVersion` - The version of the file returned by
+   * `getFile()` with `withVersion` option.
+   * - `{Function}` `onConflict` - Merge callback. When the `encryption`
+   * option is set the remote content is decrypted.
+   * @return {Promise} Fulfilled promise with file properties (the response).
+   */
+  async update(fileId, resource, media, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    this._checkProperties(resource, 'update');
+    if (!resource.mimeType && this.mime) {
+      resource.mimeType = this.mime;
+    }
+    if (opts.expectedVersion) {
+      media = await this._checkVersion(fileId, media, auth, opts);
+    }
+    await this._setContentHints(resource, media, opts);
+    if (opts.encryption) {
+      media = await this._encryptMedia(resource, media, opts.encryption);
+    } else {
+      // Removes properties of previously encrypted content.
+      resource.appProperties = Object.assign(DriveEncryption.properties(),
+          resource.appProperties);
+    }
+    const url = await this._initializeSession(auth, resource, fileId,
+        opts.signal);
+    return await this._upload(auth, url, this._mediaBody(media),
+        media.mimeType, opts.onProgress, opts.signal);
+  }
+  /**
+   * Sets `contentHints` of a file generated from the content. Errors of
+   * the generator are ignored so they don't fail the upload.
+   * @param {Object} resource File metadata
+   * @param {Object} media Media to upload.
+   * @param {Object} opts Upload options
+   * @return {Promise}
+   */
+  async _setContentHints(resource, media, opts) {
+    const { body } = media;
+    if (!this.contentHints || resource.contentHints || opts.encryption ||
+      (typeof body !== 'string' && !Buffer.isBuffer(body))) {
+      return;
+    }
+    let hints;
+    try {
+      hints = await this.contentHints.create(body, resource);
+    } catch (_) {
+      return;
+    }
+    if (hints) {
+      resource.contentHints = hints;
+    }
+  }
+  /**
+   * Compares the current version of a file with the expected version and
+   * merges the content when the file has changed.
+   * @param {String} fileId File ID
+   * @param {Object} media Media to upload.
+   * @param {?Object} auth Authorization data to use.
+   * @param {Object} opts Options passed to `update()`.
+   * @return {Promise<Object>} Promise resolved to media to upload.
+   */
+  async _checkVersion(fileId, media, auth, opts) {
+    let expected = opts.expectedVersion;
+    while (true) {
+      const current = await this._getVersion(auth, fileId, 'update',
+          opts.signal);
+      if (this._isSameVersion(expected, current)) {
+        return media;
+      }
+      if (!opts.onConflict) {
+        throw this._createConflictError();
+      }
+      const remote = await this.getFile(fileId, auth, {
+        withVersion: true,
+        responseType: Buffer.isBuffer(media.body) ? 'buffer' : 'text',
+        signal: opts.signal,
+        encryption: opts.encryption,
+      });
+      let body = await opts.onConflict({
+        local: media.body,
+        remote: remote.content,
+        version: remote.version,
+      });
+      if (body === undefined || body === null) {
+        throw this._createConflictError();
+      }
+      if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body);
+      }
+      media = Object.assign({}, media, { body });
+      delete media.filePath;
+      expected = remote.version;
+    }
+  }
+  /**
+   * Compares two versions of a file. Only properties set on
+   * the `expected` version are compared.
+   * @param {Object} expected Expected version
+   * @param {Object} current Current version
+   * @return {Boolean} True when the versions are the same.
+   */
+  _isSameVersion(expected, current) {
+    const keys = ['headRevisionId', 'md5Checksum', 'modifiedTime']
+        .filter((key) => !!expected[key]);
+    if (!keys.length) {
+      return true;
+    }
+    return keys.every((key) => expected[key] === current[key]);
+  }
+  /**
+   * @return {DriveError} Error reported when the file has changed.
+   */
+  _createConflictError() {
+    return new DriveError('The file has been changed since it was read.', {
+      status: 412,
+      reason: 'conflict',
+      operation: 'update',
+    });
   }
   /**
    * Initializes resumable session to upload a file to Google Drive.
-   * @param {String} token Authorization token
+   * @param {?Object} auth Authorization data to use.
    * @param {?Object} meta Optional file meta data to send with the request
    * @param {?String} fileId If it is the update request, this is file id
    * to update
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @return {Promise<String>} Promise resolved to the upload session URL.
+   */
+  async _initializeSession(auth, meta, fileId, signal) {
+    let path = '/upload/drive/v3/files';
+    let method;
+    if (fileId) {
+      path += `/${encodeURIComponent(fileId)}`;
+      method = 'PATCH';
+    } else {
+      method = 'POST';
+    }
+    const operation = fileId ? 'update' : 'create';
+    const response = await this._request({
+      method,
+      url: this._createUrl(path, { uploadType: 'resumable' }),
+      headers: {
+        'content-type': 'application/json; charset=UTF-8',
+      },
+      body: meta ? JSON.stringify(meta) : undefined,
+      responseType: 'text',
+      operation,
+      auth,
+      signal,
+    });
+    const result = this._readHeader(response.headers, 'location');
+    if (!result) {
+      throw new DriveError('Could not initialize Drive upload session.', {
+        status: response.status,
+        operation,
+      });
+    }
+    return result;
+  }
+  /**
+   * @param {Object} media Media passed to `create()` or `update()`.
+   * @return {String|Buffer|stream.Readable|Object} Body to pass to
+   * `_upload()`.
+   */
+  _mediaBody(media) {
+    if (media.body === undefined && media.filePath) {
+      return { filePath: media.filePath };
+    }
+    return media.body;
+  }
+  /**
+   * Encrypts the media and sets the encryption parameters on the resource's
+   * `appProperties`.
+   * @param {Object} resource File metadata.
+   * @param {Object} media Media passed to `create()` or `update()`.
+   * @param {Object|DriveEncryption} encryption Encryption options.
+   * @return {Promise<Object>} Promise resolved to the media to upload.
+   */
+  async _encryptMedia(resource, media, encryption) {
+    let body = this._mediaBody(media);
+    if (body && typeof body.filePath === 'string') {
+      body = await fs.promises.readFile(body.filePath);
+    } else if (body instanceof stream.Readable) {
+      body = await this._readStream(body);
+    }
+    const data = await this._createEncryption(encryption).encrypt(body);
+    resource.appProperties = Object.assign({}, resource.appProperties,
+        DriveEncryption.properties(data));
+    return {
+      mimeType: media.mimeType,
+      body: data,
+    };
+  }
+  /**
+   * @param {Object|DriveEncryption} encryption Encryption options.
+   * @return {DriveEncryption}
+   */
+  _createEncryption(encryption) {
+    if (encryption instanceof DriveEncryption) {
+      return encryption;
+    }
+    return new DriveEncryption(encryption);
+  }
+  /**
+   * Decrypts downloaded content when it is encrypted and converts it to
+   * the requested type.
+   *
+   * A file is encrypted when its `encryption` app property is set.
+   * The properties are read only when the content has the encrypted format
+   * or `encryption` options are set, so plain files are downloaded with
+   * a single request. The content of a file with the property must have
+   * the encrypted format.
+   *
+   * @param {Buffer} body Downloaded content
+   * @param {?String} type `text` (default), `json` or `buffer`.
+   * @param {?Object} encryption Encryption options.
+   * @param {String} operation Name of the operation reported with errors.
+   * @param {Function} readProperties Function that resolves to
+   * `appProperties` of the file.
+   * @return {Promise<String|Object|Buffer>}
+   */
+  async _decodeContent(body, type, encryption, operation, readProperties) {
+    const encrypted = DriveEncryption.isEncrypted(body);
+    let marked = false;
+    if (encrypted || encryption) {
+      const properties = await readProperties();
+      marked = !!(properties && properties.encryption);
+    }
+    if (marked && !encrypted) {
+      throw DriveError.from(DriveEncryption.createError('invalidEncryption',
+          'The file is marked as encrypted but its content is not.'),
+      operation);
+    }
+    if (marked) {
+      if (!encryption) {
+        throw DriveError.from(DriveEncryption.createError('keyRequired',
+            'The file is encrypted. Encryption passphrase or key is required.'),
+        operation);
+      }
+      try {
+        body = await this._createEncryption(encryption).decrypt(body);
+      } catch (cause) {
+        throw DriveError.from(cause, operation);
+      }
+    }
+    return this._readResponseBody(body, type || 'text', operation);
+  }
+  /**
+   * Uploads the file to the upload endpoint.
+   * The `url` is received from the Drive upload location of the upload for
+   * the resource.
+   *
+   * The content is sent in chunks of `chunkSize` bytes. When the connection
+   * is interrupted it asks the upload session for the number of bytes
+   * the server received and continues from that point.
+   *
+   * @param {?Object} auth Authorization data to use.
+   * @param {String} url
+   * @param {String|Buffer|stream.Readable|Object} body Content to upload or
+   * an object with `filePath` property.
+   * @param {String} mimeType
+   * @param {?Function} onProgress Called after each uploaded chunk with
+   * an object with `loaded` and `total` bytes.
+   * @param {?DriveAbortSignal} signal Cancels the upload.
+   * @return {Promise} Promise resolved to Drive response object.
+   */
+  async _upload(auth, url, body, mimeType, onProgress, signal) {
+    const source = await this._openUploadSource(body);
+    try {
+      return await this._uploadSource(auth, url, source, mimeType, onProgress,
+          signal);
+    } finally {
+      await source.close();
+    }
+  }
+  /**
+   * Sends content of an upload source in chunks.
+   * @param {?Object} auth Authorization data to use.
+   * @param {String} url
+   * @param {Object} source Source created by `_openUploadSource()`.
+   * @param {String} mimeType
+   * @param {?Function} onProgress
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise} Promise resolved to Drive response object.
+   */
+  async _uploadSource(auth, url, source, mimeType, onProgress, signal) {
+    const total = source.size;
+    let offset = 0;
+    let retries = 0;
+    let interrupted = false;
+    while (true) {
+      let result;
+      try {
+        if (interrupted) {
+          result = await this._uploadChunk(auth, url, undefined,
+              `bytes */${total}`, undefined, signal);
+        } else if (!total) {
+          result = await this._uploadChunk(auth, url, Buffer.alloc(0),
+              undefined, mimeType, signal);
+        } else {
+          const end = Math.min(offset + this.chunkSize, total);
+          const chunk = await source.read(offset, end);
+          result = await this._uploadChunk(auth, url, chunk,
+              `bytes ${offset}-${end - 1}/${total}`, mimeType, signal);
+        }
+      } catch (cause) {
+        if (!cause.retryable || retries >= this.uploadRetries) {
+          throw cause;
+        }
+        await this._delay(this._retryDelay(retries), signal);
+        if (signal && signal.aborted) {
+          throw this._createAbortError();
+        }
+        retries++;
+        interrupted = true;
+        continue;
+      }
+      interrupted = false;
+      if (result.file) {
+        if (onProgress) {
+          onProgress({ loaded: total, total });
+        }
+        return result.file;
+      }
+      if (result.offset > offset) {
+        retries = 0;
+      }
+      offset = result.offset;
+      if (onProgress) {
+        onProgress({ loaded: offset, total });
+      }
+    }
+  }
+  /**
+   * Creates a source of the upload content.
+   * A local file is read in ranges so it is never loaded to memory as
+   * a whole. Streams are read to memory first as the upload may have to
+   * repeat a chunk.
+   * @param {String|Buffer|stream.Readable|Object} body Content to upload or
+   * an object with `filePath` property.
+   * @return {Promise<Object>} Promise resolved to an object with `size`
+   * property and `read(start, end)` and `close()` functions.
+   */
+  async _openUploadSource(body) {
+    if (body && typeof body.filePath === 'string') {
+      const handle = await fs.promises.open(body.filePath, 'r');
+      let size;
+      try {
+        size = (await handle.stat()).size;
+      } catch (e) {
+        await handle.close();
+        throw e;
+      }
+      return {
+        size,
+        read: async (start, end) => {
+          const buffer = Buffer.alloc(end - start);
+          const { bytesRead } = await handle.read(buffer, 0, buffer.length,
+              start);
+          return buffer.slice(0, bytesRead);
+        },
+        close: () => handle.close(),
+      };
+    }
+    if (body instanceof stream.Readable) {
+      body = await this._readStream(body);
+    } else if (!Buffer.isBuffer(body)) {
+      body = Buffer.from(body || '');
+    }
+    return {
+      size: body.length,
+      read: (start, end) => Promise.resolve(body.slice(start, end)),
+      close: () => Promise.resolve(),
+    };
+  }
+  /**
+   * Reads a stream to a buffer.
+   * @param {stream.Readable} readable
+   * @return {Promise<Buffer>}
+   */
+  _readStream(readable) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      readable.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+      readable.on('end', () => resolve(Buffer.concat(chunks)));
+      readable.on('error', reject);
+    });
+  }
+  /**
+   * Sends a single upload request to the resumable upload session.
+   *
+   * When `chunk` is not set it queries the session for the upload status.
+   *
+   * Errors that allow to resume the upload have `retryable` property set.
+   *
+   * @param {?Object} auth Authorization data to use.
+   * @param {String} url Upload session URL
+   * @param {?Buffer} chunk Data to send.
+   * @param {?String} range Value of the `content-range` header.
+   * @param {?String} mimeType Media type of the file.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @return {Promise} Promise resolved to an object with `file` property
+   * when the upload is completed or `offset` property with the number of
+   * bytes received by the server.
+   */
+  async _uploadChunk(auth, url, chunk, range, mimeType, signal) {
+    const headers = {};
+    if (mimeType) {
+      headers['content-type'] = mimeType;
+    }
+    if (range) {
+      headers['content-range'] = range;
+    }
+    const response = await this._request({
+      method: 'PUT',
+      url,
+      headers,
+      body: chunk,
+      retry: false,
+      operation: 'upload',
+      auth,
+      signal,
+    });
+    if (response.status === 308) {
+      return { offset: this._readUploadOffset(response.headers) };
+    }
+    return { file: response.body };
+  }
+  /**
+   * Reads the number of bytes received by the upload session from
+   * the `range` header of an upload response.
+   * @param {Object} headers Response headers
+   * @return {Number}
+   */
+  _readUploadOffset(headers) {
+    const range = this._readHeader(headers, 'range');
+    if (!range) {
+      return 0;
+    }
+    const match = /bytes=\d+-(\d+)/.exec(range);
+    return match ? Number(match[1]) + 1 : 0;
+  }
+  /**
+   * Creates a list of folders in Google Drive.
+   * It expects the input list to be array of `string` as a list of names of
+   * folders to create or array of objects with `name` and optional
+   * `id` properties.
+   * If the item on the array already have `id` the folder won't be created.
+   *
+   * A name can be a path of folders separated with `/`, e.g.
+   * `ARC/exports/2026`. The path is resolved one level at a time starting
+   * from the root folder. Existing folders are reused and only missing ones
+   * are created.
+   *
+   * The resulting list will contain list of objects with `name` and `id`.
+   * For a path it is the last folder of the path.
+   *
+   * @param {Array<String>|Array<Object>} parents
+   * @param {?Object} auth Authorization data to use:
+   * - `{Object}` `auth` - Authorization data to use. If it contains
+   * `accessToken`
+   * property it will skip authorization and use this token. Otherwise
+   * it expects
+   * `@advanced-rest-client/electron-oauth2` configuration object for
+   * `Oauth2Identity.launchWebAuthFlow()` function. If the object is not set
+   * it uses `Oauth2Identity.getAuthToken()` to get token from the server.
+   * It implies "oauth2" configuration in the package.json file.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{String}` `driveId` - ID of a shared drive. Paths are resolved from
+   * the root of the drive and `My Drive` means the root of the drive.
+   * @return {Promise<Array<Object>>}
+   */
+  async createParents(parents, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    if (!parents || !parents.length) {
+      throw new Error('The parents argument not set.');
+    }
+    parents = this._normalizeParents(parents);
+    if (!parents.length) {
+      return [];
+    }
+    await this._restoreFolderCache(auth);
+    return await this._createParents(parents, auth, [], opts.signal,
+        opts.driveId);
+  }
+  /**
+   * Niormalizes "parents" array to common model.
+   * @param {Array} parents
+   * @return {Array<Object>}
+   */
+  _normalizeParents(parents) {
+    const result = [];
+    parents.forEach((item) => {
+      if (typeof item === 'string') {
+        if (item.toLowerCase() === 'my drive') {
+          result[result.length] = { id: 'root' };
+        } else {
+          result[result.length] = { name: item };
+        }
+      } else {
+        if (!item.name && !item.id) {
+          return;
+        }
+        result[result.length] = item;
+      }
+    });
+    return result;
+  }
+  /**
+   * Creates parent folders in Driver API.
+   * @param {Array} parents List of parent to create
+   * @param {?Object} auth Authorization data to use.
+   * @param {Array} result A list to insert results to.
+   * @param {?DriveAbortSignal} signal Cancels the operation.
+   * @param {?String} driveId ID of a shared drive.
    * @return {Promise}
    */
-  _initializeSession(token, meta, fileId) {
-    let url = 'https://www.googleapis.com/upload/drive/v3/files';
-    let method;
-    if (fileId) {
-      url += `/${fileId}?uploadType=resumable`;
-      method = 'PATCH';
-    } else {
-      url += '?uploadType=resumable';
-      method = 'POST';
+  async _createParents(parents, auth, result, signal, driveId) {
+    const parent = parents.shift();
+    if (!parent) {
+      return result;
     }
-    return new Promise((resolve, reject) => {
-      const request = net.request({
-        method,
-        url,
+    if (parent.id) {
+      result.push(parent.id === 'root' && driveId ? { id: driveId } : parent);
+      return await this._createParents(parents, auth, result, signal,
+          driveId);
+    }
+    const folder = await this._resolveFolderPath(parent.name, auth, signal,
+        driveId);
+    result.push(folder);
+    return await this._createParents(parents, auth, result, signal, driveId);
+  }
+  /**
+   * Finds or creates each folder of a path.
+   * Folders of shared drives are not cached.
+   * @param {String} path Folder names separated with `/`.
+   * @param {?Object} auth Authorization data to use.
+   * @param {?DriveAbortSignal} signal Cancels the operation.
+   * @param {?String} driveId ID of a shared drive to resolve the path in.
+   * @return {Promise<Object>} Promise resolved to the last folder of the path
+   * with `id` and `name` properties.
+   */
+  async _resolveFolderPath(path, auth, signal, driveId) {
+    const names = path.split('/')
+        .map((item) => item.trim())
+        .filter((item) => !!item);
+    if (names.length && names[0].toLowerCase() === 'my drive') {
+      names.shift();
+    }
+    let folder = { id: driveId || 'root' };
+    for (const name of names) {
+      const parent = folder.id;
+      folder = await this._findFolder(name, parent, auth, signal, driveId);
+      if (!folder) {
+        const id = await this._createFolder(name, auth, parent, signal);
+        folder = { id, name };
+      }
+      if (!driveId) {
+        this._cacheFolder({ id: folder.id, name, parents: [parent] }, auth);
+      }
+    }
+    return folder;
+  }
+  /**
+   * Looks for a folder with given name in a parent folder.
+   * It uses the folders cache before it queries Drive.
+   * @param {String} name Folder name
+   * @param {String} parent Parent folder ID
+   * @param {?Object} auth Authorization data to use.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @param {?String} driveId ID of the shared drive of the parent.
+   * @return {Promise<Object|undefined>} Promise resolved to the folder
+   * with `id` and `name` properties or `undefined` when not found.
+   */
+  async _findFolder(name, parent, auth, signal, driveId) {
+    const folders = this._folderCache(auth).folders || [];
+    const cached = folders.find((item) => item.name === name &&
+      item.parents && item.parents.includes(parent));
+    if (cached) {
+      return { id: cached.id, name };
+    }
+    const q = new DriveQuery()
+        .trashed(false)
+        .folder()
+        .name(name)
+        .parent(parent);
+    const result = await this._listFiles(auth, this._setDriveParams({
+      q: q.toString(),
+      pageSize: 1,
+      fields: 'files(id,name)',
+    }, driveId), signal);
+    const file = result.files && result.files[0];
+    if (file) {
+      return { id: file.id, name: file.name };
+    }
+  }
+  /**
+   * Adds a folder to the folders cache if it is not already there.
+   * @param {Object} folder Folder with `id`, `name` and `parents` properties.
+   * @param {?Object} auth Authorization data.
+   */
+  _cacheFolder(folder, auth) {
+    const cache = this._folderCache(auth);
+    if (!cache.folders) {
+      cache.folders = [];
+    }
+    if (!cache.folders.some((item) => item.id === folder.id)) {
+      cache.folders.push(folder);
+      this._storeFolderCache(auth);
+    }
+  }
+  /**
+   * Creates a Google Drive folder.
+   *
+   * @param {String} name Folder name
+   * @param {?Object} auth Authorization data to use:
+   * - `{Object}` `auth` - Authorization data to use. If it contains
+   * `accessToken`
+   * property it will skip authorization and use this token.
+   * Otherwise it expects
+   * `@advanced-rest-client/electron-oauth2` configuration object for
+   * `Oauth2Identity.launchWebAuthFlow()` function. If the object is not set
+   * it uses `Oauth2Identity.getAuthToken()` to get token from the server.
+   * It implies "oauth2" configuration in the package.json file.
+   * @param {?String} parent ID of the parent folder. By default the folder
+   * is created in the root folder.
+   * @return {Promise} Promise resolved to created folder ID.
+   */
+  async createFolder(name, auth, parent) {
+    return await this._createFolder(name, auth, parent);
+  }
+  /**
+   * Makes a request to Drive API to create a folder.
+   * @param {String} name Folder name
+   * @param {?Object} auth Authorization data to use.
+   * @param {?String} parent ID of the parent folder.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @return {Promise} A promise resolved to created foleder ID.
+   */
+  async _createFolder(name, auth, parent, signal) {
+    const mimeType = 'application/vnd.google-apps.folder';
+    const resource = {
+      name,
+      mimeType,
+    };
+    if (parent) {
+      resource.parents = [parent];
+    }
+    const response = await this._request({
+      method: 'POST',
+      url: this._createUrl('/drive/v3/files', { alt: 'json' }),
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(resource),
+      operation: 'createFolder',
+      auth,
+      signal,
+    });
+    return response.body.id;
+  }
+  /**
+   * Handler for get file event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} id File id
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use. Default to
+   * the default account.
+   * - `{Boolean}` `withVersion` - See `getFile()`.
+   * - `{String}` `responseType` - See `getFile()`.
+   * - `{Object}` `encryption` - See `getFile()`.
+   */
+  async _getFileHandler(e, requestId, id, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const auth = this._createIpcAuth(undefined, opts.accountId);
+    try {
+      const result = await this.getFile(id, auth, {
+        withVersion: opts.withVersion,
+        responseType: opts.responseType,
+        encryption: opts.encryption,
+        signal: this._startOperation(e, requestId),
       });
-      const body = meta ? JSON.stringify(meta) : undefined;
-      request.setHeader('authorization', 'Bearer ' + token);
-      request.setHeader('Content-Type', 'application/json; charset=UTF-8');
-      request.on('response', (response) => {
-        if (response.statusCode >= 400) {
-          let body = [];
-          response.on('data', (chunk) => {
-            body.push(chunk);
-          });
-          response.on('end', () => {
-            body = Buffer.concat(body).toString();
-            let msg = 'Could not initialize Drive upload session. Reason: ';
-            msg += body;
-            reject(new Error(msg));
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'getFile');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Downloads the file data by given ID.
+   * @param {String} id File ID
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Download options:
+   * - `{String}` `responseType` - `text` (default), `json` or `buffer`.
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{Boolean}` `withVersion` - When set the function resolves to
+   * an object with `content` and `version` properties. The version has
+   * `headRevisionId`, `modifiedTime` and `md5Checksum` properties and can be
+   * passed to `update()` as `expectedVersion`.
+   * - `{Object}` `encryption` - Decrypts encrypted file. It has `passphrase`
+   * or `key` property. A file is encrypted when it has the `encryption` app
+   * property. When the file is encrypted and the option is not set
+   * the function is rejected with `DriveError` which `reason` is
+   * `keyRequired`. A wrong key is reported with `invalidKey` reason.
+   * @return {Promise} Promise resolved to file's data.
+   */
+  async getFile(id, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const type = opts.responseType || 'text';
+    const { signal } = opts;
+    const readProperties = () =>
+      this._getAppProperties(auth, id, 'getFile', signal);
+    if (!opts.withVersion) {
+      const body = await this._downloadFile(auth, id, 'buffer', signal);
+      return await this._decodeContent(body, type, opts.encryption,
+          'getFile', readProperties);
+    }
+    // The version is read first so a change made during the download
+    // is reported as a conflict rather than lost.
+    const version = await this._getVersion(auth, id, 'getFile', signal);
+    const body = await this._downloadFile(auth, id, 'buffer', signal);
+    const content = await this._decodeContent(body, type, opts.encryption,
+        'getFile', readProperties);
+    return { content, version };
+  }
+  /**
+   * Reads app properties of a file.
+   * @param {?Object} auth Authorization data to use.
+   * @param {String} id File ID
+   * @param {String} operation Name of the operation reported with errors.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @return {Promise<Object>} Promise resolved to the `appProperties` of
+   * the file.
+   */
+  async _getAppProperties(auth, id, operation, signal) {
+    const response = await this._request({
+      url: this._createUrl(this._filePath(id), {
+        fields: 'appProperties',
+      }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation,
+      auth,
+      signal,
+    });
+    return response.body.appProperties || {};
+  }
+  /**
+   * Reads the version of a file.
+   * @param {?Object} auth Authorization data to use.
+   * @param {String} id File ID
+   * @param {String} operation Name of the operation reported with errors.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @return {Promise<Object>} Promise resolved to an object with
+   * `headRevisionId`, `modifiedTime` and `md5Checksum` properties.
+   */
+  async _getVersion(auth, id, operation, signal) {
+    const response = await this._request({
+      url: this._createUrl(this._filePath(id), {
+        fields: 'headRevisionId,modifiedTime,md5Checksum',
+      }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation,
+      auth,
+      signal,
+    });
+    const { headRevisionId, modifiedTime, md5Checksum } = response.body;
+    return { headRevisionId, modifiedTime, md5Checksum };
+  }
+  /**
+   * Handles the launch of the application from Drive UI.
+   *
+   * The state is read with `parseLaunchState()`. For the `open` action
+   * the files are downloaded with `getFile()`. For the `create` action
+   * the result has the folder in which the user wants to create a file.
+   * The result is sent to the renderer with `google-drive-open-request`
+   * event.
+   *
+   * @param {String|Array<String>} input The launch URL or command line
+   * arguments. See `parseLaunchState()`.
+   * @param {?WebContents} webContents The renderer to notify.
+   * @param {?Object} opts Options:
+   * - `{Object}` `auth` - Authorization data to use. The same as for
+   * `create` function.
+   * - `{String}` `responseType` - Type of the files content. See `getFile()`.
+   * - `{Object}` `encryption` - Decrypts encrypted files. See `getFile()`.
+   * @return {Promise<Object|undefined>} Promise resolved to an object with
+   * `action` and `userId` properties and `files` (for `open`) or `folderId`
+   * (for `create`) property, or `undefined` when the input has no state.
+   * Each file has `id`, `name`, `mimeType`, `parents`, `version` and
+   * `content` properties.
+   */
+  async handleLaunch(input, webContents, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const state = DriveExport.parseLaunchState(input);
+    if (!state) {
+      return;
+    }
+    const result = {
+      action: state.action,
+      userId: state.userId,
+    };
+    if (state.action === 'create') {
+      result.folderId = state.folderId;
+    } else {
+      result.files = [];
+      for (const id of state.ids) {
+        result.files.push(await this._openFile(id, opts));
+      }
+    }
+    if (webContents) {
+      webContents.send('google-drive-open-request', result);
+    }
+    return result;
+  }
+  /**
+   * Reads metadata and content of a file opened from Drive UI.
+   * @param {String} id File ID
+   * @param {Object} opts Options passed to `handleLaunch()`.
+   * @return {Promise<Object>}
+   */
+  async _openFile(id, opts) {
+    const response = await this._request({
+      url: this._createUrl(this._filePath(id), {
+        fields: 'id,name,mimeType,parents,headRevisionId,modifiedTime,' +
+          'md5Checksum',
+      }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'open',
+      auth: opts.auth,
+    });
+    const meta = response.body;
+    const content = await this.getFile(id, opts.auth, {
+      responseType: opts.responseType,
+      encryption: opts.encryption,
+    });
+    return {
+      id: meta.id,
+      name: meta.name,
+      mimeType: meta.mimeType,
+      parents: meta.parents,
+      version: {
+        headRevisionId: meta.headRevisionId,
+        modifiedTime: meta.modifiedTime,
+        md5Checksum: meta.md5Checksum,
+      },
+      content,
+    };
+  }
+  /**
+   * Handler for `google-drive-download-file` event.
+   * The progress is reported with `google-drive-download-progress` event
+   * sent with the `requestId` and an object with `loaded` and `total`
+   * properties.
+   * The destination must be a file in one of the `downloadDirectories`.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} id File ID
+   * @param {String} destination Path of the file to write.
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _downloadFileHandler(e, requestId, id, destination, opts) {
+    if (!this._isDownloadDestination(destination)) {
+      const error = new DriveError(
+          'The destination is outside of the download directories.', {
+            reason: 'invalidDestination',
           });
-          return;
-        }
-        const result = response.headers.location;
-        if (result) {
-          resolve(result instanceof Array ? result[0] : result);
-          response.destroy();
-        } else {
-          reject(new Error('Could not initialize Drive upload session.'));
+      this._sendError(e, requestId, error, 'download');
+      return;
+    }
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const downloadOpts = {
+      onProgress: (progress) => {
+        e.sender.send('google-drive-download-progress', requestId, progress);
+      },
+      signal: this._startOperation(e, requestId),
+    };
+    try {
+      const result = await this.downloadToFile(id, destination, auth,
+          downloadOpts);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'download');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * @return {Array<String>} Directories to which the renderer process can
+   * download files.
+   */
+  _getDownloadDirectories() {
+    return this.downloadDirectories || [app.getPath('downloads')];
+  }
+  /**
+   * @param {String} destination Path received from the renderer process.
+   * @return {Boolean} True when the destination is an absolute path of
+   * a file in one of the `downloadDirectories`.
+   */
+  _isDownloadDestination(destination) {
+    if (!destination || typeof destination !== 'string' ||
+      !path.isAbsolute(destination)) {
+      return false;
+    }
+    const file = path.resolve(destination);
+    return this._getDownloadDirectories().some((directory) => {
+      const relative = path.relative(path.resolve(directory), file);
+      return !!relative && relative !== '..' &&
+        !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+    });
+  }
+  /**
+   * Downloads a file to disk.
+   *
+   * The content is written to a temporary file next to the destination as it
+   * arrives so it is never held in memory. When the download is complete
+   * the content is compared with Drive's `md5Checksum` of the file and
+   * the temporary file is renamed to the destination. When the checksum does
+   * not match, the download fails or is cancelled the temporary file is
+   * removed and the destination is not changed.
+   *
+   * @param {String} id File ID
+   * @param {String} destination Path of the file to write.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Download options:
+   * - `{Function}` `onProgress` - Called with an object with `loaded` and
+   * `total` bytes when a part of the file is written.
+   * - `{DriveAbortSignal}` `signal` - The `signal` of `DriveAbortController`
+   * that cancels the download.
+   * @return {Promise<Object>} Promise resolved to an object with `path`,
+   * `size` and `md5Checksum` properties.
+   */
+  async downloadToFile(id, destination, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const operation = 'download';
+    const { signal } = opts;
+    const meta = await this._request({
+      url: this._createUrl(this._filePath(id), {
+        fields: 'size,md5Checksum',
+      }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation,
+      auth,
+      signal,
+    });
+    const response = await this._request({
+      url: this._createUrl(this._filePath(id), { alt: 'media' }),
+      responseType: 'stream',
+      operation,
+      auth,
+      signal,
+    });
+    const total = Number(meta.body.size) ||
+      Number(this._readHeader(response.headers, 'content-length')) || 0;
+    const temp = `${destination}.${crypto.randomBytes(6).toString('hex')}` +
+      '.download';
+    let result;
+    try {
+      result = await this._writeStream(response.body, temp, {
+        total,
+        signal,
+        onProgress: opts.onProgress,
+      });
+      const expected = meta.body.md5Checksum;
+      if (expected && expected !== result.md5Checksum) {
+        throw new DriveError('The downloaded file is corrupted.', {
+          reason: 'checksumMismatch',
+          retryable: true,
+        });
+      }
+      await fs.promises.rename(temp, destination);
+    } catch (cause) {
+      try {
+        await fs.promises.unlink(temp);
+      } catch (_) {}
+      throw DriveError.from(cause, operation);
+    }
+    return Object.assign({ path: destination }, result);
+  }
+  /**
+   * Writes a stream to a file.
+   * @param {stream.Readable} readable
+   * @param {String} file Path of the file to write.
+   * @param {Object} opts Options:
+   * - `{Number}` `total` - Expected size of the content.
+   * - `{Function}` `onProgress` - Progress callback.
+   * - `{DriveAbortSignal}` `signal` - Stops writing the file.
+   * @return {Promise<Object>} Promise resolved to an object with `size` and
+   * `md5Checksum` properties.
+   */
+  async _writeStream(readable, file, opts) {
+    const { signal, onProgress, total } = opts;
+    const hash = crypto.createHash('md5');
+    let loaded = 0;
+    const onAbort = () => readable.destroy(this._createAbortError());
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      }
+      signal.once('abort', onAbort);
+    }
+    const handle = await fs.promises.open(file, 'wx');
+    try {
+      for await (const chunk of readable) {
+        await handle.write(chunk);
+        hash.update(chunk);
+        loaded += chunk.length;
+        if (onProgress) {
+          onProgress({ loaded, total });
         }
+      }
+    } finally {
+      if (signal) {
+        signal.removeListener('abort', onAbort);
+      }
+      await handle.close();
+    }
+    return {
+      size: loaded,
+      md5Checksum: hash.digest('hex'),
+    };
+  }
+  /**
+   * Makes a request to Drive API to downloaid file content.
+   * @param {?Object} auth Authorization data to use.
+   * @param {String} id File id
+   * @param {?String} responseType `text` (default), `json` or `buffer`.
+   * @param {?DriveAbortSignal} signal Cancels the request.
+   * @return {Promise}
+   */
+  async _downloadFile(auth, id, responseType, signal) {
+    const response = await this._request({
+      url: this._createUrl(this._filePath(id), { alt: 'media' }),
+      responseType: responseType || 'text',
+      operation: 'getFile',
+      auth,
+      signal,
+    });
+    return response.body;
+  }
+  /**
+   * Handler for `google-drive-list-revisions` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _listRevisionsHandler(e, requestId, fileId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.listRevisions(fileId, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'listRevisions');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-get-revision` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {?Object} opts Options with optional `accountId` and `encryption`
+   * properties.
+   */
+  async _getRevisionHandler(e, requestId, fileId, revisionId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.getRevision(fileId, revisionId, auth, {
+        signal,
+        encryption: opts && opts.encryption,
       });
-      request.on('error', (error) => {
-        reject(error);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'getRevision');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-restore-revision` event.
+   * The upload progress is reported with `google-drive-upload-progress`
+   * event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _restoreRevisionHandler(e, requestId, fileId, revisionId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const uploadOpts = {
+      onProgress: (progress) => {
+        e.sender.send('google-drive-upload-progress', requestId, progress);
+      },
+      signal: this._startOperation(e, requestId),
+    };
+    try {
+      const result = await this.restoreRevision(fileId, revisionId, auth,
+          uploadOpts);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'restoreRevision');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-keep-revision` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {Boolean} keepForever
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _keepRevisionHandler(e, requestId, fileId, revisionId, keepForever,
+      opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.keepRevision(fileId, revisionId, keepForever,
+          auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'keepRevision');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Lists revisions of a file, oldest first.
+   * It reads all pages of the results before the promise is resolved.
+   *
+   * Drive removes old revisions of binary files unless they are pinned with
+   * `keepRevision()`.
+   *
+   * @param {String} fileId File ID
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of revisions.
+   * Each revision has `id`, `mimeType`, `modifiedTime`, `size`,
+   * `md5Checksum`, `keepForever` and `lastModifyingUser` properties.
+   */
+  async listRevisions(fileId, auth, opts) {
+    const params = {
+      fields: `nextPageToken,revisions(${REVISION_FIELDS})`,
+    };
+    const revisions = [];
+    do {
+      const response = await this._request({
+        url: this._createUrl(this._revisionPath(fileId), params),
+        headers: {
+          accept: 'application/json',
+        },
+        operation: 'listRevisions',
+        auth,
+        signal: opts && opts.signal,
       });
-      request.write(body);
-      request.end();
+      const result = response.body;
+      if (result.revisions) {
+        result.revisions.forEach((item) => revisions.push(item));
+      }
+      params.pageToken = result.nextPageToken;
+    } while (params.pageToken);
+    return revisions;
+  }
+  /**
+   * Downloads content of a revision.
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{Object}` `encryption` - Decrypts encrypted revision. See `getFile()`.
+   * The revision is encrypted when the file has the `encryption` app
+   * property.
+   * @return {Promise<String>} Promise resolved to revision's string data.
+   */
+  async getRevision(fileId, revisionId, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const response = await this._request({
+      url: this._createUrl(this._revisionPath(fileId, revisionId),
+          { alt: 'media' }),
+      responseType: 'buffer',
+      operation: 'getRevision',
+      auth,
+      signal: opts.signal,
+    });
+    return await this._decodeContent(response.body, 'text', opts.encryption,
+        'getRevision', () => this._getAppProperties(auth, fileId,
+            'getRevision', opts.signal));
+  }
+  /**
+   * Restores content of a file from a revision.
+   * The content of the revision is uploaded as a new revision of the file so
+   * the history is preserved.
+   *
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Upload options. The same as for `create` function.
+   * @return {Promise} Promise resolved to updated file.
+   */
+  async restoreRevision(fileId, revisionId, auth, opts) {
+    const signal = opts && opts.signal;
+    const path = this._revisionPath(fileId, revisionId);
+    const meta = await this._request({
+      url: this._createUrl(path, { fields: 'id,mimeType' }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'restoreRevision',
+      auth,
+      signal,
+    });
+    const content = await this._request({
+      url: this._createUrl(path, { alt: 'media' }),
+      responseType: 'buffer',
+      operation: 'restoreRevision',
+      auth,
+      signal,
+    });
+    const { mimeType } = meta.body;
+    // The content is restored as it is, encrypted or not.
+    const resource = {
+      mimeType,
+      appProperties: DriveEncryption.properties(content.body),
+    };
+    const updateOpts = Object.assign({}, opts);
+    delete updateOpts.encryption;
+    return await this.update(fileId, resource, {
+      mimeType,
+      body: content.body,
+    }, auth, updateOpts);
+  }
+  /**
+   * Sets whether a revision is kept forever.
+   * Drive keeps up to 200 revisions of a file this way.
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {Boolean} keepForever
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Object>} Promise resolved to updated revision.
+   */
+  async keepRevision(fileId, revisionId, keepForever, auth, opts) {
+    const response = await this._request({
+      method: 'PATCH',
+      url: this._createUrl(this._revisionPath(fileId, revisionId),
+          { fields: REVISION_FIELDS }),
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({ keepForever: !!keepForever }),
+      operation: 'keepRevision',
+      auth,
+      signal: opts && opts.signal,
     });
+    return response.body;
   }
   /**
-   * Uploads the file to the upload endpoint.
-   * The `url` is received from the Drive upload location of the upload for
-   * the resource.
-   * @param {String} token
-   * @param {String} url
-   * @param {String} body
-   * @param {String} mimeType
-   * @return {Promise}
+   * @param {String} fileId File ID
+   * @param {?String} revisionId Revision ID
+   * @return {String} Path of the revisions endpoint.
    */
-  _upload(token, url, body, mimeType) {
-    return new Promise((resolve, reject) => {
-      const request = net.request({
-        method: 'PUT',
-        url,
-      });
-      request.setHeader('authorization', 'Bearer ' + token);
-      request.setHeader('content-type', mimeType);
-      request.on('response', (response) => {
-        let body = [];
-        response.on('data', (chunk) => {
-          body.push(chunk);
-        });
-        response.on('end', () => {
-          body = Buffer.concat(body).toString();
-          try {
-            body = JSON.parse(body);
-          } catch (e) {
-            reject(e);
-            return;
-          }
-          resolve(body);
-        });
+  _revisionPath(fileId, revisionId) {
+    let path = `/drive/v3/files/${encodeURIComponent(fileId)}/revisions`;
+    if (revisionId) {
+      path += `/${encodeURIComponent(revisionId)}`;
+    }
+    return path;
+  }
+  /**
+   * Handler for `google-drive-share` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {Object} permission Permission to create. See `share()`.
+   * @param {?Object} opts Options with optional `accountId`,
+   * `sendNotificationEmail` and `emailMessage` properties.
+   */
+  async _shareHandler(e, requestId, fileId, permission, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const auth = this._createIpcAuth(undefined, opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.share(fileId, permission, auth, {
+        signal,
+        sendNotificationEmail: opts.sendNotificationEmail,
+        emailMessage: opts.emailMessage,
       });
-      request.on('error', (error) => {
-        reject(error);
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'share');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-share-link` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {?Object} opts Options with optional `accountId`, `role` and
+   * `allowFileDiscovery` properties.
+   */
+  async _shareLinkHandler(e, requestId, fileId, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const auth = this._createIpcAuth(undefined, opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.shareLink(fileId, auth, {
+        signal,
+        role: opts.role,
+        allowFileDiscovery: opts.allowFileDiscovery,
       });
-      request.write(body);
-      request.end();
-    });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'share');
+    } finally {
+      this._endOperation(e, requestId);
+    }
   }
   /**
-   * Creates a list of folders in Google Drive.
-   * It expects the input list to be array of `string` as a list of names of
-   * folders to create or array of objects with `name` and optional
-   * `id` properties.
-   * If the item on the array already have `id` the folder won't be created.
-   *
-   * The resulting list will contain list of objects with `name` and `id`.
+   * Handler for `google-drive-list-permissions` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _listPermissionsHandler(e, requestId, fileId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.listPermissions(fileId, auth, { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'listPermissions');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Handler for `google-drive-revoke-permission` event.
+   * @param {Event} e
+   * @param {String} requestId
+   * @param {String} fileId File ID
+   * @param {String} permissionId Permission ID
+   * @param {?Object} opts Options with optional `accountId` property.
+   */
+  async _revokePermissionHandler(e, requestId, fileId, permissionId, opts) {
+    const auth = this._createIpcAuth(undefined, opts && opts.accountId);
+    const signal = this._startOperation(e, requestId);
+    try {
+      const result = await this.revokePermission(fileId, permissionId, auth,
+          { signal });
+      e.sender.send('google-drive-operation-result', requestId, result);
+    } catch (cause) {
+      this._sendError(e, requestId, cause, 'revokePermission');
+    } finally {
+      this._endOperation(e, requestId);
+    }
+  }
+  /**
+   * Shares a file with a user, a group or a domain.
    *
-   * @param {Array<String>|Array<Object>} parents
-   * @param {?Object} auth Authorization data to use:
-   * - `{Object}` `auth` - Authorization data to use. If it contains
-   * `accessToken`
-   * property it will skip authorization and use this token. Otherwise
-   * it expects
-   * `@advanced-rest-client/electron-oauth2` configuration object for
-   * `Oauth2Identity.launchWebAuthFlow()` function. If the object is not set
-   * it uses `Oauth2Identity.getAuthToken()` to get token from the server.
-   * It implies "oauth2" configuration in the package.json file.
-   * @return {Promise<Array<Object>>}
+   * @param {String} fileId File ID
+   * @param {Object} permission Permission to create:
+   * - `{String}` `type` - `user`, `group`, `domain` or `anyone`. See also
+   * `shareLink()`.
+   * - `{String}` `role` - `reader`, `commenter` or `writer`.
+   * - `{String}` `emailAddress` - Email address of the user or the group.
+   * - `{String}` `domain` - The domain, for the `domain` type.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{Boolean}` `sendNotificationEmail` - Whether Drive sends an email to
+   * the user or the group. Default to Drive's default (`true`).
+   * - `{String}` `emailMessage` - Message included in the email.
+   * @return {Promise<Object>} Promise resolved to created permission with
+   * `id`, `type`, `role`, `emailAddress`, `domain`, `displayName` and
+   * `allowFileDiscovery` properties.
    */
-  async createParents(parents, auth) {
-    if (!parents || !parents.length) {
-      throw new Error('The parents argument not set.');
+  async share(fileId, permission, auth, opts) {
+    if (!opts) {
+      opts = {};
     }
-    parents = this._normalizeParents(parents);
-    if (!parents.length) {
-      return [];
+    const body = this._createPermission(permission);
+    const params = { fields: PERMISSION_FIELDS };
+    if (body.type === 'user' || body.type === 'group') {
+      if (typeof opts.sendNotificationEmail === 'boolean') {
+        params.sendNotificationEmail = opts.sendNotificationEmail;
+      }
+      if (opts.emailMessage && params.sendNotificationEmail !== false) {
+        params.emailMessage = opts.emailMessage;
+      }
     }
-    const info = await this.auth(auth);
-    return await this._createParents(parents, info, []);
+    return await this._createPermissionRequest(fileId, body, params, auth,
+        opts.signal);
   }
   /**
-   * Niormalizes "parents" array to common model.
-   * @param {Array} parents
-   * @return {Array<Object>}
+   * Creates a permission that allows anyone with the link to access
+   * the file and reads the link.
+   *
+   * @param {String} fileId File ID
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * - `{String}` `role` - `reader` (default), `commenter` or `writer`.
+   * - `{Boolean}` `allowFileDiscovery` - Whether the file can be found in
+   * search. Default to `false`.
+   * @return {Promise<Object>} Promise resolved to an object with `link` and
+   * `permission` properties.
    */
-  _normalizeParents(parents) {
-    const result = [];
-    parents.forEach((item) => {
-      if (typeof item === 'string') {
-        if (item.toLowerCase() === 'my drive') {
-          result[result.length] = { id: 'root' };
-        } else {
-          result[result.length] = { name: item };
-        }
-      } else {
-        if (!item.name && !item.id) {
-          return;
-        }
-        result[result.length] = item;
+  async shareLink(fileId, auth, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const body = this._createPermission({
+      type: 'anyone',
+      role: opts.role || 'reader',
+    });
+    body.allowFileDiscovery = !!opts.allowFileDiscovery;
+    const permission = await this._createPermissionRequest(fileId, body,
+        { fields: PERMISSION_FIELDS }, auth, opts.signal);
+    const response = await this._request({
+      url: this._createUrl(`/drive/v3/files/${encodeURIComponent(fileId)}`,
+          { fields: 'id,webViewLink' }),
+      headers: {
+        accept: 'application/json',
+      },
+      operation: 'share',
+      auth,
+      signal: opts.signal,
+    });
+    return {
+      link: response.body.webViewLink,
+      permission,
+    };
+  }
+  /**
+   * Lists permissions of a file.
+   * It reads all pages of the results before the promise is resolved.
+   * @param {String} fileId File ID
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of
+   * permissions. See `share()` for the properties.
+   */
+  async listPermissions(fileId, auth, opts) {
+    const params = {
+      pageSize: 100,
+      fields: `nextPageToken,permissions(${PERMISSION_FIELDS})`,
+    };
+    const permissions = [];
+    do {
+      const response = await this._request({
+        url: this._createUrl(this._permissionPath(fileId), params),
+        headers: {
+          accept: 'application/json',
+        },
+        operation: 'listPermissions',
+        auth,
+        signal: opts && opts.signal,
+      });
+      const result = response.body;
+      if (result.permissions) {
+        result.permissions.forEach((item) => permissions.push(item));
       }
+      params.pageToken = result.nextPageToken;
+    } while (params.pageToken);
+    return permissions;
+  }
+  /**
+   * Removes a permission from a file.
+   * @param {String} fileId File ID
+   * @param {String} permissionId ID of the permission, as returned by
+   * `share()` or `listPermissions()`.
+   * @param {?Object} auth Authorization data to use. The same as for
+   * `create` function.
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Boolean>} Promise resolved to `true` when the permission
+   * was removed.
+   */
+  async revokePermission(fileId, permissionId, auth, opts) {
+    await this._request({
+      method: 'DELETE',
+      url: this._createUrl(this._permissionPath(fileId, permissionId)),
+      operation: 'revokePermission',
+      auth,
+      signal: opts && opts.signal,
     });
+    return true;
+  }
+  /**
+   * Validates a permission passed to `share()`.
+   * @param {Object} permission
+   * @return {Object} Request body of the permission.
+   */
+  _createPermission(permission) {
+    if (!permission) {
+      permission = {};
+    }
+    const { type, role } = permission;
+    if (PERMISSION_TYPES.indexOf(type) === -1) {
+      throw this._createPermissionError(`Unknown permission type ${type}.`);
+    }
+    if (PERMISSION_ROLES.indexOf(role) === -1) {
+      throw this._createPermissionError(`Unknown permission role ${role}.`);
+    }
+    const result = { type, role };
+    if (type === 'user' || type === 'group') {
+      if (!permission.emailAddress) {
+        throw this._createPermissionError(
+            `The "emailAddress" is required for the ${type} permission.`);
+      }
+      result.emailAddress = permission.emailAddress;
+    } else if (type === 'domain') {
+      if (!permission.domain) {
+        throw this._createPermissionError(
+            'The "domain" is required for the domain permission.');
+      }
+      result.domain = permission.domain;
+      result.allowFileDiscovery = !!permission.allowFileDiscovery;
+    }
     return result;
   }
   /**
-   * Creates parent folders in Driver API.
-   * @param {Array} parents List of parent to create
-   * @param {Object} auth Authorization object
-   * @param {Array} result A list to insert results to.
-   * @return {Promise}
+   * @param {String} message
+   * @return {DriveError}
    */
-  async _createParents(parents, auth, result) {
-    const parent = parents.shift();
-    if (!parent) {
-      return result;
+  _createPermissionError(message) {
+    return new DriveError(message, {
+      reason: 'invalidPermission',
+      operation: 'share',
+    });
+  }
+  /**
+   * Sends permissions.create request.
+   * @param {String} fileId File ID
+   * @param {Object} body The permission
+   * @param {Object} params Query parameters
+   * @param {?Object} auth
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise<Object>} Promise resolved to created permission.
+   */
+  async _createPermissionRequest(fileId, body, params, auth, signal) {
+    const response = await this._request({
+      method: 'POST',
+      url: this._createUrl(this._permissionPath(fileId), params),
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      operation: 'share',
+      auth,
+      signal,
+    });
+    return response.body;
+  }
+  /**
+   * @param {String} fileId File ID
+   * @param {?String} permissionId Permission ID
+   * @return {String} Path of the permissions endpoint.
+   */
+  _permissionPath(fileId, permissionId) {
+    let path = `/drive/v3/files/${encodeURIComponent(fileId)}/permissions`;
+    if (permissionId) {
+      path += `/${encodeURIComponent(permissionId)}`;
     }
-    if (parent.id) {
-      result.push(parent);
-      return await this._createParents(parents, auth, result);
+    return path;
+  }
+  /**
+   * Creates a Drive API URL.
+   * @param {String} path Path of the endpoint, relative to `apiBase`.
+   * @param {?Object} params Query parameters
+   * @return {String}
+   */
+  _createUrl(path, params) {
+    return this.apiBase + this._createPath(path, params);
+  }
+  /**
+   * @param {String} path Path of the endpoint, relative to `apiBase`.
+   * @param {?Object} params Query parameters. Undefined values are skipped.
+   * @return {String} The path with the query string.
+   */
+  _createPath(path, params) {
+    let url = path;
+    if (ALL_DRIVES_PATH.test(path)) {
+      params = Object.assign({ supportsAllDrives: true }, params);
     }
-    const id = await this.createFolder(parent.name, auth);
-    parent.id = id;
-    result.push(parent);
-    if (!this.cachedFolders) {
-      this.cachedFolders = [];
+    if (params) {
+      const query = Object.keys(params)
+          .filter((key) => params[key] !== undefined)
+          .map((key) => key + '=' + encodeURIComponent(params[key]))
+          .join('&');
+      if (query) {
+        url += '?' + query;
+      }
     }
-    this.cachedFolders.push(parent);
-    return await this._createParents(parents, auth, result);
+    return url;
   }
   /**
-   * Creates a Google Drive folder.
+   * Makes an authorized request to Drive API.
    *
-   * @param {String} name Folder name
-   * @param {?Object} auth Authorization data to use:
-   * - `{Object}` `auth` - Authorization data to use. If it contains
-   * `accessToken`
-   * property it will skip authorization and use this token.
-   * Otherwise it expects
-   * `@advanced-rest-client/electron-oauth2` configuration object for
-   * `Oauth2Identity.launchWebAuthFlow()` function. If the object is not set
-   * it uses `Oauth2Identity.getAuthToken()` to get token from the server.
-   * It implies "oauth2" configuration in the package.json file.
-   * @return {Promise} Promise resolved to created folder ID.
+   * When Drive responds with 401 status the cached token is invalidated and
+   * the request is repeated once with a new token. Responses with 429 and 5xx
+   * status are repeated up to `maxRetries` times with exponential backoff.
+   * The `retry-after` response header takes precedence over the computed
+   * delay.
+   *
+   * @param {Object} opts Request options:
+   * - `{String}` `url` - Request URL
+   * - `{?String}` `method` - HTTP method. Default to `GET`.
+   * - `{?Object}` `headers` - Request headers
+   * - `{?String|Buffer}` `body` - Request body
+   * - `{?Object}` `auth` - Authorization data. The same as for `create()`.
+   * - `{?Boolean}` `interactive` - Whether the authorization can prompt
+   * the user when `auth` is not set.
+   * - `{?String}` `responseType` - `json` (default), `text`, `buffer` or
+   * `stream`. For `stream` the body of a successful response is the response
+   * stream.
+   * - `{?DriveAbortSignal}` `signal` - Cancels the request.
+   * - `{?Boolean}` `retry` - When `false` 429 and 5xx responses are not
+   * repeated.
+   * - `{?String}` `operation` - Name of the operation reported with errors.
+   * @return {Promise<Object>} Promise resolved to an object with `status`,
+   * `headers` and `body` properties. It is rejected with `DriveError` when
+   * the request fails or the response status is 400 or greater.
    */
-  async createFolder(name, auth) {
-    const info = await this.auth(auth);
-    const token = info.accessToken;
-    return await this._createFolder(name, token);
+  async _request(opts) {
+    const { operation } = opts;
+    let info = await this._authorize(opts.auth, opts.interactive, operation);
+    let authRetried = false;
+    let attempt = 0;
+    while (true) {
+      let response;
+      try {
+        if (opts.signal && opts.signal.aborted) {
+          throw this._createAbortError();
+        }
+        response = await this._send(opts, info.accessToken);
+      } catch (cause) {
+        throw DriveError.from(cause, operation);
+      }
+      const { status } = response;
+      if (status === 401 && !authRetried &&
+        await this._invalidateAuth(opts.auth, info)) {
+        authRetried = true;
+        info = await this._authorize(opts.auth, opts.interactive, operation);
+        continue;
+      }
+      if ((status === 429 || status >= 500) && opts.retry !== false &&
+        attempt < this.maxRetries) {
+        await this._delay(this._retryDelay(attempt, response.headers),
+            opts.signal);
+        attempt++;
+        continue;
+      }
+      if (status >= 400) {
+        throw DriveError.fromResponse(status, response.body, operation);
+      }
+      response.body = this._readResponseBody(response.body, opts.responseType,
+          operation);
+      return response;
+    }
   }
   /**
-   * Makes a request to Drive API to create a folder.
-   * @param {String} name Folder name
-   * @param {String} token Authorization token.
-   * @return {Promise} A promise resolved to created foleder ID.
+   * Gets authorization data for a request.
+   * @param {?Object} auth Authorization data passed to the API function.
+   * @param {?Boolean} interactive
+   * @param {?String} operation Name of the operation reported with errors.
+   * @return {Promise<Object>} Promise resolved to the token info object.
    */
-  _createFolder(name, token) {
-    const url = 'https://content.googleapis.com/drive/v3/files?alt=json';
-    const mimeType = 'application/vnd.google-apps.folder';
-    const body = JSON.stringify({
-      name,
-      mimeType,
-    });
+  async _authorize(auth, interactive, operation) {
+    let info;
+    try {
+      info = await this.auth(auth, interactive);
+    } catch (cause) {
+      throw DriveError.from(cause, operation);
+    }
+    if (!info || !info.accessToken) {
+      throw new DriveError('The application is not authorized to use Drive.', {
+        status: 401,
+        reason: 'authError',
+        domain: 'oauth2',
+        operation,
+      });
+    }
+    return info;
+  }
+  /**
+   * Removes cached token after Drive rejected it.
+   * A token passed by the caller in the `accessToken` property cannot be
+   * renewed so it is left as is.
+   * @param {?Object} auth Authorization data passed to the API function.
+   * @param {Object} info Rejected token info.
+   * @return {Promise<Boolean>} True when the token was removed and
+   * the request can be repeated.
+   */
+  async _invalidateAuth(auth, info) {
+    if (auth && auth.accessToken) {
+      return false;
+    }
+    const accountId = this._resolveAccountId(auth);
+    if (accountId) {
+      const account = this.accounts.get(accountId);
+      if (account) {
+        account.token = undefined;
+      }
+      return true;
+    }
+    await Oauth2Identity.removeToken(auth);
+    return true;
+  }
+  /**
+   * Sends a request to Drive API.
+   * @param {Object} opts Request options. See `_request()` for details.
+   * @param {String} token Access token
+   * @return {Promise<Object>} Promise resolved to an object with `status`,
+   * `headers` and `body` (Buffer or the response stream) properties.
+   */
+  _send(opts, token) {
     return new Promise((resolve, reject) => {
+      const { signal } = opts;
       const request = net.request({
-        method: 'POST',
-        url,
+        method: opts.method || 'GET',
+        url: opts.url,
       });
+      const onAbort = () => {
+        request.abort();
+        reject(this._createAbortError());
+      };
+      const done = () => {
+        if (signal) {
+          signal.removeListener('abort', onAbort);
+        }
+      };
+      if (signal) {
+        signal.once('abort', onAbort);
+      }
       request.setHeader('authorization', 'Bearer ' + token);
-      request.setHeader('content-type', 'application/json');
+      const headers = opts.headers || {};
+      Object.keys(headers).forEach((name) => {
+        request.setHeader(name, headers[name]);
+      });
       request.on('response', (response) => {
-        let body = [];
+        if (opts.responseType === 'stream' && response.statusCode < 300) {
+          done();
+          response.once('aborted', () => {
+            response.destroy(this._createResponseAbortedError());
+          });
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: response,
+          });
+          return;
+        }
+        const body = [];
         response.on('data', (chunk) => {
           body.push(chunk);
         });
         response.on('end', () => {
-          body = Buffer.concat(body).toString();
-          try {
-            body = JSON.parse(body);
-          } catch (e) {
-            reject(e);
-            return;
-          }
-          if (body.error) {
-            reject(new Error(body.message));
-          } else {
-            resolve(body.id);
-          }
+          done();
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(body),
+          });
+        });
+        response.on('error', (error) => {
+          done();
+          reject(error);
+        });
+        response.on('aborted', () => {
+          done();
+          reject(this._createResponseAbortedError());
         });
       });
       request.on('error', (error) => {
+        done();
         reject(error);
       });
-      request.write(body);
+      if (opts.body) {
+        request.write(opts.body);
+      }
       request.end();
     });
   }
   /**
-   * Handler for get file event.
-   * @param {Event} e
-   * @param {String} requestId
-   * @param {String} id File id
+   * @return {DriveError} Error reported when an operation is cancelled.
+   */
+  _createAbortError() {
+    return new DriveError('The operation was cancelled.', {
+      reason: 'aborted',
+    });
+  }
+  /**
+   * @return {DriveError} Error reported when the connection is closed before
+   * the whole response is received.
+   */
+  _createResponseAbortedError() {
+    return new DriveError('The response was not fully received.', {
+      reason: 'networkError',
+      domain: 'network',
+      retryable: true,
+    });
+  }
+  /**
+   * Converts response body to the requested type.
+   * @param {Buffer} body
+   * @param {?String} type `json` (default), `text`, `buffer` or `stream`.
+   * @param {?String} operation Name of the operation reported with errors.
+   * @return {Object|String|Buffer|stream.Readable}
    */
-  async _getFileHandler(e, requestId, id) {
+  _readResponseBody(body, type, operation) {
+    if (type === 'buffer' || type === 'stream') {
+      return body;
+    }
+    const text = body.toString();
+    if (type === 'text') {
+      return text;
+    }
+    if (!text) {
+      return;
+    }
     try {
-      const result = await this.getFile(id);
-      e.sender.send('google-drive-operation-result', requestId, result);
+      return JSON.parse(text);
     } catch (cause) {
-      if (cause instanceof Error) {
-        cause = {
-          message: cause.message,
-        };
-      }
-      e.sender.send('google-drive-operation-error', requestId, cause);
+      throw new DriveError('The response is not a valid JSON.', {
+        reason: 'invalidResponse',
+        operation,
+      });
     }
   }
   /**
-   * Downloads the file data by given ID.
-   * @param {String} id File ID
-   * @return {Promise} Promise resolved to file's string data.
+   * Computes delay before a request is repeated.
+   * @param {Number} attempt Number of the attempt, starting from 0.
+   * @param {?Object} headers Response headers. When it contains
+   * `retry-after` header its value is used, up to `maxRetryDelay`.
+   * @return {Number} Delay in milliseconds.
    */
-  async getFile(id) {
-    const auth = await this.auth();
-    return await this._downloadFile(auth, id);
+  _retryDelay(attempt, headers) {
+    const retryAfter = headers && this._readHeader(headers, 'retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const time = isNaN(seconds) ?
+        Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!isNaN(time)) {
+        return Math.min(Math.max(0, time), this.maxRetryDelay);
+      }
+    }
+    const delay = this.retryDelay * Math.pow(2, attempt) +
+      Math.random() * this.retryDelay;
+    return Math.min(delay, this.maxRetryDelay);
   }
   /**
-   * Makes a request to Drive API to downloaid file content.
-   * @param {Object} auth Authorization object.
-   * @param {String} id File id
-   * @return {Promise}
+   * @param {Number} time Time in milliseconds.
+   * @param {?DriveAbortSignal} signal Resolves the promise early when
+   * the operation is cancelled.
+   * @return {Promise} Promise resolved after `time`.
    */
-  _downloadFile(auth, id) {
-    const url = `https://www.googleapis.com/drive/v3/files/${id}?alt=media`;
-    return new Promise((resolve, reject) => {
-      const request = net.request({
-        method: 'GET',
-        url,
-      });
-      request.setHeader('authorization', 'Bearer ' + auth.accessToken);
-      request.on('response', (response) => {
-        let isError = false;
-        if (response.statusCode >= 400) {
-          isError = true;
+  _delay(time, signal) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeListener('abort', done);
         }
-        let body = [];
-        response.on('data', (chunk) => {
-          body.push(chunk);
-        });
-        response.on('end', () => {
-          body = Buffer.concat(body).toString();
-          if (isError) {
-            try {
-              let tmp = JSON.parse(body);
-              if (tmp.error) {
-                tmp = tmp.error;
-              }
-              if (tmp.message) {
-                body = (tmp.code ? (String(tmp.code) + ': ') : '') +
-                  tmp.message;
-              }
-            } catch (_) {}
-            reject(new Error(body));
-          } else {
-            resolve(body);
-          }
-        });
-      });
-      request.on('error', (error) => {
-        reject(error);
-      });
-      request.end();
+        resolve();
+      };
+      const timer = setTimeout(done, time);
+      if (signal) {
+        signal.once('abort', done);
+      }
     });
   }
+  /**
+   * Reads a header value from response headers.
+   * @param {Object} headers Response headers
+   * @param {String} name Lowercase header name
+   * @return {String|undefined}
+   */
+  _readHeader(headers, name) {
+    const value = headers[name];
+    return value instanceof Array ? value[0] : value;
+  }
 }
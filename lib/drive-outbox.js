@@ -0,0 +1,218 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+import { app } from 'electron';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+/**
+ * A persistent queue of saves that failed because the machine was offline.
+ *
+ * Items are stored in a file in the application's `userData` directory so
+ * they survive a restart of the application. Binary content is stored as
+ * base64 string. Authorization data with an access token is not stored as
+ * the token expires before the save is replayed.
+ */
+export class DriveOutbox {
+  /**
+   * @param {?Object} opts Store options:
+   * - `file` Location of the outbox file. Default to
+   * `google-drive-outbox.json` in the application's `userData` directory.
+   * Set to `false` to keep the items in memory only.
+   */
+  constructor(opts) {
+    if (!opts) {
+      opts = {};
+    }
+    /**
+     * Location of the outbox file or `false` when the items are not stored.
+     */
+    this.file = opts.file;
+    /**
+     * Queued items with `id`, `requestId`, `config`, `status`, `time` and
+     * `error` properties, in the order of the saves.
+     * @type {Array<Object>}
+     */
+    this.items = [];
+  }
+  /**
+   * @return {String|undefined} Location of the outbox file.
+   */
+  _getFile() {
+    if (this.file === false) {
+      return;
+    }
+    if (this.file) {
+      return this.file;
+    }
+    return path.join(app.getPath('userData'), 'google-drive-outbox.json');
+  }
+  /**
+   * Reads items from the outbox file.
+   * The file is read only once.
+   * @return {Promise}
+   */
+  restore() {
+    if (!this._restore) {
+      this._restore = this._read();
+    }
+    return this._restore;
+  }
+  /**
+   * Reads the outbox file. Items that were uploading when the application
+   * was closed are queued again.
+   * @return {Promise}
+   */
+  async _read() {
+    const file = this._getFile();
+    if (!file) {
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (_) {
+      return;
+    }
+    if (!data || !(data.items instanceof Array)) {
+      return;
+    }
+    const restored = data.items
+        .filter((item) => item && item.id && !this.get(item.id))
+        .map((item) => Object.assign({}, item, {
+          status: 'queued',
+          config: this._readConfig(item.config),
+        }));
+    this.items = restored.concat(this.items);
+  }
+  /**
+   * Stores the items in the outbox file. Writes are made one at a time.
+   * @return {Promise}
+   */
+  store() {
+    const write = () => this._write();
+    this._writing = (this._writing || Promise.resolve()).then(write, write);
+    return this._writing;
+  }
+  /**
+   * Writes the outbox file.
+   * @return {Promise}
+   */
+  async _write() {
+    const file = this._getFile();
+    if (!file) {
+      return;
+    }
+    const data = JSON.stringify({
+      items: this.items.map((item) => Object.assign({}, item, {
+        config: this._writeConfig(item.config),
+      })),
+    });
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data);
+  }
+  /**
+   * Adds a save to the outbox.
+   * @param {Object} config Configuration of `google-drive-data-save` event.
+   * @param {?String} requestId ID of the save request.
+   * @return {Object} Created item.
+   */
+  add(config, requestId) {
+    config = Object.assign({}, config);
+    if (config.auth && config.auth.accessToken) {
+      delete config.auth;
+    }
+    const item = {
+      id: crypto.randomBytes(12).toString('hex'),
+      requestId,
+      config,
+      status: 'queued',
+      time: Date.now(),
+    };
+    this.items.push(item);
+    return item;
+  }
+  /**
+   * @param {String} id Item ID
+   * @return {Object|undefined}
+   */
+  get(id) {
+    return this.items.find((item) => item.id === id);
+  }
+  /**
+   * @param {String} id Item ID
+   * @return {Boolean} True when the item was removed.
+   */
+  remove(id) {
+    const index = this.items.findIndex((item) => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.items.splice(index, 1);
+    return true;
+  }
+  /**
+   * @return {Array<Object>} List of items' information. See `info()`.
+   */
+  list() {
+    return this.items.map((item) => this.info(item));
+  }
+  /**
+   * @param {Object} item Outbox item
+   * @return {Object} Information about the item with `id`, `requestId`,
+   * `name` (name of the file), `fileId` (ID of the updated file), `status`,
+   * `time` and `error` properties.
+   */
+  info(item) {
+    const { config } = item;
+    return {
+      id: item.id,
+      requestId: item.requestId,
+      name: config.meta && config.meta.name,
+      fileId: config.id,
+      status: item.status,
+      time: item.time,
+      error: item.error,
+    };
+  }
+  /**
+   * @param {Object} config
+   * @return {Object} The configuration which can be serialized to JSON.
+   */
+  _writeConfig(config) {
+    const { body } = config;
+    if (!(body instanceof Uint8Array)) {
+      return config;
+    }
+    return Object.assign({}, config, {
+      body: Buffer.from(body.buffer, body.byteOffset, body.byteLength)
+          .toString('base64'),
+      bodyEncoding: 'base64',
+    });
+  }
+  /**
+   * @param {Object} config Configuration read from the outbox file.
+   * @return {Object}
+   */
+  _readConfig(config) {
+    config = Object.assign({}, config);
+    if (config.bodyEncoding === 'base64') {
+      config.body = Buffer.from(config.body, 'base64');
+      delete config.bodyEncoding;
+    }
+    return config;
+  }
+}
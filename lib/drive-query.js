@@ -0,0 +1,259 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+/**
+ * Conditions accepted by `DriveQuery.from()`. These are names of
+ * the builder functions.
+ */
+const CONDITIONS = [
+  'name',
+  'nameContains',
+  'fullText',
+  'mimeType',
+  'parent',
+  'modifiedAfter',
+  'modifiedBefore',
+  'trashed',
+  'appProperties',
+  'properties',
+];
+/**
+ * Builds the `q` parameter of Drive files search. Values are quoted and
+ * escaped so user input can't change the query. Conditions are joined with
+ * `and`.
+ *
+ * ```javascript
+ * const query = new DriveQuery()
+ *     .nameContains('it\'s')
+ *     .parent('folder-id')
+ *     .modifiedAfter(new Date('2020-01-01'))
+ *     .appProperty('project', 'arc')
+ *     .trashed(false);
+ * query.toString();
+ * // name contains 'it\'s' and 'folder-id' in parents and ...
+ * ```
+ */
+export class DriveQuery {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this._conditions = [];
+  }
+  /**
+   * Creates a query from an object with conditions. It is used to pass
+   * a query over IPC.
+   * @param {DriveQuery|Object} value A query or an object which keys are
+   * `name`, `nameContains`, `fullText`, `mimeType`, `parent`,
+   * `modifiedAfter`, `modifiedBefore`, `trashed`, `appProperties` and
+   * `properties`. `mimeType` and `parent` accept a list of values.
+   * @return {DriveQuery}
+   */
+  static from(value) {
+    if (value instanceof DriveQuery) {
+      return value;
+    }
+    if (!value || typeof value !== 'object') {
+      throw new Error('The query must be an object with conditions.');
+    }
+    const query = new DriveQuery();
+    Object.keys(value).forEach((key) => {
+      if (CONDITIONS.indexOf(key) === -1) {
+        throw new Error(`Unknown query condition ${key}.`);
+      }
+      if (value[key] !== undefined && value[key] !== null) {
+        query[key](value[key]);
+      }
+    });
+    return query;
+  }
+  /**
+   * Quotes and escapes a value to be used in a query.
+   * @param {String} value
+   * @return {String}
+   */
+  static quote(value) {
+    return '\'' + DriveQuery.escape(value) + '\'';
+  }
+  /**
+   * Escapes a string value to be used in a query.
+   * @param {String} value
+   * @return {String}
+   */
+  static escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+  }
+  /**
+   * @param {String} value File name
+   * @return {DriveQuery}
+   */
+  name(value) {
+    return this._add(`name = ${DriveQuery.quote(value)}`);
+  }
+  /**
+   * @param {String} value A part of the file name.
+   * @return {DriveQuery}
+   */
+  nameContains(value) {
+    return this._add(`name contains ${DriveQuery.quote(value)}`);
+  }
+  /**
+   * @param {String} value Text in the name, description or content of
+   * the file.
+   * @return {DriveQuery}
+   */
+  fullText(value) {
+    return this._add(`fullText contains ${DriveQuery.quote(value)}`);
+  }
+  /**
+   * @param {String|Array<String>} value Media type or a list of media types.
+   * @return {DriveQuery}
+   */
+  mimeType(value) {
+    return this._any(value, (item) => `mimeType = ${DriveQuery.quote(item)}`);
+  }
+  /**
+   * Limits the search to folders.
+   * @return {DriveQuery}
+   */
+  folder() {
+    return this.mimeType(FOLDER_MIME);
+  }
+  /**
+   * @param {String|Array<String>} value Folder ID or a list of folder IDs.
+   * @return {DriveQuery}
+   */
+  parent(value) {
+    return this._any(value, (item) => `${DriveQuery.quote(item)} in parents`);
+  }
+  /**
+   * @param {Date|Number|String} value Files modified after the time are
+   * found.
+   * @return {DriveQuery}
+   */
+  modifiedAfter(value) {
+    return this._add(`modifiedTime > ${DriveQuery.quote(this._time(value))}`);
+  }
+  /**
+   * @param {Date|Number|String} value Files modified before the time are
+   * found.
+   * @return {DriveQuery}
+   */
+  modifiedBefore(value) {
+    return this._add(`modifiedTime < ${DriveQuery.quote(this._time(value))}`);
+  }
+  /**
+   * @param {Boolean} value Whether to find trashed or not trashed files.
+   * @return {DriveQuery}
+   */
+  trashed(value) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`Invalid trashed value ${value}.`);
+    }
+    return this._add(`trashed = ${value}`);
+  }
+  /**
+   * Finds files with an `appProperties` value.
+   * @param {String} key Property name
+   * @param {String} value Property value
+   * @return {DriveQuery}
+   */
+  appProperty(key, value) {
+    return this._add(this._has('appProperties', key, value));
+  }
+  /**
+   * Finds files with all `appProperties` values.
+   * @param {Object} values Map of property names and values.
+   * @return {DriveQuery}
+   */
+  appProperties(values) {
+    Object.keys(values).forEach((key) => this.appProperty(key, values[key]));
+    return this;
+  }
+  /**
+   * Finds files with a `properties` value.
+   * @param {String} key Property name
+   * @param {String} value Property value
+   * @return {DriveQuery}
+   */
+  property(key, value) {
+    return this._add(this._has('properties', key, value));
+  }
+  /**
+   * Finds files with all `properties` values.
+   * @param {Object} values Map of property names and values.
+   * @return {DriveQuery}
+   */
+  properties(values) {
+    Object.keys(values).forEach((key) => this.property(key, values[key]));
+    return this;
+  }
+  /**
+   * @return {String} The query.
+   */
+  toString() {
+    return this._conditions.join(' and ');
+  }
+  /**
+   * @param {String} condition
+   * @return {DriveQuery}
+   */
+  _add(condition) {
+    this._conditions.push(condition);
+    return this;
+  }
+  /**
+   * Adds a condition matching any of the values.
+   * @param {String|Array<String>} value
+   * @param {Function} fn Creates a condition for a value.
+   * @return {DriveQuery}
+   */
+  _any(value, fn) {
+    if (!(value instanceof Array)) {
+      return this._add(fn(value));
+    }
+    if (!value.length) {
+      throw new Error('The list of values is empty.');
+    }
+    const conditions = value.map(fn);
+    if (conditions.length === 1) {
+      return this._add(conditions[0]);
+    }
+    return this._add(`(${conditions.join(' or ')})`);
+  }
+  /**
+   * @param {String} field `appProperties` or `properties`
+   * @param {String} key
+   * @param {String} value
+   * @return {String}
+   */
+  _has(field, key, value) {
+    return `${field} has { key=${DriveQuery.quote(key)} and ` +
+      `value=${DriveQuery.quote(value)} }`;
+  }
+  /**
+   * @param {Date|Number|String} value
+   * @return {String} RFC 3339 time.
+   */
+  _time(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date ${value}.`);
+    }
+    return date.toISOString();
+  }
+}
@@ -0,0 +1,489 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+/**
+ * Suffix of temporary files created while a file is downloaded.
+ */
+const TEMP_SUFFIX = '.drive-sync-tmp';
+/**
+ * Keeps files of a local directory in sync with a Drive folder.
+ *
+ * The state of the last sync (Drive file IDs, head revisions and MD5
+ * checksums of the synced content) is kept in a state file. Each `sync()`
+ * reads remote changes from the Drive changes feed, compares local files with
+ * the state and:
+ * - downloads files changed only in Drive,
+ * - uploads files changed only in the local directory,
+ * - removes local files removed from Drive and moves to the trash Drive files
+ * removed from the local directory,
+ * - calls `onConflict` when a file was changed in both places.
+ *
+ * Only files directly in the directory are synced. Google Docs files, which
+ * have no content, are ignored.
+ *
+ * ```javascript
+ * const sync = new DriveSync(drive, {
+ *   directory: '/path/to/workspace',
+ *   folderId: 'drive-folder-id',
+ *   onConflict: ({ name }) => 'local',
+ * });
+ * const result = await sync.sync();
+ * ```
+ */
+export class DriveSync {
+  /**
+   * @param {DriveExport} drive Drive instance used to make requests.
+   * @param {Object} opts Sync options:
+   * - `{String}` `directory` - Local directory to sync.
+   * - `{String}` `folderId` - ID of the Drive folder to sync.
+   * - `{String}` `driveId` - ID of the shared drive of the folder.
+   * - `{String}` `stateFile` - Location of the state file. Default to
+   * `.drive-sync.json` in the directory.
+   * - `{Object}` `auth` - Authorization data passed to `DriveExport`
+   * functions.
+   * - `{String}` `mimeType` - Media type of uploaded files. Default to
+   * the `fileType` of the `drive`.
+   * - `{Function}` `onConflict` - Called when a file was changed both
+   * locally and in Drive. See `sync()`.
+   */
+  constructor(drive, opts) {
+    if (!opts || !opts.directory || !opts.folderId) {
+      throw new Error('The "directory" and "folderId" options are required.');
+    }
+    this.drive = drive;
+    this.directory = opts.directory;
+    this.folderId = opts.folderId;
+    this.driveId = opts.driveId;
+    this.stateFile = opts.stateFile ||
+      path.join(opts.directory, '.drive-sync.json');
+    this.auth = opts.auth;
+    this.mimeType = opts.mimeType;
+    this.onConflict = opts.onConflict;
+  }
+  /**
+   * Synchronizes the directory with the Drive folder.
+   *
+   * When a file was changed in both places `onConflict` is called with
+   * an object with `name`, `path`, `fileId`, `local` and `remote`
+   * properties. `local` and `remote` have `md5Checksum` property or are
+   * `null` when the file was removed. The function returns (or resolves to)
+   * `local` to upload the local file, `remote` to download the Drive file or
+   * any other value to leave the file unchanged. A file left unchanged is
+   * reported as a conflict by each sync until the conflict is resolved.
+   *
+   * @param {?Object} opts Options:
+   * - `{DriveAbortSignal}` `signal` - Cancels the operation.
+   * @return {Promise<Object>} Promise resolved to an object with
+   * `uploaded`, `downloaded`, `removedLocal`, `removedRemote` and
+   * `conflicts` properties, lists of file names.
+   */
+  sync(opts) {
+    if (!this._running) {
+      this._running = this._sync(opts || {}).finally(() => {
+        this._running = undefined;
+      });
+    }
+    return this._running;
+  }
+  /**
+   * @param {Object} opts Options passed to `sync()`.
+   * @return {Promise<Object>}
+   */
+  async _sync(opts) {
+    const state = await this._readState();
+    const pageToken = await this._pull(state, opts.signal);
+    const local = await this._scan(state);
+    const result = {
+      uploaded: [],
+      downloaded: [],
+      removedLocal: [],
+      removedRemote: [],
+      conflicts: [],
+    };
+    const names = new Set(Object.keys(state.files).concat(Object.keys(local)));
+    for (const name of names) {
+      if (!this._isSyncedName(name)) {
+        // Entry of a state file changed outside the sync.
+        delete state.files[name];
+        continue;
+      }
+      await this._syncFile(name, state, local[name], result, opts.signal);
+    }
+    state.pageToken = pageToken;
+    await this._writeState(state);
+    return result;
+  }
+  /**
+   * Reads the state file. The state is reset when it was created for another
+   * folder.
+   * @return {Promise<Object>} Promise resolved to the state with `folderId`,
+   * `pageToken` and `files` properties.
+   */
+  async _readState() {
+    let state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(this.stateFile, 'utf8'));
+    } catch (_) {
+      // Sync is started from the beginning.
+    }
+    if (!state || state.folderId !== this.folderId || !state.files) {
+      state = {
+        folderId: this.folderId,
+        files: {},
+      };
+    }
+    return state;
+  }
+  /**
+   * @param {Object} state
+   * @return {Promise}
+   */
+  async _writeState(state) {
+    await fs.promises.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.promises.writeFile(this.stateFile, JSON.stringify(state));
+  }
+  /**
+   * Reads remote changes to the state. Each file in the state has `id`,
+   * `md5Checksum` and `revision` (content and Drive's head revision at
+   * the last sync), `remoteMd5Checksum` and `remoteRevision` (current
+   * content and head revision in Drive) and `remoteRemoved` properties.
+   * @param {Object} state Sync state
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise<String>} Promise resolved to the page token to store
+   * after the sync.
+   */
+  async _pull(state, signal) {
+    const { drive, auth, driveId } = this;
+    if (!state.pageToken) {
+      const token = await drive.getChangesStartToken(auth, {
+        signal,
+        driveId,
+      });
+      const files = await drive.listFiles({
+        parent: this.folderId,
+        mimeType: false,
+        driveId,
+        signal,
+      }, auth);
+      files.forEach((file) => this._applyRemoteFile(state, file));
+      return token;
+    }
+    const result = await drive.listChanges(state.pageToken, auth, {
+      signal,
+      driveId,
+    });
+    result.changes.forEach((change) => {
+      const file = change.file;
+      if (change.removed || !file || file.trashed || !file.parents ||
+        file.parents.indexOf(this.folderId) === -1) {
+        this._applyRemoteRemoval(state, change.fileId);
+      } else {
+        this._applyRemoteFile(state, file);
+      }
+    });
+    return result.newStartPageToken;
+  }
+  /**
+   * @param {Object} state Sync state
+   * @param {String} id Drive file ID
+   * @return {String|undefined} Name of the file in the state. Files removed
+   * from Drive are not found.
+   */
+  _findName(state, id) {
+    return Object.keys(state.files).find((name) => {
+      const entry = state.files[name];
+      return entry.id === id && !entry.remoteRemoved;
+    });
+  }
+  /**
+   * Updates the state with a file that exists in the Drive folder.
+   * @param {Object} state Sync state
+   * @param {Object} file Drive file
+   */
+  _applyRemoteFile(state, file) {
+    if (!file.md5Checksum || !this._isSyncedName(file.name)) {
+      this._applyRemoteRemoval(state, file.id);
+      return;
+    }
+    const current = this._findName(state, file.id);
+    if (current && current !== file.name) {
+      // Renamed in Drive.
+      this._applyRemoteRemoval(state, file.id);
+    }
+    let entry = state.files[file.name];
+    if (entry && entry.id !== file.id && !entry.remoteRemoved) {
+      // Another file with the same name is already synced.
+      return;
+    }
+    if (!entry) {
+      entry = state.files[file.name] = {};
+    }
+    entry.id = file.id;
+    entry.remoteMd5Checksum = file.md5Checksum;
+    entry.remoteRevision = file.headRevisionId;
+    delete entry.remoteRemoved;
+  }
+  /**
+   * Marks a file as removed from the Drive folder.
+   * @param {Object} state Sync state
+   * @param {String} id Drive file ID
+   */
+  _applyRemoteRemoval(state, id) {
+    const name = this._findName(state, id);
+    if (!name) {
+      return;
+    }
+    const entry = state.files[name];
+    entry.remoteRemoved = true;
+    delete entry.remoteMd5Checksum;
+    delete entry.remoteRevision;
+  }
+  /**
+   * @param {String} name File name
+   * @return {Boolean} False for the state file, temporary files and names
+   * that are not a file directly in the directory.
+   */
+  _isSyncedName(name) {
+    if (!name || typeof name !== 'string' || name === '.' || name === '..') {
+      return false;
+    }
+    if (name.indexOf('/') !== -1 || name.indexOf('\\') !== -1 ||
+      name.indexOf(path.sep) !== -1) {
+      return false;
+    }
+    return name !== path.basename(this.stateFile) &&
+      !name.endsWith(TEMP_SUFFIX);
+  }
+  /**
+   * @param {String} name File name
+   * @return {String} Location of the file in the directory.
+   * @throws {Error} When the file would be outside the directory.
+   */
+  _localPath(name) {
+    const directory = path.resolve(this.directory);
+    const file = path.resolve(directory, name);
+    if (!this._isSyncedName(name) || path.dirname(file) !== directory) {
+      throw new Error(`The file name ${name} is not allowed.`);
+    }
+    return file;
+  }
+  /**
+   * Lists files of the local directory.
+   * A missing directory is treated as empty only before the first sync.
+   * Otherwise the sync fails so files are not removed from Drive when
+   * the directory is deleted or not mounted.
+   * @param {Object} state Sync state
+   * @return {Promise<Object>} Promise resolved to a map of file names and
+   * MD5 checksums.
+   */
+  async _scan(state) {
+    const result = {};
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory,
+          { withFileTypes: true });
+    } catch (cause) {
+      const synced = Object.keys(state.files)
+          .some((name) => !!state.files[name].md5Checksum);
+      if (cause.code !== 'ENOENT' || synced) {
+        throw cause;
+      }
+      entries = [];
+    }
+    for (const entry of entries) {
+      if (!entry.isFile() || !this._isSyncedName(entry.name)) {
+        continue;
+      }
+      result[entry.name] = await this._md5(this._localPath(entry.name));
+    }
+    return result;
+  }
+  /**
+   * @param {String} file Path to a file
+   * @return {Promise<String>} MD5 checksum of the file.
+   */
+  _md5(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('md5');
+      const input = fs.createReadStream(file);
+      input.on('data', (chunk) => hash.update(chunk));
+      input.on('end', () => resolve(hash.digest('hex')));
+      input.on('error', reject);
+    });
+  }
+  /**
+   * Synchronizes a single file.
+   * @param {String} name File name
+   * @param {Object} state Sync state
+   * @param {String|undefined} local MD5 checksum of the local file.
+   * @param {Object} result Sync result
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise}
+   */
+  async _syncFile(name, state, local, result, signal) {
+    const entry = state.files[name];
+    const base = entry && entry.md5Checksum;
+    const remote = entry && !entry.remoteRemoved ?
+      entry.remoteMd5Checksum : undefined;
+    if (local === remote) {
+      if (local) {
+        entry.md5Checksum = local;
+        entry.revision = entry.remoteRevision;
+      } else {
+        delete state.files[name];
+      }
+      return;
+    }
+    const localChanged = local !== base;
+    const remoteChanged = remote !== base;
+    let action;
+    if (localChanged && remoteChanged) {
+      action = await this._resolveConflict(name, entry, local, remote);
+      if (action !== 'local' && action !== 'remote') {
+        result.conflicts.push(name);
+        return;
+      }
+    } else {
+      action = localChanged ? 'local' : 'remote';
+    }
+    if (action === 'local') {
+      await this._push(name, state, local, result, signal);
+    } else {
+      await this._fetch(name, state, remote, result, signal);
+    }
+  }
+  /**
+   * Asks `onConflict` how to resolve a conflict.
+   * @param {String} name File name
+   * @param {Object|undefined} entry State of the file
+   * @param {String|undefined} local MD5 checksum of the local file.
+   * @param {String|undefined} remote MD5 checksum of the Drive file.
+   * @return {Promise<String|undefined>} `local`, `remote` or other value.
+   */
+  async _resolveConflict(name, entry, local, remote) {
+    if (typeof this.onConflict !== 'function') {
+      return;
+    }
+    return await this.onConflict({
+      name,
+      path: this._localPath(name),
+      fileId: entry && entry.id,
+      local: local ? { md5Checksum: local } : null,
+      remote: remote ? { md5Checksum: remote } : null,
+    });
+  }
+  /**
+   * Sends the local state of a file to Drive.
+   * A file is updated only when its head revision is the one read from
+   * Drive. When it was changed after that the file is reported as
+   * a conflict and the change is pulled by the next sync.
+   * @param {String} name File name
+   * @param {Object} state Sync state
+   * @param {String|undefined} local MD5 checksum of the local file.
+   * @param {Object} result Sync result
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise}
+   */
+  async _push(name, state, local, result, signal) {
+    const { drive, auth } = this;
+    const entry = state.files[name];
+    const exists = entry && entry.id && !entry.remoteRemoved;
+    if (!local) {
+      if (exists) {
+        await drive.trash(entry.id, auth, { signal });
+        result.removedRemote.push(name);
+      }
+      delete state.files[name];
+      return;
+    }
+    const media = {
+      mimeType: this.mimeType || drive.fileType,
+      filePath: this._localPath(name),
+    };
+    const resource = {};
+    if (this.mimeType) {
+      resource.mimeType = this.mimeType;
+    }
+    let file;
+    if (exists) {
+      const expectedVersion = entry.remoteRevision ?
+        { headRevisionId: entry.remoteRevision } : undefined;
+      try {
+        file = await drive.update(entry.id, resource, media, auth, {
+          signal,
+          expectedVersion,
+        });
+      } catch (cause) {
+        if (cause.reason !== 'conflict') {
+          throw cause;
+        }
+        result.conflicts.push(name);
+        return;
+      }
+    } else {
+      resource.name = name;
+      resource.parents = [{ id: this.folderId }];
+      file = await drive.create(resource, media, auth, { signal });
+    }
+    state.files[name] = {
+      id: file.id,
+      md5Checksum: local,
+      revision: file.headRevisionId,
+      remoteMd5Checksum: local,
+      remoteRevision: file.headRevisionId,
+    };
+    result.uploaded.push(name);
+  }
+  /**
+   * Applies the Drive state of a file to the local directory.
+   * The content is downloaded to a temporary file first so the local file
+   * is not lost when the download fails.
+   * @param {String} name File name
+   * @param {Object} state Sync state
+   * @param {String|undefined} remote MD5 checksum of the Drive file.
+   * @param {Object} result Sync result
+   * @param {?DriveAbortSignal} signal
+   * @return {Promise}
+   */
+  async _fetch(name, state, remote, result, signal) {
+    const file = this._localPath(name);
+    if (!remote) {
+      try {
+        await fs.promises.unlink(file);
+        result.removedLocal.push(name);
+      } catch (cause) {
+        if (cause.code !== 'ENOENT') {
+          throw cause;
+        }
+      }
+      delete state.files[name];
+      return;
+    }
+    const entry = state.files[name];
+    const temp = file + TEMP_SUFFIX;
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const info = await this.drive.downloadToFile(entry.id, temp, this.auth,
+        { signal });
+    await fs.promises.rename(temp, file);
+    entry.md5Checksum = info.md5Checksum || remote;
+    entry.remoteMd5Checksum = entry.md5Checksum;
+    entry.revision = entry.remoteRevision;
+    result.downloaded.push(name);
+  }
+}
@@ -0,0 +1,1367 @@
+/**
+ * @copyright Copyright 2018 Pawel Psztyc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ ******************************************************************************/
+
+import http from 'http';
+import crypto from 'crypto';
+/**
+ * Splits Drive query into a list of tokens.
+ * @param {String} q Query value
+ * @return {Array<Object>} List of tokens with `type` and `value` properties.
+ */
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+  while (i < q.length) {
+    const c = q[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '\'' || c === '"') {
+      let value = '';
+      i++;
+      while (i < q.length && q[i] !== c) {
+        if (q[i] === '\\') {
+          i++;
+        }
+        value += q[i];
+        i++;
+      }
+      if (i >= q.length) {
+        throw new Error('Unterminated string in the query.');
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+    } else if ('(){}'.includes(c)) {
+      tokens.push({ type: 'punct', value: c });
+      i++;
+    } else if ('=!<>'.includes(c)) {
+      let value = c;
+      if (q[i + 1] === '=') {
+        value += '=';
+      }
+      i += value.length;
+      tokens.push({ type: 'op', value });
+    } else {
+      const match = /^[\w.:-]+/.exec(q.substr(i));
+      if (!match) {
+        throw new Error(`Invalid character "${c}" in the query.`);
+      }
+      tokens.push({ type: 'word', value: match[0] });
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+/**
+ * Parses Drive files query to a function that tests a file resource.
+ * Supports `and`, `or`, `not`, parenthesis, comparison operators,
+ * `contains`, `in` and `has` operators.
+ *
+ * @param {String} q Query value
+ * @return {Function} A function that accepts a file resource and returns
+ * a boolean value.
+ */
+function parseQuery(q) {
+  const tokens = tokenize(q || '');
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isWord = (value) => peek() && peek().type === 'word' &&
+    peek().value.toLowerCase() === value;
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" in the query.`);
+    }
+  };
+  const readValue = () => {
+    const token = next();
+    if (!token) {
+      throw new Error('Unexpected end of the query.');
+    }
+    if (token.type === 'string') {
+      return token.value;
+    }
+    if (token.value === 'true' || token.value === 'false') {
+      return token.value === 'true';
+    }
+    return token.value;
+  };
+  const parseHas = (field) => {
+    expect('{');
+    const parts = {};
+    do {
+      const key = next().value;
+      expect('=');
+      parts[key] = readValue();
+    } while (isWord('and') && next());
+    expect('}');
+    return (file) => {
+      const map = file[field] || {};
+      return Object.prototype.hasOwnProperty.call(map, parts.key) &&
+        map[parts.key] === parts.value;
+    };
+  };
+  const parseTerm = () => {
+    const token = peek();
+    if (token && token.value === '(') {
+      next();
+      const fn = parseOr();
+      expect(')');
+      return fn;
+    }
+    if (token && token.type === 'string') {
+      const value = next().value;
+      if (!isWord('in')) {
+        throw new Error('Expected "in" in the query.');
+      }
+      next();
+      const field = next().value;
+      return (file) => (file[field] || []).includes(value);
+    }
+    const field = next().value;
+    if (isWord('has')) {
+      next();
+      return parseHas(field);
+    }
+    if (isWord('contains')) {
+      next();
+      const value = String(readValue()).toLowerCase();
+      return (file) => {
+        let data = file[field];
+        if (field === 'fullText') {
+          data = [file.name, file.description, file.contentHints &&
+            file.contentHints.indexableText].join(' ');
+        }
+        return String(data || '').toLowerCase().includes(value);
+      };
+    }
+    const op = next();
+    if (!op || op.type !== 'op') {
+      throw new Error(`Expected an operator after "${field}".`);
+    }
+    const value = readValue();
+    return (file) => {
+      let data = file[field];
+      if (data === undefined && typeof value === 'boolean') {
+        data = false;
+      }
+      switch (op.value) {
+        case '=': return data === value;
+        case '!=': return data !== value;
+        case '<': return data < value;
+        case '<=': return data <= value;
+        case '>': return data > value;
+        case '>=': return data >= value;
+        default: return false;
+      }
+    };
+  };
+  const parseNot = () => {
+    if (isWord('not')) {
+      next();
+      const fn = parseNot();
+      return (file) => !fn(file);
+    }
+    return parseTerm();
+  };
+  const parseAnd = () => {
+    let fn = parseNot();
+    while (isWord('and')) {
+      next();
+      const left = fn;
+      const right = parseNot();
+      fn = (file) => left(file) && right(file);
+    }
+    return fn;
+  };
+  const parseOr = () => {
+    let fn = parseAnd();
+    while (isWord('or')) {
+      next();
+      const left = fn;
+      const right = parseAnd();
+      fn = (file) => left(file) || right(file);
+    }
+    return fn;
+  };
+  if (!tokens.length) {
+    return () => true;
+  }
+  const result = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" in the query.`);
+  }
+  return result;
+}
+/**
+ * An in-process HTTP server that implements a subset of Google Drive v3 API.
+ * It is meant to be used in tests with `DriveExport` `apiBase` option so
+ * create, update and download flows can be run without network access.
+ *
+ * Supported endpoints:
+ * - `GET /drive/v3/files` - files.list with `q`, `orderBy`, `pageSize`,
+ * `pageToken`, `corpora` and `driveId` parameters
+ * - `POST /drive/v3/files` - files.create (metadata only, e.g. folders)
+ * - `GET /drive/v3/files/{id}` - files.get, with `alt=media` the content
+ * - `PATCH /drive/v3/files/{id}` - files.update (metadata only, e.g.
+ * `trashed`) with `addParents` and `removeParents` parameters
+ * - `DELETE /drive/v3/files/{id}` - files.delete, with the file's children
+ * - `POST /drive/v3/files/{id}/copy` - files.copy
+ * - `POST /batch/drive/v3` - batch request with up to 100 requests to
+ * the other metadata endpoints
+ * - `GET /drive/v3/changes/startPageToken` and `GET /drive/v3/changes` -
+ * changes.getStartPageToken and changes.list
+ * - `GET /drive/v3/about` - about.get with the `user` of the token
+ * - `GET /drive/v3/drives` - drives.list of drives added with `addDrive()`
+ * - `GET /drive/v3/files/{id}/revisions` - revisions.list
+ * - `GET /drive/v3/files/{id}/revisions/{revisionId}` - revisions.get, with
+ * `alt=media` the content of the revision
+ * - `PATCH /drive/v3/files/{id}/revisions/{revisionId}` - revisions.update
+ * - `GET`, `POST /drive/v3/files/{id}/permissions` and
+ * `DELETE /drive/v3/files/{id}/permissions/{permissionId}` -
+ * permissions.list, permissions.create and permissions.delete
+ * - `POST /upload/drive/v3/files?uploadType=resumable` and
+ * `PATCH /upload/drive/v3/files/{id}?uploadType=resumable` - resumable
+ * upload sessions with chunked `PUT` requests.
+ *
+ * Files of shared drives are not found unless the request has
+ * `supportsAllDrives=true` parameter and they are not listed unless
+ * the request has `includeItemsFromAllDrives=true` parameter, like in Drive.
+ *
+ * Any request without `authorization` header is rejected with 401 status.
+ * When `accessToken` is set the token has to match or the token has to be
+ * registered with `setUser()`.
+ *
+ * Use `failNext()` to simulate Drive errors like rate limiting or
+ * unavailable backend.
+ */
+export class FakeDriveServer {
+  /**
+   * @param {?Object} opts Server options:
+   * - `accessToken` When set, the only accepted token.
+   */
+  constructor(opts) {
+    if (!opts) {
+      opts = {};
+    }
+    /**
+     * When set, the only token accepted by the server.
+     * @type {String}
+     */
+    this.accessToken = opts.accessToken;
+    /**
+     * Base URI of the server. Set when the server is started.
+     * @type {String}
+     */
+    this.baseUri = undefined;
+    /**
+     * List of received requests. Each item has `method`, `url` and `headers`
+     * properties.
+     * @type {Array<Object>}
+     */
+    this.requests = [];
+    this._handler = this._handler.bind(this);
+    this.reset();
+  }
+  /**
+   * Removes all files and upload sessions from the server.
+   */
+  reset() {
+    /**
+     * Files stored in the server. Keys are file IDs and values are objects
+     * with `resource` and `content` properties.
+     * @type {Map<String, Object>}
+     */
+    this.files = new Map();
+    /**
+     * Shared drives. Keys are drive IDs and values are drive resources.
+     * @type {Map<String, Object>}
+     */
+    this.drives = new Map();
+    this._sessions = new Map();
+    this._failures = [];
+    this._users = new Map();
+    this._changes = [];
+    this.requests = [];
+  }
+  /**
+   * Sets the user reported by the `about` endpoint for a token.
+   * The token is accepted by the server.
+   * @param {String} token Access token
+   * @param {Object} user Drive's user object with `permissionId`,
+   * `emailAddress` and `displayName` properties.
+   */
+  setUser(token, user) {
+    this._users.set(token, user);
+  }
+  /**
+   * Makes the server respond with an error to the next requests.
+   * @param {Number} status Response status code.
+   * @param {?Object} opts Error options:
+   * - `{Number}` `count` - Number of requests to fail. Default to 1.
+   * - `{String}` `reason` - Drive error reason.
+   * - `{Object}` `headers` - Response headers, e.g. `retry-after`.
+   * - `{Boolean}` `batch` - Fail requests of the next batch request instead
+   * of the batch request.
+   */
+  failNext(status, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const count = opts.count || 1;
+    for (let i = 0; i < count; i++) {
+      this._failures.push({
+        status,
+        reason: opts.reason || this._defaultReason(status),
+        headers: opts.headers,
+        batch: !!opts.batch,
+      });
+    }
+  }
+  /**
+   * @param {Boolean} batch Whether the request is a part of a batch.
+   * @return {Object|undefined} Next simulated failure of the request.
+   */
+  _takeFailure(batch) {
+    const failure = this._failures[0];
+    if (failure && failure.batch === batch) {
+      return this._failures.shift();
+    }
+  }
+  /**
+   * @param {Number} status Response status code.
+   * @return {String} Drive error reason for the status.
+   */
+  _defaultReason(status) {
+    switch (status) {
+      case 401: return 'authError';
+      case 403: return 'forbidden';
+      case 404: return 'notFound';
+      case 429: return 'rateLimitExceeded';
+      default: return status >= 500 ? 'backendError' : 'badRequest';
+    }
+  }
+  /**
+   * Starts the server.
+   * @param {?Number} port Port number. By default random port is used.
+   * @return {Promise<String>} Promise resolved to the server's base URI.
+   */
+  start(port) {
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer(this._handler);
+      this._server.on('error', reject);
+      this._server.listen(port || 0, '127.0.0.1', () => {
+        const address = this._server.address();
+        this.baseUri = `http://127.0.0.1:${address.port}`;
+        resolve(this.baseUri);
+      });
+    });
+  }
+  /**
+   * Stops the server.
+   * @return {Promise}
+   */
+  stop() {
+    if (!this._server) {
+      return Promise.resolve();
+    }
+    const server = this._server;
+    this._server = undefined;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+  /**
+   * Adds a file to the server's store.
+   * @param {Object} resource File metadata
+   * @param {?String|Buffer} content File content
+   * @return {Object} Created file resource.
+   */
+  addFile(resource, content) {
+    const id = resource.id || this._createId();
+    const now = new Date().toISOString();
+    const file = Object.assign({
+      kind: 'drive#file',
+      mimeType: 'application/octet-stream',
+      parents: ['root'],
+      trashed: false,
+      createdTime: now,
+      webViewLink: `https://drive.google.com/file/d/${id}/view`,
+    }, resource, { id });
+    const driveId = this._parentsDriveId(file.parents);
+    if (driveId) {
+      file.driveId = driveId;
+    }
+    const entry = {
+      resource: file,
+      permissions: [{
+        kind: 'drive#permission',
+        id: 'test-user',
+        type: 'user',
+        role: 'owner',
+        emailAddress: 'test@example.com',
+        displayName: 'Test User',
+      }],
+    };
+    this.files.set(id, entry);
+    this._setContent(entry, content);
+    return file;
+  }
+  /**
+   * Adds a shared drive. Files are added to the drive when one of their
+   * parents is the drive ID or a folder of the drive.
+   * @param {Object} resource Drive metadata
+   * @return {Object} Created drive resource.
+   */
+  addDrive(resource) {
+    const id = resource.id || this._createId();
+    const drive = Object.assign({
+      kind: 'drive#drive',
+      createdTime: new Date().toISOString(),
+      hidden: false,
+    }, resource, { id });
+    this.drives.set(id, drive);
+    return drive;
+  }
+  /**
+   * @param {?Array<String>} parents Parent IDs of a file.
+   * @return {String|undefined} ID of the shared drive of the parents.
+   */
+  _parentsDriveId(parents) {
+    const parent = parents && parents[0];
+    if (!parent) {
+      return;
+    }
+    if (this.drives.has(parent)) {
+      return parent;
+    }
+    const entry = this.files.get(parent);
+    return entry && entry.resource.driveId;
+  }
+  /**
+   * Removes a file from the server's store as if it was deleted by another
+   * client.
+   * @param {String} id File ID
+   * @return {Boolean} True when the file existed.
+   */
+  removeFile(id) {
+    if (!this.files.has(id)) {
+      return false;
+    }
+    this._recordChange(id);
+    this.files.delete(id);
+    return true;
+  }
+  /**
+   * Adds a change of a file to the changes feed.
+   * @param {String} fileId File ID
+   */
+  _recordChange(fileId) {
+    const entry = this.files.get(fileId);
+    this._changes.push({
+      fileId,
+      driveId: entry && entry.resource.driveId,
+      time: new Date().toISOString(),
+    });
+  }
+  /**
+   * Reads file's content.
+   * @param {String} id File ID
+   * @return {Buffer|undefined}
+   */
+  getContent(id) {
+    const entry = this.files.get(id);
+    return entry && entry.content;
+  }
+  /**
+   * @return {String} Random ID of a file or a session.
+   */
+  _createId() {
+    return crypto.randomBytes(12).toString('hex');
+  }
+  /**
+   * Sets content of a file and updates its metadata.
+   * @param {Object} entry Stored file entry
+   * @param {?String|Buffer} content
+   */
+  _setContent(entry, content) {
+    const file = entry.resource;
+    file.modifiedTime = new Date().toISOString();
+    this._recordChange(file.id);
+    if (content === undefined || content === null) {
+      return;
+    }
+    content = Buffer.from(content);
+    entry.content = content;
+    file.size = String(content.length);
+    file.md5Checksum = crypto.createHash('md5').update(content)
+        .digest('hex');
+    file.headRevisionId = this._createId();
+    if (!entry.revisions) {
+      entry.revisions = [];
+    }
+    entry.revisions.push({
+      resource: {
+        kind: 'drive#revision',
+        id: file.headRevisionId,
+        mimeType: file.mimeType,
+        modifiedTime: file.modifiedTime,
+        size: file.size,
+        md5Checksum: file.md5Checksum,
+        keepForever: false,
+      },
+      content,
+    });
+  }
+  /**
+   * Handles a request to the server.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async _handler(req, res) {
+    const url = new URL(req.url, this.baseUri);
+    this.requests.push({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+    });
+    let body;
+    try {
+      body = await this._readBody(req);
+    } catch (e) {
+      return;
+    }
+    const failure = this._takeFailure(false);
+    if (failure) {
+      this._sendError(res, failure.status, failure.reason,
+          `Simulated ${failure.reason} error.`, failure.headers);
+      return;
+    }
+    const auth = req.headers.authorization;
+    const token = auth && auth.replace(/^Bearer /, '');
+    if (!auth || (this.accessToken && token !== this.accessToken &&
+        !this._users.has(token))) {
+      this._sendError(res, 401, 'authError', 'Invalid Credentials');
+      return;
+    }
+    try {
+      this._route(req, res, url, body, token);
+    } catch (e) {
+      this._sendError(res, 400, 'badRequest', e.message);
+    }
+  }
+  /**
+   * Calls a handler for an endpoint.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   * @param {Buffer} body
+   * @param {String} token Access token of the request.
+   */
+  _route(req, res, url, body, token) {
+    const path = url.pathname;
+    const method = req.method;
+    let match;
+    if (path === '/drive/v3/about' && method === 'GET') {
+      this._sendJson(res, 200, { user: this._getUser(token) });
+      return;
+    }
+    if (path === '/batch/drive/v3' && method === 'POST') {
+      this._batch(req, res, body, token);
+      return;
+    }
+    if (path === '/drive/v3/drives' && method === 'GET') {
+      this._listDrives(res, url);
+      return;
+    }
+    match = /^(?:\/upload)?\/drive\/v3\/files\/([^/]+)/.exec(path);
+    if (match && !url.searchParams.get('upload_id')) {
+      const entry = this.files.get(decodeURIComponent(match[1]));
+      if (entry && entry.resource.driveId &&
+        url.searchParams.get('supportsAllDrives') !== 'true') {
+        this._sendError(res, 404, 'notFound',
+            `File not found: ${entry.resource.id}.`);
+        return;
+      }
+    }
+    if (path === '/drive/v3/files') {
+      if (method === 'GET') {
+        this._listFiles(res, url);
+        return;
+      }
+      if (method === 'POST') {
+        this._createFile(res, body);
+        return;
+      }
+    }
+    match = /^\/drive\/v3\/files\/([^/]+)$/.exec(path);
+    if (match && method === 'GET') {
+      this._getFile(res, url, decodeURIComponent(match[1]));
+      return;
+    }
+    if (match && method === 'PATCH') {
+      this._updateFile(res, url, decodeURIComponent(match[1]), body);
+      return;
+    }
+    if (match && method === 'DELETE') {
+      this._deleteFile(res, decodeURIComponent(match[1]));
+      return;
+    }
+    match = /^\/drive\/v3\/files\/([^/]+)\/copy$/.exec(path);
+    if (match && method === 'POST') {
+      this._copyFile(res, decodeURIComponent(match[1]), body);
+      return;
+    }
+    if (path === '/drive/v3/changes/startPageToken' && method === 'GET') {
+      this._sendJson(res, 200, {
+        kind: 'drive#startPageToken',
+        startPageToken: String(this._changes.length),
+      });
+      return;
+    }
+    if (path === '/drive/v3/changes' && method === 'GET') {
+      this._listChanges(res, url);
+      return;
+    }
+    match = /^\/drive\/v3\/files\/([^/]+)\/revisions(?:\/([^/]+))?$/
+        .exec(path);
+    if (match) {
+      const fileId = decodeURIComponent(match[1]);
+      const revisionId = match[2] && decodeURIComponent(match[2]);
+      if (!revisionId && method === 'GET') {
+        this._listRevisions(res, url, fileId);
+        return;
+      }
+      if (revisionId && (method === 'GET' || method === 'PATCH')) {
+        this._revision(req, res, url, fileId, revisionId, body);
+        return;
+      }
+    }
+    match = /^\/drive\/v3\/files\/([^/]+)\/permissions(?:\/([^/]+))?$/
+        .exec(path);
+    if (match) {
+      const fileId = decodeURIComponent(match[1]);
+      const permissionId = match[2] && decodeURIComponent(match[2]);
+      if (!permissionId && method === 'GET') {
+        this._listPermissions(res, url, fileId);
+        return;
+      }
+      if (!permissionId && method === 'POST') {
+        this._createPermission(res, fileId, body);
+        return;
+      }
+      if (permissionId && method === 'DELETE') {
+        this._deletePermission(res, fileId, permissionId);
+        return;
+      }
+    }
+    match = /^\/upload\/drive\/v3\/files(?:\/([^/]+))?$/.exec(path);
+    if (match) {
+      const fileId = match[1] && decodeURIComponent(match[1]);
+      const sessionId = url.searchParams.get('upload_id');
+      if (sessionId && method === 'PUT') {
+        this._uploadContent(req, res, sessionId, body);
+        return;
+      }
+      if (url.searchParams.get('uploadType') === 'resumable' &&
+        ((method === 'POST' && !fileId) || (method === 'PATCH' && fileId))) {
+        this._createSession(res, fileId, body);
+        return;
+      }
+    }
+    this._sendError(res, 404, 'notFound', `Unknown endpoint ${method} ${path}`);
+  }
+  /**
+   * Handles batch request. Each part is routed as a separate request and
+   * the responses are sent as `multipart/mixed` body.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Buffer} body
+   * @param {String} token Access token of the request.
+   */
+  _batch(req, res, body, token) {
+    const match = /boundary="?([^";]+)"?/
+        .exec(req.headers['content-type'] || '');
+    if (!match) {
+      this._sendError(res, 400, 'badRequest', 'Missing boundary.');
+      return;
+    }
+    const parts = body.toString().split(`--${match[1]}`).slice(1)
+        .filter((part) => !/^--/.test(part));
+    if (parts.length > 100) {
+      this._sendError(res, 400, 'batchSizeTooLarge',
+          'A batch request can contain up to 100 requests.');
+      return;
+    }
+    const boundary = `batch_${this._createId()}`;
+    const responses = parts.map((part, index) => {
+      const [headers, request, ...content] = part.split('\r\n\r\n');
+      const id = /content-id:\s*<item-(\d+)>/i.exec(headers);
+      const line = /^(\w+) (\S+) HTTP/.exec(request.trim());
+      const response = this._batchItem(line, content.join('\r\n\r\n'),
+          token);
+      return `--${boundary}\r\n` +
+        'Content-Type: application/http\r\n' +
+        `Content-ID: <response-item-${id ? id[1] : index}>\r\n\r\n` +
+        `HTTP/1.1 ${response.status} ${http.STATUS_CODES[response.status]}` +
+        '\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n' +
+        `${response.body}\r\n`;
+    });
+    const data = Buffer.from(responses.join('') + `--${boundary}--\r\n`);
+    res.writeHead(200, {
+      'content-type': `multipart/mixed; boundary=${boundary}`,
+      'content-length': data.length,
+    });
+    res.end(data);
+  }
+  /**
+   * Routes a request of a batch.
+   * @param {?Array<String>} line Parsed request line with the method and
+   * the path.
+   * @param {String} body Request body
+   * @param {String} token Access token of the batch request.
+   * @return {Object} Response with `status` and `body` properties.
+   */
+  _batchItem(line, body, token) {
+    const response = { status: 400, body: '' };
+    const res = {
+      writeHead: (status) => {
+        response.status = status;
+      },
+      end: (data) => {
+        response.body = data ? data.toString() : '';
+      },
+    };
+    const failure = this._takeFailure(true);
+    if (failure) {
+      this._sendError(res, failure.status, failure.reason,
+          `Simulated ${failure.reason} error.`);
+      return response;
+    }
+    if (!line) {
+      this._sendError(res, 400, 'badRequest', 'Invalid request line.');
+      return response;
+    }
+    const req = { method: line[1], headers: {} };
+    try {
+      this._route(req, res, new URL(line[2], this.baseUri),
+          Buffer.from(body.trim()), token);
+    } catch (e) {
+      this._sendError(res, 400, 'badRequest', e.message);
+    }
+    return response;
+  }
+  /**
+   * @param {String} token Access token
+   * @return {Object} Drive's user object for the token.
+   */
+  _getUser(token) {
+    return this._users.get(token) || {
+      kind: 'drive#user',
+      displayName: 'Test User',
+      emailAddress: 'test@example.com',
+      permissionId: 'test-user',
+    };
+  }
+  /**
+   * Reads the request body.
+   * @param {http.IncomingMessage} req
+   * @return {Promise<Buffer>}
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+  /**
+   * Reads JSON from the request body.
+   * @param {Buffer} body
+   * @return {Object}
+   */
+  _readJson(body) {
+    if (!body || !body.length) {
+      return {};
+    }
+    return JSON.parse(body.toString());
+  }
+  /**
+   * Sends JSON response.
+   * @param {http.ServerResponse} res
+   * @param {Number} status
+   * @param {Object} data
+   * @param {?Object} headers
+   */
+  _sendJson(res, status, data, headers) {
+    const body = Buffer.from(JSON.stringify(data));
+    res.writeHead(status, Object.assign({
+      'content-type': 'application/json; charset=UTF-8',
+      'content-length': body.length,
+    }, headers));
+    res.end(body);
+  }
+  /**
+   * Sends Drive API error response.
+   * @param {http.ServerResponse} res
+   * @param {Number} status
+   * @param {String} reason
+   * @param {String} message
+   * @param {?Object} headers
+   */
+  _sendError(res, status, reason, message, headers) {
+    this._sendJson(res, status, {
+      error: {
+        errors: [{
+          domain: 'global',
+          reason,
+          message,
+        }],
+        code: status,
+        message,
+      },
+    }, headers);
+  }
+  /**
+   * Handles files.list request.
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   */
+  _listFiles(res, url) {
+    const params = url.searchParams;
+    const test = parseQuery(params.get('q'));
+    const allDrives = params.get('includeItemsFromAllDrives') === 'true';
+    const driveId = params.get('corpora') === 'drive' ?
+      params.get('driveId') : undefined;
+    if (params.get('corpora') === 'drive' && (!driveId || !allDrives)) {
+      this._sendError(res, 400, 'invalid', 'The driveId and ' +
+        'includeItemsFromAllDrives parameters are required.');
+      return;
+    }
+    let files = Array.from(this.files.values())
+        .map((entry) => entry.resource)
+        .filter((file) => driveId ? file.driveId === driveId :
+          (allDrives || !file.driveId))
+        .filter((file) => test(file));
+    const orderBy = params.get('orderBy');
+    if (orderBy) {
+      const [field, dir] = orderBy.split(',')[0].trim().split(/\s+/);
+      const sign = dir === 'desc' ? -1 : 1;
+      files = files.sort((a, b) => {
+        const left = a[field] || '';
+        const right = b[field] || '';
+        return left === right ? 0 : (left < right ? -sign : sign);
+      });
+    }
+    const pageSize = Number(params.get('pageSize')) || 100;
+    const start = Number(params.get('pageToken')) || 0;
+    const result = {
+      kind: 'drive#fileList',
+      files: files.slice(start, start + pageSize),
+    };
+    if (start + pageSize < files.length) {
+      result.nextPageToken = String(start + pageSize);
+    }
+    this._sendJson(res, 200, result);
+  }
+  /**
+   * Handles drives.list request.
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   */
+  _listDrives(res, url) {
+    const drives = Array.from(this.drives.values());
+    const pageSize = Number(url.searchParams.get('pageSize')) || 10;
+    const start = Number(url.searchParams.get('pageToken')) || 0;
+    const result = {
+      kind: 'drive#driveList',
+      drives: drives.slice(start, start + pageSize),
+    };
+    if (start + pageSize < drives.length) {
+      result.nextPageToken = String(start + pageSize);
+    }
+    this._sendJson(res, 200, result);
+  }
+  /**
+   * Handles files.create request without media.
+   * @param {http.ServerResponse} res
+   * @param {Buffer} body
+   */
+  _createFile(res, body) {
+    const meta = this._readJson(body);
+    if (!this._checkParents(res, meta.parents)) {
+      return;
+    }
+    const file = this.addFile(meta);
+    this._sendJson(res, 200, file);
+  }
+  /**
+   * Checks whether parent folders exist and sends 404 response when not.
+   * @param {http.ServerResponse} res
+   * @param {?Array<String>} parents
+   * @return {Boolean} True when all parents exist.
+   */
+  _checkParents(res, parents) {
+    const missing = (parents || []).find((id) => id !== 'root' &&
+      !this.files.has(id) && !this.drives.has(id));
+    if (missing) {
+      this._sendError(res, 404, 'notFound', `File not found: ${missing}.`);
+      return false;
+    }
+    return true;
+  }
+  /**
+   * Handles files.get request.
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   * @param {String} id
+   */
+  _getFile(res, url, id) {
+    const entry = this.files.get(id);
+    if (!entry) {
+      this._sendError(res, 404, 'notFound', `File not found: ${id}.`);
+      return;
+    }
+    if (url.searchParams.get('alt') !== 'media') {
+      this._sendJson(res, 200, entry.resource);
+      return;
+    }
+    const content = entry.content || Buffer.alloc(0);
+    res.writeHead(200, {
+      'content-type': entry.resource.mimeType,
+      'content-length': content.length,
+    });
+    res.end(content);
+  }
+  /**
+   * Handles files.update request without media.
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   * @param {String} id
+   * @param {Buffer} body
+   */
+  _updateFile(res, url, id, body) {
+    const entry = this.files.get(id);
+    if (!entry) {
+      this._sendError(res, 404, 'notFound', `File not found: ${id}.`);
+      return;
+    }
+    const meta = this._readJson(body);
+    delete meta.id;
+    const list = (name) => (url.searchParams.get(name) || '').split(',')
+        .filter((item) => !!item);
+    const add = list('addParents');
+    const remove = list('removeParents');
+    if (add.length || remove.length) {
+      if (!this._checkParents(res, add)) {
+        return;
+      }
+      meta.parents = (entry.resource.parents || [])
+          .filter((item) => !remove.includes(item))
+          .concat(add);
+    }
+    ['appProperties', 'properties'].forEach((name) => {
+      if (meta[name]) {
+        meta[name] = this._mergeProperties(entry.resource[name], meta[name]);
+      }
+    });
+    Object.assign(entry.resource, meta);
+    entry.resource.modifiedTime = new Date().toISOString();
+    this._recordChange(id);
+    this._sendJson(res, 200, entry.resource);
+  }
+  /**
+   * Handles files.delete request. Children of a folder are deleted too.
+   * @param {http.ServerResponse} res
+   * @param {String} id
+   */
+  _deleteFile(res, id) {
+    if (!this.files.has(id)) {
+      this._sendError(res, 404, 'notFound', `File not found: ${id}.`);
+      return;
+    }
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+      this.files.forEach((entry, key) => {
+        if ((entry.resource.parents || []).includes(ids[i])) {
+          ids.push(key);
+        }
+      });
+    }
+    ids.forEach((key) => this.removeFile(key));
+    res.writeHead(204);
+    res.end();
+  }
+  /**
+   * Handles files.copy request.
+   * @param {http.ServerResponse} res
+   * @param {String} id
+   * @param {Buffer} body
+   */
+  _copyFile(res, id, body) {
+    const entry = this.files.get(id);
+    if (!entry) {
+      this._sendError(res, 404, 'notFound', `File not found: ${id}.`);
+      return;
+    }
+    if (entry.resource.mimeType === 'application/vnd.google-apps.folder') {
+      this._sendError(res, 403, 'fileNotCopyable', 'Folders cannot be copied.');
+      return;
+    }
+    const meta = this._readJson(body);
+    if (!this._checkParents(res, meta.parents)) {
+      return;
+    }
+    const source = entry.resource;
+    const copy = Object.assign({
+      name: source.name,
+      mimeType: source.mimeType,
+      parents: source.parents,
+      appProperties: source.appProperties,
+      properties: source.properties,
+    }, meta);
+    delete copy.id;
+    this._sendJson(res, 200, this.addFile(copy, entry.content));
+  }
+  /**
+   * Handles changes.list request. The page token is the position in
+   * the changes feed. Only the last change of a file is reported.
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   */
+  _listChanges(res, url) {
+    const params = url.searchParams;
+    const start = Number(params.get('pageToken'));
+    if (!params.get('pageToken') || isNaN(start)) {
+      this._sendError(res, 400, 'invalid', 'Invalid page token.');
+      return;
+    }
+    const pageSize = Number(params.get('pageSize')) || 100;
+    const end = Math.min(start + pageSize, this._changes.length);
+    const allDrives = params.get('includeItemsFromAllDrives') === 'true';
+    const driveId = params.get('driveId');
+    const changes = [];
+    this._changes.slice(start, end).forEach((item) => {
+      if (driveId ? item.driveId !== driveId :
+        (item.driveId && !allDrives)) {
+        return;
+      }
+      const index = changes.findIndex((change) =>
+        change.fileId === item.fileId);
+      if (index !== -1) {
+        changes.splice(index, 1);
+      }
+      const entry = this.files.get(item.fileId);
+      const change = {
+        kind: 'drive#change',
+        changeType: 'file',
+        fileId: item.fileId,
+        time: item.time,
+        removed: !entry,
+      };
+      if (entry) {
+        change.file = entry.resource;
+      }
+      changes.push(change);
+    });
+    const result = {
+      kind: 'drive#changeList',
+      changes,
+    };
+    if (end < this._changes.length) {
+      result.nextPageToken = String(end);
+    } else {
+      result.newStartPageToken = String(end);
+    }
+    this._sendJson(res, 200, result);
+  }
+  /**
+   * Lists revisions of a file.
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   * @param {String} fileId
+   */
+  _listRevisions(res, url, fileId) {
+    const entry = this.files.get(fileId);
+    if (!entry) {
+      this._sendError(res, 404, 'notFound', `File not found: ${fileId}.`);
+      return;
+    }
+    const revisions = (entry.revisions || []).map((item) => item.resource);
+    const pageSize = Number(url.searchParams.get('pageSize')) || 200;
+    const start = Number(url.searchParams.get('pageToken')) || 0;
+    const result = {
+      kind: 'drive#revisionList',
+      revisions: revisions.slice(start, start + pageSize),
+    };
+    if (start + pageSize < revisions.length) {
+      result.nextPageToken = String(start + pageSize);
+    }
+    this._sendJson(res, 200, result);
+  }
+  /**
+   * Reads or updates a revision of a file.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   * @param {String} fileId
+   * @param {String} revisionId
+   * @param {Buffer} body
+   */
+  _revision(req, res, url, fileId, revisionId, body) {
+    const entry = this.files.get(fileId);
+    const revision = entry && entry.revisions &&
+      entry.revisions.find((item) => item.resource.id === revisionId);
+    if (!revision) {
+      this._sendError(res, 404, 'notFound',
+          `Revision not found: ${revisionId}.`);
+      return;
+    }
+    if (req.method === 'PATCH') {
+      const data = this._readJson(body);
+      if (typeof data.keepForever === 'boolean') {
+        revision.resource.keepForever = data.keepForever;
+      }
+      this._sendJson(res, 200, revision.resource);
+      return;
+    }
+    if (url.searchParams.get('alt') !== 'media') {
+      this._sendJson(res, 200, revision.resource);
+      return;
+    }
+    res.writeHead(200, {
+      'content-type': revision.resource.mimeType,
+      'content-length': revision.content.length,
+    });
+    res.end(revision.content);
+  }
+  /**
+   * Lists permissions of a file.
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   * @param {String} fileId
+   */
+  _listPermissions(res, url, fileId) {
+    const entry = this.files.get(fileId);
+    if (!entry) {
+      this._sendError(res, 404, 'notFound', `File not found: ${fileId}.`);
+      return;
+    }
+    const pageSize = Number(url.searchParams.get('pageSize')) || 100;
+    const start = Number(url.searchParams.get('pageToken')) || 0;
+    const result = {
+      kind: 'drive#permissionList',
+      permissions: entry.permissions.slice(start, start + pageSize),
+    };
+    if (start + pageSize < entry.permissions.length) {
+      result.nextPageToken = String(start + pageSize);
+    }
+    this._sendJson(res, 200, result);
+  }
+  /**
+   * Creates a permission of a file. A permission for the same grantee is
+   * updated instead.
+   * @param {http.ServerResponse} res
+   * @param {String} fileId
+   * @param {Buffer} body
+   */
+  _createPermission(res, fileId, body) {
+    const entry = this.files.get(fileId);
+    if (!entry) {
+      this._sendError(res, 404, 'notFound', `File not found: ${fileId}.`);
+      return;
+    }
+    const data = this._readJson(body);
+    if (!data.type || !data.role) {
+      this._sendError(res, 400, 'required', 'Permission type and role are ' +
+        'required.');
+      return;
+    }
+    let permission = entry.permissions.find((item) =>
+      item.type === data.type && item.emailAddress === data.emailAddress &&
+      item.domain === data.domain);
+    if (!permission) {
+      permission = {
+        kind: 'drive#permission',
+        id: data.type === 'anyone' ? 'anyoneWithLink' : this._createId(),
+      };
+      entry.permissions.push(permission);
+    }
+    Object.assign(permission, data);
+    this._recordChange(fileId);
+    this._sendJson(res, 200, permission);
+  }
+  /**
+   * Removes a permission of a file.
+   * @param {http.ServerResponse} res
+   * @param {String} fileId
+   * @param {String} permissionId
+   */
+  _deletePermission(res, fileId, permissionId) {
+    const entry = this.files.get(fileId);
+    const index = entry ? entry.permissions
+        .findIndex((item) => item.id === permissionId) : -1;
+    if (index === -1) {
+      this._sendError(res, 404, 'notFound',
+          `Permission not found: ${permissionId}.`);
+      return;
+    }
+    if (entry.permissions[index].role === 'owner') {
+      this._sendError(res, 403, 'cannotDeletePermission',
+          'The owner of a file cannot be removed.');
+      return;
+    }
+    entry.permissions.splice(index, 1);
+    this._recordChange(fileId);
+    res.writeHead(204);
+    res.end();
+  }
+  /**
+   * Creates resumable upload session.
+   * @param {http.ServerResponse} res
+   * @param {?String} fileId Updated file ID
+   * @param {Buffer} body Request body with file metadata
+   */
+  _createSession(res, fileId, body) {
+    if (fileId && !this.files.has(fileId)) {
+      this._sendError(res, 404, 'notFound', `File not found: ${fileId}.`);
+      return;
+    }
+    const meta = this._readJson(body);
+    if (!this._checkParents(res, meta.parents)) {
+      return;
+    }
+    const id = this._createId();
+    this._sessions.set(id, {
+      fileId,
+      meta,
+      chunks: [],
+      received: 0,
+    });
+    const location = `${this.baseUri}/upload/drive/v3/files` +
+      `${fileId ? '/' + encodeURIComponent(fileId) : ''}` +
+      `?uploadType=resumable&upload_id=${id}`;
+    res.writeHead(200, {
+      location,
+      'content-length': 0,
+    });
+    res.end();
+  }
+  /**
+   * Handles content upload to a resumable session.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {String} id Session ID
+   * @param {Buffer} body
+   */
+  _uploadContent(req, res, id, body) {
+    const session = this._sessions.get(id);
+    if (!session) {
+      this._sendError(res, 404, 'notFound', 'Upload session not found.');
+      return;
+    }
+    const range = req.headers['content-range'];
+    let total;
+    if (range) {
+      const match = /^bytes (\*|(\d+)-(\d+))\/(\d+|\*)$/.exec(range);
+      if (!match) {
+        this._sendError(res, 400, 'badRequest', 'Invalid content-range.');
+        return;
+      }
+      total = match[4] === '*' ? undefined : Number(match[4]);
+      if (match[1] !== '*') {
+        const start = Number(match[2]);
+        if (start !== session.received) {
+          this._sendIncomplete(res, session);
+          return;
+        }
+        session.chunks.push(body);
+        session.received += body.length;
+      }
+    } else {
+      session.chunks.push(body);
+      session.received += body.length;
+      total = session.received;
+    }
+    if (session.file) {
+      this._sendJson(res, 200, session.file);
+      return;
+    }
+    if (total === undefined || session.received < total) {
+      this._sendIncomplete(res, session);
+      return;
+    }
+    session.contentType = req.headers['content-type'];
+    session.file = this._finishUpload(session);
+    this._sendJson(res, 200, session.file);
+  }
+  /**
+   * Sends the 308 status response for incomplete upload.
+   * @param {http.ServerResponse} res
+   * @param {Object} session Upload session
+   */
+  _sendIncomplete(res, session) {
+    const headers = {
+      'content-length': 0,
+    };
+    if (session.received) {
+      headers.range = `bytes=0-${session.received - 1}`;
+    }
+    res.writeHead(308, headers);
+    res.end();
+  }
+  /**
+   * Stores uploaded file.
+   * @param {Object} session Completed upload session
+   * @return {Object} Created or updated file resource.
+   */
+  _finishUpload(session) {
+    const content = Buffer.concat(session.chunks);
+    const meta = Object.assign({}, session.meta);
+    if (!meta.mimeType && session.contentType) {
+      meta.mimeType = session.contentType;
+    }
+    const entry = session.fileId && this.files.get(session.fileId);
+    ['appProperties', 'properties'].forEach((name) => {
+      if (meta[name]) {
+        meta[name] = this._mergeProperties(entry && entry.resource[name],
+            meta[name]);
+      }
+    });
+    if (!entry) {
+      return this.addFile(meta, content);
+    }
+    delete meta.id;
+    Object.assign(entry.resource, meta);
+    this._setContent(entry, content);
+    return entry.resource;
+  }
+  /**
+   * Merges file properties like Drive does. Properties set to `null` are
+   * removed.
+   * @param {?Object} current Current properties of the file.
+   * @param {Object} values Properties sent by the client.
+   * @return {Object} New properties of the file.
+   */
+  _mergeProperties(current, values) {
+    const result = Object.assign({}, current, values);
+    Object.keys(result).forEach((key) => {
+      if (result[key] === null) {
+        delete result[key];
+      }
+    });
+    return result;
+  }
+}
@@ -1 +1,10 @@
 export { DriveExport } from './lib/drive-export.js';
+export { DriveError } from './lib/drive-error.js';
+export { DriveAbortController } from './lib/drive-abort.js';
+export { DriveEncryption } from './lib/drive-encryption.js';
+export { DriveSync } from './lib/drive-sync.js';
+export { DriveQuery } from './lib/drive-query.js';
+export { DriveBatch } from './lib/drive-batch.js';
+export { DriveOutbox } from './lib/drive-outbox.js';
+export { DriveContentHints } from './lib/drive-content-hints.js';
+export { FakeDriveServer } from './lib/fake-drive-server.js';
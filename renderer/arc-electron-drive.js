@@ -1,18 +1,71 @@
 const { ipcRenderer: ipc } = require('electron');
+const esmRequire = require('esm')(module);
+const { DriveError } = esmRequire('../lib/drive-error.js');
 /**
  * A class to be used in the renderer process that listens for drive
  * events and communicates with drive instance in the main process.
  */
 class ArcElectronDrive {
   /**
-   * @constructor
+   * @param {?Object} opts Options:
+   * - `{Number}` `timeout` - Time in milliseconds after which an operation
+   * is cancelled and rejected with `DriveError` which `reason` is `timeout`.
+   * Not set by default.
+   * - `{Object}` `timeouts` - Timeouts of individual operations, e.g.
+   * `{ download: 600000 }`. Keys are operation names reported in
+   * `DriveError`'s `operation` property. Takes precedence over `timeout`.
    */
-  constructor() {
+  constructor(opts) {
+    if (!opts) {
+      opts = {};
+    }
+    /**
+     * Default operation timeout in milliseconds.
+     * @type {Number|undefined}
+     */
+    this.timeout = opts.timeout;
+    /**
+     * Timeouts of individual operations.
+     * @type {Object}
+     */
+    this.timeouts = Object.assign({}, opts.timeouts);
     this._dataSaveHandler = this._dataSaveHandler.bind(this);
     this._mainResultHandler = this._mainResultHandler.bind(this);
     this._mainErrorHandler = this._mainErrorHandler.bind(this);
+    this._uploadProgressHandler = this._uploadProgressHandler.bind(this);
+    this._conflictHandler = this._conflictHandler.bind(this);
+    this._downloadProgressHandler = this._downloadProgressHandler.bind(this);
+    this._downloadFileHandler = this._downloadFileHandler.bind(this);
     this._listAppFoldersHandler = this._listAppFoldersHandler.bind(this);
     this._getFileHandler = this._getFileHandler.bind(this);
+    this._listFilesHandler = this._listFilesHandler.bind(this);
+    this._addAccountHandler = this._addAccountHandler.bind(this);
+    this._listAccountsHandler = this._listAccountsHandler.bind(this);
+    this._setDefaultAccountHandler = this._setDefaultAccountHandler.bind(this);
+    this._removeAccountHandler = this._removeAccountHandler.bind(this);
+    this._listRevisionsHandler = this._listRevisionsHandler.bind(this);
+    this._getRevisionHandler = this._getRevisionHandler.bind(this);
+    this._restoreRevisionHandler = this._restoreRevisionHandler.bind(this);
+    this._keepRevisionHandler = this._keepRevisionHandler.bind(this);
+    this._watchHandler = this._watchHandler.bind(this);
+    this._unwatchHandler = this._unwatchHandler.bind(this);
+    this._listSharedDrivesHandler = this._listSharedDrivesHandler.bind(this);
+    this._searchHandler = this._searchHandler.bind(this);
+    this._shareHandler = this._shareHandler.bind(this);
+    this._shareLinkHandler = this._shareLinkHandler.bind(this);
+    this._listPermissionsHandler = this._listPermissionsHandler.bind(this);
+    this._revokePermissionHandler = this._revokePermissionHandler.bind(this);
+    this._renameHandler = this._renameHandler.bind(this);
+    this._moveHandler = this._moveHandler.bind(this);
+    this._copyHandler = this._copyHandler.bind(this);
+    this._trashHandler = this._trashHandler.bind(this);
+    this._untrashHandler = this._untrashHandler.bind(this);
+    this._deleteHandler = this._deleteHandler.bind(this);
+    this._batchHandler = this._batchHandler.bind(this);
+    this._listOutboxHandler = this._listOutboxHandler.bind(this);
+    this._outboxStatusHandler = this._outboxStatusHandler.bind(this);
+    this._fileChangedHandler = this._fileChangedHandler.bind(this);
+    this._openRequestHandler = this._openRequestHandler.bind(this);
     /**
      * Map of pending promises. Keys are request IDs.
      */
@@ -30,8 +83,53 @@ class ArcElectronDrive {
     window.addEventListener('google-drive-list-app-folders',
         this._listAppFoldersHandler);
     window.addEventListener('google-drive-get-file', this._getFileHandler);
+    window.addEventListener('google-drive-list-files', this._listFilesHandler);
+    window.addEventListener('google-drive-search', this._searchHandler);
+    window.addEventListener('google-drive-add-account',
+        this._addAccountHandler);
+    window.addEventListener('google-drive-list-accounts',
+        this._listAccountsHandler);
+    window.addEventListener('google-drive-set-default-account',
+        this._setDefaultAccountHandler);
+    window.addEventListener('google-drive-remove-account',
+        this._removeAccountHandler);
+    window.addEventListener('google-drive-list-revisions',
+        this._listRevisionsHandler);
+    window.addEventListener('google-drive-get-revision',
+        this._getRevisionHandler);
+    window.addEventListener('google-drive-restore-revision',
+        this._restoreRevisionHandler);
+    window.addEventListener('google-drive-keep-revision',
+        this._keepRevisionHandler);
+    window.addEventListener('google-drive-download-file',
+        this._downloadFileHandler);
+    window.addEventListener('google-drive-watch', this._watchHandler);
+    window.addEventListener('google-drive-unwatch', this._unwatchHandler);
+    window.addEventListener('google-drive-list-shared-drives',
+        this._listSharedDrivesHandler);
+    window.addEventListener('google-drive-share', this._shareHandler);
+    window.addEventListener('google-drive-share-link', this._shareLinkHandler);
+    window.addEventListener('google-drive-list-permissions',
+        this._listPermissionsHandler);
+    window.addEventListener('google-drive-revoke-permission',
+        this._revokePermissionHandler);
+    window.addEventListener('google-drive-rename', this._renameHandler);
+    window.addEventListener('google-drive-move', this._moveHandler);
+    window.addEventListener('google-drive-copy', this._copyHandler);
+    window.addEventListener('google-drive-trash', this._trashHandler);
+    window.addEventListener('google-drive-untrash', this._untrashHandler);
+    window.addEventListener('google-drive-delete', this._deleteHandler);
+    window.addEventListener('google-drive-batch', this._batchHandler);
+    window.addEventListener('google-drive-list-outbox',
+        this._listOutboxHandler);
     ipc.on('google-drive-operation-result', this._mainResultHandler);
     ipc.on('google-drive-operation-error', this._mainErrorHandler);
+    ipc.on('google-drive-upload-progress', this._uploadProgressHandler);
+    ipc.on('google-drive-conflict', this._conflictHandler);
+    ipc.on('google-drive-download-progress', this._downloadProgressHandler);
+    ipc.on('google-drive-file-changed', this._fileChangedHandler);
+    ipc.on('google-drive-open-request', this._openRequestHandler);
+    ipc.on('google-drive-outbox-status', this._outboxStatusHandler);
   }
   /**
    * Stops listening to the web and ipc events.
@@ -41,24 +139,187 @@ class ArcElectronDrive {
     window.removeEventListener('google-drive-list-app-folders',
         this._listAppFoldersHandler);
     window.removeEventListener('google-drive-get-file', this._getFileHandler);
+    window.removeEventListener('google-drive-list-files',
+        this._listFilesHandler);
+    window.removeEventListener('google-drive-search', this._searchHandler);
+    window.removeEventListener('google-drive-add-account',
+        this._addAccountHandler);
+    window.removeEventListener('google-drive-list-accounts',
+        this._listAccountsHandler);
+    window.removeEventListener('google-drive-set-default-account',
+        this._setDefaultAccountHandler);
+    window.removeEventListener('google-drive-remove-account',
+        this._removeAccountHandler);
+    window.removeEventListener('google-drive-list-revisions',
+        this._listRevisionsHandler);
+    window.removeEventListener('google-drive-get-revision',
+        this._getRevisionHandler);
+    window.removeEventListener('google-drive-restore-revision',
+        this._restoreRevisionHandler);
+    window.removeEventListener('google-drive-keep-revision',
+        this._keepRevisionHandler);
+    window.removeEventListener('google-drive-download-file',
+        this._downloadFileHandler);
+    window.removeEventListener('google-drive-watch', this._watchHandler);
+    window.removeEventListener('google-drive-unwatch', this._unwatchHandler);
+    window.removeEventListener('google-drive-list-shared-drives',
+        this._listSharedDrivesHandler);
+    window.removeEventListener('google-drive-share', this._shareHandler);
+    window.removeEventListener('google-drive-share-link',
+        this._shareLinkHandler);
+    window.removeEventListener('google-drive-list-permissions',
+        this._listPermissionsHandler);
+    window.removeEventListener('google-drive-revoke-permission',
+        this._revokePermissionHandler);
+    window.removeEventListener('google-drive-rename', this._renameHandler);
+    window.removeEventListener('google-drive-move', this._moveHandler);
+    window.removeEventListener('google-drive-copy', this._copyHandler);
+    window.removeEventListener('google-drive-trash', this._trashHandler);
+    window.removeEventListener('google-drive-untrash', this._untrashHandler);
+    window.removeEventListener('google-drive-delete', this._deleteHandler);
+    window.removeEventListener('google-drive-batch', this._batchHandler);
+    window.removeEventListener('google-drive-list-outbox',
+        this._listOutboxHandler);
     ipc.removeListener('google-drive-operation-result',
         this._mainResultHandler);
     ipc.removeListener('google-drive-operation-error', this._mainErrorHandler);
+    ipc.removeListener('google-drive-upload-progress',
+        this._uploadProgressHandler);
+    ipc.removeListener('google-drive-conflict', this._conflictHandler);
+    ipc.removeListener('google-drive-download-progress',
+        this._downloadProgressHandler);
+    ipc.removeListener('google-drive-file-changed', this._fileChangedHandler);
+    ipc.removeListener('google-drive-open-request', this._openRequestHandler);
+    ipc.removeListener('google-drive-outbox-status',
+        this._outboxStatusHandler);
+    Object.keys(this._promises).forEach((id) => this.abort(id));
   }
   /**
    * Adds new promise to the list of pending promises.
    * @param {Number} id Event request id
    * @param {Function} resolve
    * @param {Function} reject
+   * @param {?Function} onProgress Optional upload progress callback
+   * @param {?String} operation Name of the operation used to set its timeout.
    */
-  _addPromise(id, resolve, reject) {
-    this._promises[id] = {
+  _addPromise(id, resolve, reject, onProgress, operation) {
+    const promise = {
       resolve: resolve,
       reject: reject,
+      onProgress: onProgress,
+      operation: operation,
     };
+    const timeout = this._getTimeout(operation);
+    if (timeout > 0) {
+      promise.timer = setTimeout(() => this._timeoutHandler(id), timeout);
+    }
+    this._promises[id] = promise;
+  }
+  /**
+   * Creates a promise of an operation sent to the main process.
+   * The promise has the `requestId` property to use with `abort()`.
+   * @param {Number} id Event request id
+   * @param {String} operation Name of the operation
+   * @param {?Function} onProgress Optional progress callback
+   * @return {Promise}
+   */
+  _createPromise(id, operation, onProgress) {
+    const result = new Promise((resolve, reject) => {
+      this._addPromise(id, resolve, reject, onProgress, operation);
+    });
+    result.requestId = id;
+    return result;
+  }
+  /**
+   * @param {?String} operation Name of the operation
+   * @return {Number|undefined} Timeout of the operation in milliseconds.
+   */
+  _getTimeout(operation) {
+    if (operation && typeof this.timeouts[operation] === 'number') {
+      return this.timeouts[operation];
+    }
+    return this.timeout;
+  }
+  /**
+   * Removes a pending promise and clears its timeout.
+   * @param {Number|String} id Event request id
+   * @return {Object|undefined} The removed promise.
+   */
+  _removePromise(id) {
+    const promise = this._promises[id];
+    if (!promise) {
+      return;
+    }
+    delete this._promises[id];
+    if (promise.timer) {
+      clearTimeout(promise.timer);
+    }
+    return promise;
+  }
+  /**
+   * Cancels an operation in the main process and rejects its promise
+   * with `DriveError` which `reason` is `aborted`.
+   * @param {Number|String} requestId The `requestId` property of the promise
+   * returned by the operation or of the custom event's detail object.
+   * @return {Boolean} False when the operation is not pending.
+   */
+  abort(requestId) {
+    const promise = this._removePromise(requestId);
+    if (!promise) {
+      return false;
+    }
+    ipc.send('google-drive-abort', Number(requestId));
+    promise.reject(new DriveError('The operation was cancelled.', {
+      reason: 'aborted',
+      operation: promise.operation,
+    }));
+    return true;
+  }
+  /**
+   * Cancels an operation which timed out and rejects its promise
+   * with `DriveError` which `reason` is `timeout`.
+   * @param {Number} id Event request id
+   */
+  _timeoutHandler(id) {
+    const promise = this._removePromise(id);
+    if (!promise) {
+      return;
+    }
+    ipc.send('google-drive-abort', id);
+    promise.reject(new DriveError('The operation timed out.', {
+      reason: 'timeout',
+      operation: promise.operation,
+      retryable: true,
+    }));
   }
   /**
    * Handler for web `google-drive-data-save` event.
+   *
+   * When `options.onProgress` function is set on the detail object it is
+   * called with an object with `loaded` and `total` bytes while the file is
+   * being uploaded. The `options.accountId` property selects the account
+   * to use.
+   *
+   * The `content` can be a string, an object (serialized to JSON) or binary
+   * data (`Buffer`, `Uint8Array`). Instead of the content
+   * `options.filePath` can point to a local file to upload.
+   *
+   * When `options.expectedVersion` is set (the `version` returned by
+   * `getFile()` with `withVersion` option) and the file has changed
+   * the promise is rejected with `DriveError` which `reason` is `conflict`.
+   * When `options.onConflict` function is set it is called instead with
+   * an object with `local`, `remote` and `version` properties and it returns
+   * (or resolves to) the merged content or `undefined` to cancel the save.
+   *
+   * When `options.encryption` object with `passphrase` or `key` property is
+   * set the content is encrypted before the upload.
+   *
+   * When `options.driveId` is set the file is created in the shared drive.
+   *
+   * The `options.kind` (e.g. `history` or `project`), `options.appProperties`
+   * and `options.properties` tag the file so it can be found with
+   * `listFiles()` or `search()`. The main process adds `arcVersion` and
+   * `schemaVersion` app properties.
    * @param {CustomEvent} e
    */
   _dataSaveHandler(e) {
@@ -98,23 +359,40 @@ class ArcElectronDrive {
       meta,
       type: options.contentType,
       body: content,
+      filePath: options.filePath,
+      accountId: options.accountId,
+      expectedVersion: options.expectedVersion,
+      merge: typeof options.onConflict === 'function',
+      encryption: options.encryption,
+      driveId: options.driveId,
+      kind: options.kind,
+      appProperties: options.appProperties,
+      properties: options.properties,
     });
-    e.detail.result = new Promise((resolve, reject) => {
-      this._addPromise(id, resolve, reject);
-    });
+    e.detail.result = this._createPromise(id, 'save', options.onProgress);
+    e.detail.requestId = id;
+    this._promises[id].onConflict = options.onConflict;
   }
   /**
    * Handler for `google-drive-list-app-folders` event.
    * Requests to get Drive folders list created by this application.
+   * When `refresh` detail property is set the list is read from Drive
+   * instead of the cache. The `accountId` detail property selects
+   * the account to use and `driveId` a shared drive to list folders from.
    * @param {CustomEvent} e
    */
   _listAppFoldersHandler(e) {
     e.preventDefault();
     const id = (++this._index);
-    ipc.send('google-drive-list-app-folders', id, { interactive: false });
-    e.detail.result = new Promise((resolve, reject) => {
-      this._addPromise(id, resolve, reject);
+    const detail = e.detail || {};
+    ipc.send('google-drive-list-app-folders', id, {
+      interactive: false,
+      refresh: !!detail.refresh,
+      accountId: detail.accountId,
+      driveId: detail.driveId,
     });
+    e.detail.result = this._createPromise(id, 'listAppFolders');
+    e.detail.requestId = id;
   }
   /**
    * Handler for ipc `google-drive-operation-result` event
@@ -123,38 +401,115 @@ class ArcElectronDrive {
    * @param {Object} result
    */
   _mainResultHandler(e, id, result) {
-    const promise = this._promises[id];
+    const promise = this._removePromise(id);
     if (!promise) {
       return;
     }
-    delete this._promises[id];
     promise.resolve(result);
   }
   /**
-   * Handler for ipc `google-drive-operation-error` event
+   * Handler for ipc `google-drive-upload-progress` event
+   * @param {Event} e
+   * @param {String} id
+   * @param {Object} progress Object with `loaded` and `total` bytes.
+   */
+  _uploadProgressHandler(e, id, progress) {
+    const promise = this._promises[id];
+    if (!promise || !promise.onProgress) {
+      return;
+    }
+    promise.onProgress(progress);
+  }
+  /**
+   * Handler for ipc `google-drive-download-progress` event
+   * @param {Event} e
+   * @param {String} id
+   * @param {Object} progress Object with `loaded` and `total` bytes.
+   */
+  _downloadProgressHandler(e, id, progress) {
+    const promise = this._promises[id];
+    if (!promise || !promise.onProgress) {
+      return;
+    }
+    promise.onProgress(progress);
+  }
+  /**
+   * Handler for ipc `google-drive-conflict` event.
+   * Calls the `onConflict` function of the save request and sends
+   * the merged content back to the main process.
+   * @param {Event} e
+   * @param {String} id
+   * @param {Object} info Object with `local`, `remote` and `version`
+   * properties.
+   */
+  async _conflictHandler(e, id, info) {
+    const promise = this._promises[id];
+    let content;
+    if (promise && promise.onConflict) {
+      try {
+        content = await promise.onConflict(info);
+      } catch (_) {}
+    }
+    ipc.send('google-drive-conflict-result', id, content);
+  }
+  /**
+   * Handler for ipc `google-drive-operation-error` event.
+   * The promise is rejected with `DriveError` restored from the serialized
+   * error sent by the main process.
    * @param {Event} e
    * @param {String} id
    * @param {Object} cause
    */
   _mainErrorHandler(e, id, cause) {
-    const promise = this._promises[id];
+    const promise = this._removePromise(id);
     if (!promise) {
       return;
     }
-    delete this._promises[id];
-    promise.reject(cause);
+    promise.reject(DriveError.fromJSON(cause));
   }
   /**
    * Downloads file from Google Drive by its ID.
    * @param {String} fileId File ID
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use. Default to
+   * the default account.
+   * - `{Boolean}` `withVersion` - When set the promise is resolved to
+   * an object with `content` and `version` properties.
+   * - `{String}` `responseType` - `text` (default), `json` or `buffer`.
+   * - `{Object}` `encryption` - Object with `passphrase` or `key` property
+   * used to decrypt encrypted file.
    * @return {Promise} Promise resolved to file content.
    */
-  getFile(fileId) {
+  getFile(fileId, opts) {
+    if (!opts) {
+      opts = {};
+    }
     const id = (++this._index);
-    ipc.send('google-drive-get-file', id, fileId);
-    return new Promise((resolve, reject) => {
-      this._addPromise(id, resolve, reject);
+    ipc.send('google-drive-get-file', id, fileId, opts);
+    const result = this._createPromise(id, 'getFile');
+    if (opts.responseType !== 'buffer') {
+      return result;
+    }
+    // IPC delivers binary data as `Uint8Array`.
+    const buffer = result.then((data) => {
+      if (opts.withVersion) {
+        data.content = this._toBuffer(data.content);
+        return data;
+      }
+      return this._toBuffer(data);
     });
+    buffer.requestId = id;
+    return buffer;
+  }
+  /**
+   * @param {Uint8Array} data
+   * @return {Buffer}
+   */
+  _toBuffer(data) {
+    if (!data || Buffer.isBuffer(data)) {
+      return data;
+    }
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
   }
   /**
    * Handler for `google-drive-get-file` custom event. Asks to download a file
@@ -168,8 +523,887 @@ class ArcElectronDrive {
       e.detail.result = Promise.reject(
           new Error('The "id" detail property is missing.'));
     } else {
-      e.detail.result = this.getFile(e.detail.id);
+      e.detail.result = this.getFile(id, {
+        accountId: e.detail.accountId,
+        withVersion: e.detail.withVersion,
+        responseType: e.detail.responseType,
+        encryption: e.detail.encryption,
+      });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Lists application data files stored in Google Drive.
+   * @param {?Object} opts List options:
+   * - `{String}` `parent` - An ID of a folder to list files from.
+   * - `{String}` `name` - A name, or part of it, of a file to search for.
+   * - `{String}` `mimeType` - Files media type. Defaults to the media type
+   * registered in the main process.
+   * - `{String}` `accountId` - ID of the account to use. Default to
+   * the default account.
+   * - `{String}` `driveId` - ID of a shared drive to list files from.
+   * - `{Object}` `appProperties` - Lists files with all of the app
+   * properties, e.g. `{ kind: 'project' }`.
+   * - `{Object}` `properties` - Lists files with all of the properties.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of files.
+   */
+  listFiles(opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-list-files', id, opts || {});
+    return this._createPromise(id, 'listFiles');
+  }
+  /**
+   * Handler for `google-drive-list-files` custom event. Asks to list
+   * application files stored in Google Drive.
+   * The `detail` object accepts the same properties as `listFiles()`.
+   * @param {CustomEvent} e
+   */
+  _listFilesHandler(e) {
+    e.preventDefault();
+    const {
+      parent,
+      name,
+      mimeType,
+      accountId,
+      driveId,
+      appProperties,
+      properties,
+    } = e.detail;
+    e.detail.result = this.listFiles({
+      parent,
+      name,
+      mimeType,
+      accountId,
+      driveId,
+      appProperties,
+      properties,
+    });
+    e.detail.requestId = e.detail.result.requestId;
+  }
+  /**
+   * Searches for files. It reads a single page of the results.
+   * @param {Object} query Query conditions: `name`, `nameContains`,
+   * `fullText`, `mimeType`, `parent`, `modifiedAfter`, `modifiedBefore`,
+   * `trashed`, `appProperties` and `properties`. Values are escaped in
+   * the main process.
+   * @param {?Object} opts Search options:
+   * - `{String|Array<String>}` `orderBy` - Sort keys.
+   * - `{String|Array<String>}` `fields` - File fields to read.
+   * - `{Number}` `pageSize` - Maximum number of files in the page.
+   * - `{String}` `pageToken` - `nextPageToken` of the previous page.
+   * - `{String}` `driveId` - ID of a shared drive to search in.
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Object>} Promise resolved to an object with `files`
+   * and `nextPageToken` properties.
+   */
+  search(query, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-search', id, query, opts || {});
+    return this._createPromise(id, 'search');
+  }
+  /**
+   * Handler for `google-drive-search` custom event.
+   * The `detail` object has `query` and the options of `search()`.
+   * @param {CustomEvent} e
+   */
+  _searchHandler(e) {
+    e.preventDefault();
+    const {
+      query,
+      orderBy,
+      fields,
+      pageSize,
+      pageToken,
+      driveId,
+      accountId,
+    } = e.detail;
+    if (!query) {
+      e.detail.result = Promise.reject(
+          new Error('The "query" detail property is missing.'));
+    } else {
+      e.detail.result = this.search(query, {
+        orderBy,
+        fields,
+        pageSize,
+        pageToken,
+        driveId,
+        accountId,
+      });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Lists shared drives the user is a member of.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of drives
+   * with `id`, `name`, `createdTime`, `hidden` and `capabilities`
+   * properties.
+   */
+  listSharedDrives(opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-list-shared-drives', id, opts || {});
+    return this._createPromise(id, 'listSharedDrives');
+  }
+  /**
+   * Handler for `google-drive-list-shared-drives` custom event.
+   * The `detail` object has optional `accountId` property.
+   * @param {CustomEvent} e
+   */
+  _listSharedDrivesHandler(e) {
+    e.preventDefault();
+    const { accountId } = e.detail || {};
+    e.detail.result = this.listSharedDrives({ accountId });
+    e.detail.requestId = e.detail.result.requestId;
+  }
+  /**
+   * Adds a Google account. The user is asked to choose an account and to
+   * authorize the application.
+   * @param {?Object} authConfig OAuth 2 configuration. Default to the
+   * configuration of the application.
+   * @return {Promise<Object>} Promise resolved to the account with `id`,
+   * `email`, `name` and `isDefault` properties.
+   */
+  addAccount(authConfig) {
+    const id = (++this._index);
+    ipc.send('google-drive-add-account', id, authConfig);
+    return this._createPromise(id, 'addAccount');
+  }
+  /**
+   * Handler for `google-drive-add-account` custom event.
+   * The `authConfig` detail property is optional.
+   * @param {CustomEvent} e
+   */
+  _addAccountHandler(e) {
+    e.preventDefault();
+    e.detail.result = this.addAccount(e.detail.authConfig);
+    e.detail.requestId = e.detail.result.requestId;
+  }
+  /**
+   * Lists added Google accounts.
+   * @return {Promise<Array<Object>>} Promise resolved to the list of accounts
+   * with `id`, `email`, `name` and `isDefault` properties.
+   */
+  listAccounts() {
+    const id = (++this._index);
+    ipc.send('google-drive-list-accounts', id);
+    return this._createPromise(id, 'listAccounts');
+  }
+  /**
+   * Handler for `google-drive-list-accounts` custom event.
+   * @param {CustomEvent} e
+   */
+  _listAccountsHandler(e) {
+    e.preventDefault();
+    e.detail.result = this.listAccounts();
+    e.detail.requestId = e.detail.result.requestId;
+  }
+  /**
+   * Sets the account used when an operation does not specify an account.
+   * @param {String} accountId Account ID
+   * @return {Promise}
+   */
+  setDefaultAccount(accountId) {
+    const id = (++this._index);
+    ipc.send('google-drive-set-default-account', id, accountId);
+    return this._createPromise(id, 'setDefaultAccount');
+  }
+  /**
+   * Handler for `google-drive-set-default-account` custom event.
+   * @param {CustomEvent} e
+   */
+  _setDefaultAccountHandler(e) {
+    e.preventDefault();
+    const { id } = e.detail;
+    if (!id) {
+      e.detail.result = Promise.reject(
+          new Error('The "id" detail property is missing.'));
+    } else {
+      e.detail.result = this.setDefaultAccount(id);
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Removes a Google account.
+   * @param {String} accountId Account ID
+   * @return {Promise<Boolean>} Promise resolved to `true` when the account
+   * was removed.
+   */
+  removeAccount(accountId) {
+    const id = (++this._index);
+    ipc.send('google-drive-remove-account', id, accountId);
+    return this._createPromise(id, 'removeAccount');
+  }
+  /**
+   * Handler for `google-drive-remove-account` custom event.
+   * @param {CustomEvent} e
+   */
+  _removeAccountHandler(e) {
+    e.preventDefault();
+    const { id } = e.detail;
+    if (!id) {
+      e.detail.result = Promise.reject(
+          new Error('The "id" detail property is missing.'));
+    } else {
+      e.detail.result = this.removeAccount(id);
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Lists revisions of a file, oldest first.
+   * @param {String} fileId File ID
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of revisions.
+   */
+  listRevisions(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-list-revisions', id, fileId, opts || {});
+    return this._createPromise(id, 'listRevisions');
+  }
+  /**
+   * Handler for `google-drive-list-revisions` custom event.
+   * The `detail` object has `fileId` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _listRevisionsHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.listRevisions(fileId, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Downloads content of a revision.
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * - `{Object}` `encryption` - Decrypts encrypted revision.
+   * @return {Promise<String>} Promise resolved to revision content.
+   */
+  getRevision(fileId, revisionId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-get-revision', id, fileId, revisionId, opts || {});
+    return this._createPromise(id, 'getRevision');
+  }
+  /**
+   * Handler for `google-drive-get-revision` custom event.
+   * The `detail` object has `fileId`, `revisionId` and optional `accountId`
+   * and `encryption` properties.
+   * @param {CustomEvent} e
+   */
+  _getRevisionHandler(e) {
+    e.preventDefault();
+    const { fileId, revisionId, accountId, encryption } = e.detail;
+    if (!fileId || !revisionId) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "revisionId" detail property is missing.'));
+    } else {
+      e.detail.result = this.getRevision(fileId, revisionId, {
+        accountId,
+        encryption,
+      });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Restores content of a file from a revision.
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * - `{Function}` `onProgress` - Upload progress callback.
+   * @return {Promise<Object>} Promise resolved to updated file.
+   */
+  restoreRevision(fileId, revisionId, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const id = (++this._index);
+    ipc.send('google-drive-restore-revision', id, fileId, revisionId, {
+      accountId: opts.accountId,
+    });
+    return this._createPromise(id, 'restoreRevision', opts.onProgress);
+  }
+  /**
+   * Handler for `google-drive-restore-revision` custom event.
+   * The `detail` object has `fileId`, `revisionId` and optional `accountId`
+   * and `onProgress` properties.
+   * @param {CustomEvent} e
+   */
+  _restoreRevisionHandler(e) {
+    e.preventDefault();
+    const { fileId, revisionId, accountId, onProgress } = e.detail;
+    if (!fileId || !revisionId) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "revisionId" detail property is missing.'));
+    } else {
+      e.detail.result = this.restoreRevision(fileId, revisionId, {
+        accountId,
+        onProgress,
+      });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Sets whether a revision is kept forever.
+   * @param {String} fileId File ID
+   * @param {String} revisionId Revision ID
+   * @param {Boolean} keepForever
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Object>} Promise resolved to updated revision.
+   */
+  keepRevision(fileId, revisionId, keepForever, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-keep-revision', id, fileId, revisionId,
+        keepForever, opts || {});
+    return this._createPromise(id, 'keepRevision');
+  }
+  /**
+   * Handler for `google-drive-keep-revision` custom event.
+   * The `detail` object has `fileId`, `revisionId`, `keepForever` and
+   * optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _keepRevisionHandler(e) {
+    e.preventDefault();
+    const { fileId, revisionId, keepForever, accountId } = e.detail;
+    if (!fileId || !revisionId) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "revisionId" detail property is missing.'));
+    } else {
+      e.detail.result = this.keepRevision(fileId, revisionId,
+          keepForever !== false, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Shares a file with a user, a group or a domain.
+   * @param {String} fileId File ID
+   * @param {Object} permission Permission with `type`, `role` and
+   * `emailAddress` or `domain` properties.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * - `{Boolean}` `sendNotificationEmail` - Whether Drive sends an email.
+   * - `{String}` `emailMessage` - Message included in the email.
+   * @return {Promise<Object>} Promise resolved to created permission.
+   */
+  share(fileId, permission, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-share', id, fileId, permission, opts || {});
+    return this._createPromise(id, 'share');
+  }
+  /**
+   * Handler for `google-drive-share` custom event.
+   * The `detail` object has `fileId`, `permission` and optional
+   * `accountId`, `sendNotificationEmail` and `emailMessage` properties.
+   * @param {CustomEvent} e
+   */
+  _shareHandler(e) {
+    e.preventDefault();
+    const {
+      fileId,
+      permission,
+      accountId,
+      sendNotificationEmail,
+      emailMessage,
+    } = e.detail;
+    if (!fileId || !permission) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "permission" detail property is missing.'));
+    } else {
+      e.detail.result = this.share(fileId, permission, {
+        accountId,
+        sendNotificationEmail,
+        emailMessage,
+      });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Allows anyone with the link to access a file.
+   * @param {String} fileId File ID
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * - `{String}` `role` - `reader` (default), `commenter` or `writer`.
+   * - `{Boolean}` `allowFileDiscovery` - Whether the file can be found in
+   * search.
+   * @return {Promise<Object>} Promise resolved to an object with `link` and
+   * `permission` properties.
+   */
+  shareLink(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-share-link', id, fileId, opts || {});
+    return this._createPromise(id, 'share');
+  }
+  /**
+   * Handler for `google-drive-share-link` custom event.
+   * The `detail` object has `fileId` and optional `accountId`, `role` and
+   * `allowFileDiscovery` properties.
+   * @param {CustomEvent} e
+   */
+  _shareLinkHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId, role, allowFileDiscovery } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.shareLink(fileId, {
+        accountId,
+        role,
+        allowFileDiscovery,
+      });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Lists permissions of a file.
+   * @param {String} fileId File ID
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of
+   * permissions.
+   */
+  listPermissions(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-list-permissions', id, fileId, opts || {});
+    return this._createPromise(id, 'listPermissions');
+  }
+  /**
+   * Handler for `google-drive-list-permissions` custom event.
+   * The `detail` object has `fileId` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _listPermissionsHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.listPermissions(fileId, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Removes a permission from a file.
+   * @param {String} fileId File ID
+   * @param {String} permissionId Permission ID
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Boolean>}
+   */
+  revokePermission(fileId, permissionId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-revoke-permission', id, fileId, permissionId,
+        opts || {});
+    return this._createPromise(id, 'revokePermission');
+  }
+  /**
+   * Handler for `google-drive-revoke-permission` custom event.
+   * The `detail` object has `fileId`, `permissionId` and optional
+   * `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _revokePermissionHandler(e) {
+    e.preventDefault();
+    const { fileId, permissionId, accountId } = e.detail;
+    if (!fileId || !permissionId) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "permissionId" detail property is missing.'));
+    } else {
+      e.detail.result = this.revokePermission(fileId, permissionId,
+          { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Renames a file or a folder.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {String} name New name
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Object>} Promise resolved to the updated file.
+   */
+  rename(fileId, name, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-rename', id, fileId, name, opts || {});
+    return this._createPromise(id, 'rename');
+  }
+  /**
+   * Handler for `google-drive-rename` custom event.
+   * The `detail` object has `fileId`, `name` and optional `accountId`
+   * properties.
+   * @param {CustomEvent} e
+   */
+  _renameHandler(e) {
+    e.preventDefault();
+    const { fileId, name, accountId } = e.detail;
+    if (!fileId || !name) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "name" detail property is missing.'));
+    } else {
+      e.detail.result = this.rename(fileId, name, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Moves a file or a folder to other folders.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {String|Array<String>} parents ID of the new parent folder or
+   * a list of IDs.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Object>} Promise resolved to the updated file.
+   */
+  move(fileId, parents, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-move', id, fileId, parents, opts || {});
+    return this._createPromise(id, 'move');
+  }
+  /**
+   * Handler for `google-drive-move` custom event.
+   * The `detail` object has `fileId`, `parents` and optional `accountId`
+   * properties.
+   * @param {CustomEvent} e
+   */
+  _moveHandler(e) {
+    e.preventDefault();
+    const { fileId, parents, accountId } = e.detail;
+    if (!fileId || !parents) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "parents" detail property is missing.'));
+    } else {
+      e.detail.result = this.move(fileId, parents, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Copies a file.
+   * @param {String} fileId File ID
+   * @param {?Object} resource Metadata of the copy, e.g. `name` and
+   * `parents`.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Object>} Promise resolved to the created file.
+   */
+  copy(fileId, resource, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-copy', id, fileId, resource || {}, opts || {});
+    return this._createPromise(id, 'copy');
+  }
+  /**
+   * Handler for `google-drive-copy` custom event.
+   * The `detail` object has `fileId` and optional `resource` and
+   * `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _copyHandler(e) {
+    e.preventDefault();
+    const { fileId, resource, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.copy(fileId, resource, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Moves a file or a folder to the trash.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Object>} Promise resolved to the trashed file.
+   */
+  trash(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-trash', id, fileId, opts || {});
+    return this._createPromise(id, 'trash');
+  }
+  /**
+   * Handler for `google-drive-trash` custom event.
+   * The `detail` object has `fileId` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _trashHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.trash(fileId, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Restores a file or a folder from the trash.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Object>} Promise resolved to the restored file.
+   */
+  untrash(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-untrash', id, fileId, opts || {});
+    return this._createPromise(id, 'untrash');
+  }
+  /**
+   * Handler for `google-drive-untrash` custom event.
+   * The `detail` object has `fileId` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _untrashHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.untrash(fileId, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Permanently deletes a file or a folder.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Boolean>}
+   */
+  delete(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-delete', id, fileId, opts || {});
+    return this._createPromise(id, 'delete');
+  }
+  /**
+   * Handler for `google-drive-delete` custom event.
+   * The `detail` object has `fileId` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _deleteHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.delete(fileId, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Sends metadata operations in a single batch request.
+   * @param {Array<Object>} requests List of operations with `operation`
+   * (`get`, `update`, `rename`, `trash`, `untrash` or `delete`) and `fileId`
+   * properties, and `fields`, `resource`, `params` or `name` properties
+   * depending on the operation.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of results
+   * with `status` and `body` or `error` (`DriveError`) properties.
+   */
+  batch(requests, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-batch', id, requests, opts || {});
+    // Errors of the requests are sent as plain objects.
+    const result = this._createPromise(id, 'batch').then((items) =>
+      items.map((item) => item.error ? Object.assign({}, item, {
+        error: DriveError.fromJSON(item.error),
+      }) : item));
+    result.requestId = id;
+    return result;
+  }
+  /**
+   * Handler for `google-drive-batch` custom event.
+   * The `detail` object has `requests` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _batchHandler(e) {
+    e.preventDefault();
+    const { requests, accountId } = e.detail;
+    if (!requests) {
+      e.detail.result = Promise.reject(
+          new Error('The "requests" detail property is missing.'));
+    } else {
+      e.detail.result = this.batch(requests, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Lists saves queued in the outbox of the main process because the machine
+   * was offline. After the call the window receives
+   * `google-drive-outbox-status` events.
+   * @return {Promise<Array<Object>>} Promise resolved to a list of items with
+   * `id`, `requestId`, `name`, `fileId`, `status` and `time` properties.
+   */
+  listOutbox() {
+    const id = (++this._index);
+    ipc.send('google-drive-list-outbox', id);
+    return this._createPromise(id, 'listOutbox');
+  }
+  /**
+   * Handler for `google-drive-list-outbox` custom event.
+   * @param {CustomEvent} e
+   */
+  _listOutboxHandler(e) {
+    e.preventDefault();
+    e.detail.result = this.listOutbox();
+    e.detail.requestId = e.detail.result.requestId;
+  }
+  /**
+   * Downloads a file to disk. The file is streamed to the destination in
+   * the main process and removed when the download fails.
+   * @param {String} fileId File ID
+   * @param {String} destination Absolute path of the file to write. It must
+   * be in one of the main process' `downloadDirectories`.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * - `{Function}` `onProgress` - Called with an object with `loaded` and
+   * `total` bytes.
+   * @return {Promise<Object>} Promise resolved to an object with `path`,
+   * `size` and `md5Checksum` properties.
+   */
+  downloadToFile(fileId, destination, opts) {
+    if (!opts) {
+      opts = {};
+    }
+    const id = (++this._index);
+    ipc.send('google-drive-download-file', id, fileId, destination, {
+      accountId: opts.accountId,
+    });
+    return this._createPromise(id, 'download', opts.onProgress);
+  }
+  /**
+   * Handler for `google-drive-download-file` custom event.
+   * The `detail` object has `fileId`, `destination` and optional
+   * `accountId` and `onProgress` properties.
+   * @param {CustomEvent} e
+   */
+  _downloadFileHandler(e) {
+    e.preventDefault();
+    const { fileId, destination, accountId, onProgress } = e.detail;
+    if (!fileId || !destination) {
+      e.detail.result = Promise.reject(new Error(
+          'The "fileId" or "destination" detail property is missing.'));
+    } else {
+      e.detail.result = this.downloadToFile(fileId, destination, {
+        accountId,
+        onProgress,
+      });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Watches a file or a folder for changes made in Drive.
+   * A change is reported with `google-drive-file-changed` event dispatched
+   * on the window. The `detail` object has `id` (the watched ID), `fileId`,
+   * `removed` and `file` properties.
+   * @param {String} fileId ID of a file or a folder.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account to use.
+   * @return {Promise}
+   */
+  watch(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-watch', id, fileId, opts || {});
+    return this._createPromise(id, 'watch');
+  }
+  /**
+   * Stops watching a file or a folder.
+   * @param {String} fileId ID of a watched file or folder.
+   * @param {?Object} opts Options:
+   * - `{String}` `accountId` - ID of the account used with `watch()`.
+   * @return {Promise<Boolean>} Promise resolved to `false` when the file
+   * was not watched.
+   */
+  unwatch(fileId, opts) {
+    const id = (++this._index);
+    ipc.send('google-drive-unwatch', id, fileId, opts || {});
+    return this._createPromise(id, 'unwatch');
+  }
+  /**
+   * Handler for `google-drive-watch` custom event.
+   * The `detail` object has `fileId` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _watchHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.watch(fileId, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Handler for `google-drive-unwatch` custom event.
+   * The `detail` object has `fileId` and optional `accountId` properties.
+   * @param {CustomEvent} e
+   */
+  _unwatchHandler(e) {
+    e.preventDefault();
+    const { fileId, accountId } = e.detail;
+    if (!fileId) {
+      e.detail.result = Promise.reject(
+          new Error('The "fileId" detail property is missing.'));
+    } else {
+      e.detail.result = this.unwatch(fileId, { accountId });
+      e.detail.requestId = e.detail.result.requestId;
+    }
+  }
+  /**
+   * Handler for ipc `google-drive-file-changed` event.
+   * Dispatches `google-drive-file-changed` custom event on the window.
+   * @param {Event} e
+   * @param {Object} info Object with `id`, `fileId`, `removed` and `file`
+   * properties.
+   */
+  _fileChangedHandler(e, info) {
+    window.dispatchEvent(new CustomEvent('google-drive-file-changed', {
+      detail: info,
+    }));
+  }
+  /**
+   * Handler for ipc `google-drive-open-request` event sent when
+   * the application was launched from Drive UI.
+   * Dispatches `google-drive-open-request` custom event on the window.
+   * @param {Event} e
+   * @param {Object} request Object with `action` and `userId` properties and
+   * `files` (for `open` action) or `folderId` (for `create` action) property.
+   */
+  _openRequestHandler(e, request) {
+    window.dispatchEvent(new CustomEvent('google-drive-open-request', {
+      detail: request,
+    }));
+  }
+  /**
+   * Handler for ipc `google-drive-outbox-status` event sent when the status
+   * of a queued save changes.
+   * Dispatches `google-drive-outbox-status` custom event on the window.
+   * @param {Event} e
+   * @param {Object} info Object with `id`, `requestId`, `name`, `fileId`,
+   * `status` (`queued`, `uploading`, `done` or `failed`), `time`, `error`
+   * and, for `done` status, `result` properties.
+   */
+  _outboxStatusHandler(e, info) {
+    if (info.error) {
+      info.error = DriveError.fromJSON(info.error);
     }
+    window.dispatchEvent(new CustomEvent('google-drive-outbox-status', {
+      detail: info,
+    }));
   }
 }
 module.exports.ArcElectronDrive = ArcElectronDrive;
+module.exports.DriveError = DriveError;
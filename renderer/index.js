@@ -1 +1,4 @@
-module.exports.ArcElectronDrive = require('./arc-electron-drive').ArcElectronDrive;
+const {ArcElectronDrive, DriveError} = require('./arc-electron-drive');
+
+module.exports.ArcElectronDrive = ArcElectronDrive;
+module.exports.DriveError = DriveError;
@@ -0,0 +1,93 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport accounts - main process', function() {
+  const drive = useFakeDrive();
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Accounts', function() {
+    const oauthConfig = {client_id: 'test-client'};
+    let tokens;
+    beforeEach(function() {
+      tokens = [];
+      server.setUser('token-a', {
+        permissionId: 'a',
+        emailAddress: 'a@example.com',
+        displayName: 'User A',
+      });
+      server.setUser('token-b', {
+        permissionId: 'b',
+        emailAddress: 'b@example.com',
+        displayName: 'User B',
+      });
+      instance._requestAccountToken = (config, loginHint) => {
+        tokens.push(loginHint);
+        const token = loginHint === 'b@example.com' ? 'token-b' : 'token-a';
+        return Promise.resolve({accessToken: token});
+      };
+    });
+
+    it('Adds an account', async function() {
+      const result = await instance.addAccount(oauthConfig);
+      assert.deepEqual(result, {
+        id: 'a',
+        email: 'a@example.com',
+        name: 'User A',
+        isDefault: true,
+      });
+    });
+
+    it('Uses the token of the account', async function() {
+      await instance.addAccount(oauthConfig);
+      instance.accounts.add({id: 'b', email: 'b@example.com'});
+      await instance.listFiles({}, {accountId: 'b'});
+      await instance.listFiles({});
+      assert.equal(server.requests[1].headers.authorization, 'Bearer token-b');
+      assert.equal(server.requests[2].headers.authorization, 'Bearer token-a');
+    });
+
+    it('Renews expired token of the account', async function() {
+      await instance.addAccount(oauthConfig);
+      instance.accounts.get('a').token.expires_at = Date.now() - 1;
+      await instance.listFiles({});
+      assert.deepEqual(tokens, [undefined, 'a@example.com']);
+    });
+
+    it('Keeps folders cache for each account', async function() {
+      await instance.addAccount(oauthConfig);
+      instance.accounts.add({id: 'b', email: 'b@example.com'});
+      await instance.createParents(['ARC'], {accountId: 'b'});
+      assert.isUndefined(instance.cachedFolders);
+      assert.equal(instance._folderCache({accountId: 'b'}).folders[0].name,
+          'ARC');
+    });
+
+    it('Changes the default account', async function() {
+      await instance.addAccount(oauthConfig);
+      instance.accounts.add({id: 'b', email: 'b@example.com'});
+      await instance.setDefaultAccount('b');
+      let list = await instance.listAccounts();
+      assert.isTrue(list[1].isDefault);
+      await instance.removeAccount('b');
+      list = await instance.listAccounts();
+      assert.lengthOf(list, 1);
+      assert.isTrue(list[0].isDefault);
+    });
+
+    it('Rejects unknown account', async function() {
+      let error;
+      try {
+        await instance.listFiles({}, {accountId: 'unknown'});
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'accountNotFound');
+      assert.equal(error.operation, 'listFiles');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport app properties - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('App properties', function() {
+    it('Tags saved files and filters by the tags', async function() {
+      instance.appVersion = '15.0.0';
+      instance.schemaVersion = 2;
+      const media = {mimeType: 'application/json', body: '{}'};
+      await instance.create(instance._createResource({
+        kind: 'project',
+        meta: {name: 'project.json'},
+      }), media, auth);
+      await instance.create(instance._createResource({
+        kind: 'history',
+        meta: {name: 'history.json'},
+      }), media, auth);
+      const result = await instance.listFiles({
+        mimeType: false,
+        appProperties: {kind: 'project'},
+      }, auth);
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].name, 'project.json');
+      assert.deepEqual(result[0].appProperties, {
+        arcVersion: '15.0.0',
+        schemaVersion: '2',
+        kind: 'project',
+      });
+    });
+
+    it('Rejects too long property', async function() {
+      let error;
+      try {
+        await instance.create({
+          name: 'test.json',
+          properties: {description: 'a'.repeat(120)},
+        }, {mimeType: 'application/json', body: '{}'}, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidProperties');
+      assert.equal(error.operation, 'create');
+      assert.lengthOf(server.requests, 0);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const {DriveExport} = require('../');
+const {DriveExport, DriveAbortController} = require('../');
 const assert = require('chai').assert;
 
 describe('DriveExport basic tests - main process', function() {
@@ -18,6 +18,19 @@ describe('DriveExport basic tests - main process', function() {
       assert.equal(result.mimeType, 'test-type');
     });
 
+    it('Keeps binary data', function() {
+      const body = new Uint8Array([0, 255, 1]);
+      const result = instance._createMedia({body});
+      assert.isTrue(Buffer.isBuffer(result.body));
+      assert.deepEqual(Array.from(result.body), [0, 255, 1]);
+    });
+
+    it('Sets local file path', function() {
+      const result = instance._createMedia({filePath: '/tmp/file.zip'});
+      assert.equal(result.filePath, '/tmp/file.zip');
+      assert.isUndefined(result.body);
+    });
+
     it('Returns default type', function() {
       const result = instance._createMedia({
         body: 'test-string'
@@ -38,13 +51,43 @@ describe('DriveExport basic tests - main process', function() {
       assert.equal(result.description, DriveExport.arcDefaults.fileDescription);
     });
 
-    it('Returns the same object', () => {
+    it('Returns a copy of the meta object', () => {
       const meta = {
         description: 'test',
-        file: 'test'
+        file: 'test',
+        parents: ['exports'],
       };
       const result = instance._createResource({meta});
-      assert.deepEqual(result, meta);
+      assert.notStrictEqual(result, meta);
+      assert.equal(result.description, 'test');
+      assert.equal(result.file, 'test');
+      result.parents[0] = 'folder-id';
+      assert.deepEqual(meta, {
+        description: 'test',
+        file: 'test',
+        parents: ['exports'],
+      });
+    });
+
+    it('Adds default app properties', function() {
+      instance = new DriveExport(Object.assign({
+        appVersion: '15.0.0',
+        schemaVersion: '2',
+        appProperties: {source: 'arc'},
+      }, DriveExport.arcDefaults));
+      const result = instance._createResource({
+        kind: 'project',
+        meta: {appProperties: {schemaVersion: '1'}},
+        appProperties: {source: 'test'},
+        properties: {team: 'api'},
+      });
+      assert.deepEqual(result.appProperties, {
+        source: 'test',
+        arcVersion: '15.0.0',
+        schemaVersion: '1',
+        kind: 'project',
+      });
+      assert.deepEqual(result.properties, {team: 'api'});
     });
   });
 
@@ -98,5 +141,257 @@ describe('DriveExport basic tests - main process', function() {
         id: 'test'
       });
     });
+
+    it('Sends serialized DriveError when operation fails', function(done) {
+      instance.create = function() {
+        return Promise.reject(new Error('net::ERR_INTERNET_DISCONNECTED'));
+      };
+      instance._dataSaveHandler({
+        sender: {
+          send: function(type, id, cause) {
+            assert.equal(type, 'google-drive-operation-error');
+            assert.equal(id, requestId);
+            assert.equal(cause.name, 'DriveError');
+            assert.equal(cause.reason, 'offline');
+            assert.equal(cause.operation, 'save');
+            done();
+          }
+        }
+      }, requestId, {
+        meta,
+        body: 'test'
+      });
+    });
+  });
+
+  describe('_createFilesQuery()', function() {
+    let instance;
+    beforeEach(function() {
+      instance = new DriveExport(DriveExport.arcDefaults);
+    });
+
+    it('Filters by registered mime type', function() {
+      const result = instance._createFilesQuery({});
+      assert.equal(result, 'trashed = false and ' +
+        'mimeType = \'application/restclient+data\'');
+    });
+
+    it('Filters by parent and name', function() {
+      const result = instance._createFilesQuery({
+        parent: 'folder-id',
+        name: 'export'
+      });
+      assert.include(result, '\'folder-id\' in parents');
+      assert.include(result, 'name contains \'export\'');
+    });
+
+    it('Escapes quotes in values', function() {
+      const result = instance._createFilesQuery({
+        name: 'it\'s'
+      });
+      assert.include(result, 'name contains \'it\\\'s\'');
+    });
+  });
+
+  describe('listFiles()', function() {
+    let instance;
+    beforeEach(function() {
+      instance = new DriveExport(DriveExport.arcDefaults);
+      instance.auth = () => Promise.resolve({accessToken: 'test'});
+    });
+
+    it('Follows nextPageToken', async function() {
+      const tokens = [];
+      instance._listFiles = function(auth, params) {
+        tokens.push(params.pageToken);
+        if (!params.pageToken) {
+          return Promise.resolve({
+            files: [{id: '1'}],
+            nextPageToken: 'next'
+          });
+        }
+        return Promise.resolve({
+          files: [{id: '2'}]
+        });
+      };
+      const result = await instance.listFiles();
+      assert.deepEqual(tokens, [undefined, 'next']);
+      assert.deepEqual(result, [{id: '1'}, {id: '2'}]);
+    });
+  });
+
+  describe('_upload()', function() {
+    let instance;
+    let calls;
+    beforeEach(function() {
+      instance = new DriveExport(DriveExport.arcDefaults);
+      instance.chunkSize = 4;
+      instance.retryDelay = 1;
+      calls = [];
+    });
+
+    it('Uploads the body in chunks', async function() {
+      instance._uploadChunk = function(token, url, chunk, range) {
+        calls.push([chunk.toString(), range]);
+        if (calls.length === 3) {
+          return Promise.resolve({file: {id: 'test'}});
+        }
+        return Promise.resolve({offset: calls.length * 4});
+      };
+      const progress = [];
+      const result = await instance._upload('token', 'url', '0123456789',
+          'text/plain', (info) => progress.push(info.loaded));
+      assert.deepEqual(result, {id: 'test'});
+      assert.deepEqual(calls, [
+        ['0123', 'bytes 0-3/10'],
+        ['4567', 'bytes 4-7/10'],
+        ['89', 'bytes 8-9/10'],
+      ]);
+      assert.deepEqual(progress, [4, 8, 10]);
+    });
+
+    it('Resumes interrupted upload from the server offset', async function() {
+      instance._uploadChunk = function(token, url, chunk, range) {
+        calls.push(range);
+        if (calls.length === 1) {
+          const error = new Error('net::ERR_CONNECTION_RESET');
+          error.retryable = true;
+          return Promise.reject(error);
+        }
+        if (calls.length === 2) {
+          return Promise.resolve({offset: 2});
+        }
+        return Promise.resolve({file: {id: 'test'}});
+      };
+      await instance._upload('token', 'url', '012345', 'text/plain');
+      assert.deepEqual(calls, ['bytes 0-3/6', 'bytes */6', 'bytes 2-5/6']);
+    });
+
+    it('Fails after retries limit', async function() {
+      instance.uploadRetries = 1;
+      instance._uploadChunk = function() {
+        const error = new Error('net::ERR_CONNECTION_RESET');
+        error.retryable = true;
+        return Promise.reject(error);
+      };
+      let error;
+      try {
+        await instance._upload('token', 'url', '012345', 'text/plain');
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'net::ERR_CONNECTION_RESET');
+    });
+
+    it('Stops waiting for a retry when cancelled', async function() {
+      instance.retryDelay = 10000;
+      instance.maxRetryDelay = 10000;
+      instance._uploadChunk = function(token, url, chunk, range) {
+        calls.push(range);
+        const error = new Error('net::ERR_CONNECTION_RESET');
+        error.retryable = true;
+        return Promise.reject(error);
+      };
+      const controller = new DriveAbortController();
+      setTimeout(() => controller.abort(), 20);
+      const start = Date.now();
+      let error;
+      try {
+        await instance._upload('token', 'url', '012345', 'text/plain',
+            undefined, controller.signal);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'aborted');
+      assert.isBelow(Date.now() - start, 5000);
+      assert.lengthOf(calls, 1);
+    });
+  });
+
+  describe('_retryDelay()', function() {
+    let instance;
+    beforeEach(function() {
+      instance = new DriveExport({
+        retryDelay: 100,
+        maxRetryDelay: 1000,
+      });
+    });
+
+    it('Uses retry-after header value in seconds', function() {
+      instance.maxRetryDelay = 10000;
+      const result = instance._retryDelay(0, {'retry-after': '2'});
+      assert.equal(result, 2000);
+    });
+
+    it('Uses retry-after header date value', function() {
+      instance.maxRetryDelay = 10000;
+      const date = new Date(Date.now() + 5000).toUTCString();
+      const result = instance._retryDelay(0, {'retry-after': date});
+      assert.isAbove(result, 3000);
+      assert.isAtMost(result, 5000);
+    });
+
+    it('Doubles the delay with each attempt', function() {
+      const result = instance._retryDelay(2, {});
+      assert.isAtLeast(result, 400);
+      assert.isBelow(result, 500);
+    });
+
+    it('Does not exceed maxRetryDelay', function() {
+      const result = instance._retryDelay(10, {});
+      assert.equal(result, 1000);
+    });
+
+    it('Limits retry-after header value to maxRetryDelay', function() {
+      const result = instance._retryDelay(0, {'retry-after': '3600'});
+      assert.equal(result, 1000);
+    });
+  });
+
+  describe('parseLaunchState()', function() {
+    const state = {ids: ['file-1'], action: 'open', userId: '123'};
+
+    it('Reads the state from the launch URL', function() {
+      const url = 'arc://drive?state=' +
+        encodeURIComponent(JSON.stringify(state));
+      const result = DriveExport.parseLaunchState(url);
+      assert.deepEqual(result, state);
+    });
+
+    it('Reads the state from command line arguments', function() {
+      const result = DriveExport.parseLaunchState([
+        '/path/to/app',
+        '--state=' + JSON.stringify({folderId: 'folder-1', action: 'create'}),
+      ]);
+      assert.deepEqual(result, {
+        action: 'create',
+        folderId: 'folder-1',
+        userId: undefined,
+      });
+    });
+
+    it('Returns undefined when there is no state', function() {
+      assert.isUndefined(DriveExport.parseLaunchState(['/path/to/app']));
+      assert.isUndefined(DriveExport.parseLaunchState('arc://drive'));
+    });
+
+    it('Throws when the state is invalid', function() {
+      const invalid = [
+        '{"ids":["file-1"]',
+        '{"ids":[],"action":"open"}',
+        '{"ids":["../file"],"action":"open"}',
+        '{"action":"create"}',
+        '{"ids":["file-1"],"action":"delete"}',
+      ];
+      invalid.forEach((value) => {
+        let error;
+        try {
+          DriveExport.parseLaunchState(value);
+        } catch (e) {
+          error = e;
+        }
+        assert.equal(error.reason, 'invalidLaunchState', value);
+      });
+    });
   });
 });
@@ -0,0 +1,67 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport binary content - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Binary content', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const {Readable} = require('stream');
+    const data = Buffer.from([0, 1, 2, 253, 254, 255]);
+
+    it('Uploads a buffer', async function() {
+      const result = await instance.create({name: 'a.bin'}, {
+        mimeType: 'application/octet-stream',
+        body: data,
+      }, auth);
+      assert.deepEqual(server.getContent(result.id), data);
+    });
+
+    it('Uploads a stream', async function() {
+      const result = await instance.create({name: 'a.bin'}, {
+        mimeType: 'application/octet-stream',
+        body: Readable.from([data.slice(0, 3), data.slice(3)]),
+      }, auth);
+      assert.deepEqual(server.getContent(result.id), data);
+    });
+
+    it('Uploads a local file in chunks', async function() {
+      const file = path.join(os.tmpdir(), `drive-upload-${Date.now()}.bin`);
+      const content = Buffer.alloc(300 * 1024, 7);
+      fs.writeFileSync(file, content);
+      instance.chunkSize = 256 * 1024;
+      try {
+        const result = await instance.create({name: 'a.bin'}, {
+          mimeType: 'application/octet-stream',
+          filePath: file,
+        }, auth);
+        assert.deepEqual(server.getContent(result.id), content);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('Downloads a buffer', async function() {
+      const file = server.addFile({name: 'a.bin'}, data);
+      const result = await instance.getFile(file.id, auth,
+          {responseType: 'buffer'});
+      assert.deepEqual(result, data);
+    });
+
+    it('Downloads JSON', async function() {
+      const file = server.addFile({name: 'a.json'}, '{"a":1}');
+      const result = await instance.getFile(file.id, auth,
+          {responseType: 'json'});
+      assert.deepEqual(result, {a: 1});
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const {DriveAbortController} = require('../');
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport cancellation - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Cancellation', function() {
+    let file;
+    let sender;
+    let errors;
+    beforeEach(function() {
+      file = server.addFile({name: 'a.json'}, '{}');
+      instance.auth = () => Promise.resolve(auth);
+      errors = [];
+      sender = {
+        id: 1,
+        send: (type, id, result) => {
+          if (type === 'google-drive-operation-error') {
+            errors.push(result);
+          }
+        },
+      };
+    });
+
+    it('Aborts an operation requested by the renderer', async function() {
+      instance.retryDelay = 10000;
+      server.failNext(503);
+      setTimeout(() => instance._abortHandler({sender}, 1), 50);
+      await instance._getFileHandler({sender}, 1, file.id);
+      assert.lengthOf(errors, 1);
+      assert.equal(errors[0].reason, 'aborted');
+      assert.equal(errors[0].operation, 'getFile');
+      assert.lengthOf(server.requests, 1);
+    });
+
+    it('Removes finished operations', async function() {
+      await instance._getFileHandler({sender}, 1, file.id);
+      assert.deepEqual(instance._operations, {});
+    });
+
+    it('Ignores operations of other renderers', async function() {
+      const promise = instance._getFileHandler({sender}, 1, file.id);
+      instance._abortHandler({sender: {id: 2}}, 1);
+      await promise;
+      assert.lengthOf(errors, 0);
+    });
+
+    it('Rejects when the signal is aborted', async function() {
+      const controller = new DriveAbortController();
+      controller.abort();
+      let error;
+      try {
+        await instance.listFiles({signal: controller.signal}, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'aborted');
+      assert.lengthOf(server.requests, 0);
+    });
+  });
+});
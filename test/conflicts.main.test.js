@@ -0,0 +1,73 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport conflicts - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Conflicts', function() {
+    const media = {
+      mimeType: 'application/json',
+      body: 'local',
+    };
+    let file;
+    beforeEach(function() {
+      file = server.addFile({name: 'test.json'}, 'v1');
+    });
+
+    it('Returns file version with content', async function() {
+      const result = await instance.getFile(file.id, auth,
+          {withVersion: true});
+      assert.equal(result.content, 'v1');
+      assert.equal(result.version.headRevisionId, file.headRevisionId);
+      assert.equal(result.version.md5Checksum, file.md5Checksum);
+    });
+
+    it('Updates a file that has not changed', async function() {
+      const {version} = await instance.getFile(file.id, auth,
+          {withVersion: true});
+      await instance.update(file.id, {}, media, auth, {
+        expectedVersion: version,
+      });
+      assert.equal(server.getContent(file.id).toString(), 'local');
+    });
+
+    it('Rejects when the file has changed', async function() {
+      const {version} = await instance.getFile(file.id, auth,
+          {withVersion: true});
+      server.addFile({id: file.id, name: 'test.json'}, 'remote');
+      let error;
+      try {
+        await instance.update(file.id, {}, media, auth, {
+          expectedVersion: version,
+        });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'conflict');
+      assert.equal(server.getContent(file.id).toString(), 'remote');
+    });
+
+    it('Uploads merged content', async function() {
+      const {version} = await instance.getFile(file.id, auth,
+          {withVersion: true});
+      server.addFile({id: file.id, name: 'test.json'}, 'remote');
+      let info;
+      await instance.update(file.id, {}, media, auth, {
+        expectedVersion: version,
+        onConflict: (data) => {
+          info = data;
+          return data.remote + '+' + data.local;
+        },
+      });
+      assert.equal(info.remote, 'remote');
+      assert.equal(server.getContent(file.id).toString(), 'remote+local');
+    });
+  });
+});
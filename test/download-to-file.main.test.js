@@ -0,0 +1,148 @@
+const {DriveAbortController} = require('../');
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport download to file - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('downloadToFile()', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let directory;
+    let destination;
+    let file;
+    const content = Buffer.alloc(200 * 1024, 3);
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-download-'));
+      destination = path.join(directory, 'a.bin');
+      file = server.addFile({name: 'a.bin'}, content);
+    });
+
+    afterEach(function() {
+      fs.readdirSync(directory).forEach((name) =>
+        fs.unlinkSync(path.join(directory, name)));
+      fs.rmdirSync(directory);
+    });
+
+    it('Writes the file to disk', async function() {
+      const progress = [];
+      const result = await instance.downloadToFile(file.id, destination, auth, {
+        onProgress: (info) => progress.push(info),
+      });
+      assert.deepEqual(fs.readFileSync(destination), content);
+      assert.equal(result.md5Checksum, file.md5Checksum);
+      assert.equal(result.size, content.length);
+      const last = progress[progress.length - 1];
+      assert.deepEqual(last, {loaded: content.length, total: content.length});
+    });
+
+    it('Removes the file when checksum does not match', async function() {
+      server.files.get(file.id).resource.md5Checksum = 'invalid';
+      let error;
+      try {
+        await instance.downloadToFile(file.id, destination, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'checksumMismatch');
+      assert.deepEqual(fs.readdirSync(directory), []);
+    });
+
+    it('Keeps the existing file when the download fails', async function() {
+      fs.writeFileSync(destination, 'existing');
+      server.files.get(file.id).resource.md5Checksum = 'invalid';
+      let error;
+      try {
+        await instance.downloadToFile(file.id, destination, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'checksumMismatch');
+      assert.equal(fs.readFileSync(destination, 'utf8'), 'existing');
+      assert.deepEqual(fs.readdirSync(directory), ['a.bin']);
+    });
+
+    it('Replaces the existing file', async function() {
+      fs.writeFileSync(destination, 'existing');
+      await instance.downloadToFile(file.id, destination, auth);
+      assert.deepEqual(fs.readFileSync(destination), content);
+      assert.deepEqual(fs.readdirSync(directory), ['a.bin']);
+    });
+
+    it('Encodes the file ID', async function() {
+      const other = server.addFile({id: 'a/b', name: 'b.bin'}, 'other');
+      await instance.downloadToFile(other.id, destination, auth);
+      assert.equal(fs.readFileSync(destination, 'utf8'), 'other');
+    });
+
+    it('Removes the file when cancelled', async function() {
+      const controller = new DriveAbortController();
+      let error;
+      try {
+        await instance.downloadToFile(file.id, destination, auth, {
+          signal: controller.signal,
+          onProgress: () => controller.abort(),
+        });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'aborted');
+      assert.equal(error.operation, 'download');
+      assert.deepEqual(fs.readdirSync(directory), []);
+    });
+
+    describe('_downloadFileHandler()', function() {
+      let sender;
+      let results;
+      let errors;
+      beforeEach(function() {
+        instance.auth = () => Promise.resolve(auth);
+        instance.downloadDirectories = [directory];
+        results = [];
+        errors = [];
+        sender = {
+          id: 1,
+          send: (type, id, result) => {
+            if (type === 'google-drive-operation-result') {
+              results.push(result);
+            } else if (type === 'google-drive-operation-error') {
+              errors.push(result);
+            }
+          },
+        };
+      });
+
+      it('Downloads to a download directory', async function() {
+        await instance._downloadFileHandler({sender}, 1, file.id,
+            destination);
+        assert.lengthOf(results, 1);
+        assert.equal(results[0].path, destination);
+        assert.deepEqual(fs.readFileSync(destination), content);
+      });
+
+      it('Rejects destinations outside download directories',
+          async function() {
+            const outside = path.join(directory, '..', 'outside.bin');
+            const destinations = [outside, 'a.bin', directory, undefined];
+            for (const item of destinations) {
+              await instance._downloadFileHandler({sender}, 1, file.id, item);
+            }
+            assert.lengthOf(errors, destinations.length);
+            errors.forEach((error) => {
+              assert.equal(error.reason, 'invalidDestination');
+              assert.equal(error.operation, 'download');
+            });
+            assert.isFalse(fs.existsSync(outside));
+            assert.lengthOf(server.requests, 0);
+          });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const {DriveBatch} = require('../');
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveBatch - main process', function() {
+  it('Queues requests', function() {
+    const batch = new DriveBatch()
+        .get('a', 'id,name')
+        .update('b', {starred: true}, {addParents: 'c'})
+        .delete('d/e');
+    assert.equal(batch.size, 3);
+    assert.deepEqual(batch.requests[0], {
+      operation: 'get',
+      method: 'GET',
+      path: '/drive/v3/files/a',
+      params: {fields: 'id,name'},
+    });
+    assert.deepEqual(batch.requests[1].params, {addParents: 'c'});
+    assert.equal(batch.requests[2].path, '/drive/v3/files/d%2Fe');
+  });
+
+  describe('from()', function() {
+    it('Creates a batch from a list of operations', function() {
+      const batch = DriveBatch.from([
+        {operation: 'rename', fileId: 'a', name: 'b.json'},
+        {operation: 'untrash', fileId: 'c'},
+      ]);
+      assert.deepEqual(batch.requests.map((item) => item.body), [
+        {name: 'b.json'},
+        {trashed: false},
+      ]);
+    });
+
+    it('Throws for unknown operation', function() {
+      assert.throws(() => DriveBatch.from([{operation: 'x', fileId: 'a'}]),
+          'Unknown batch operation x.');
+    });
+
+    it('Throws when the file ID is missing', function() {
+      assert.throws(() => DriveBatch.from([{operation: 'trash'}]),
+          'The fileId of trash operation is missing.');
+    });
+  });
+});
+
+describe('DriveExport batch with FakeDriveServer - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('batch()', function() {
+    let files;
+    beforeEach(function() {
+      instance.retryDelay = 1;
+      files = [1, 2, 3].map((i) => server.addFile({name: `${i}.json`}));
+    });
+
+    it('Returns result of each request', async function() {
+      const batch = new DriveBatch()
+          .get(files[0].id, 'id,name')
+          .rename(files[1].id, 'renamed.json')
+          .trash(files[2].id)
+          .delete('unknown');
+      const results = await instance.batch(batch, auth);
+      assert.lengthOf(server.requests, 1);
+      assert.equal(results[0].status, 200);
+      assert.equal(results[0].body.name, '1.json');
+      const url = server.requests[0].url;
+      assert.equal(url, '/batch/drive/v3');
+      assert.equal(results[1].body.name, 'renamed.json');
+      assert.isTrue(server.files.get(files[2].id).resource.trashed);
+      assert.equal(results[3].status, 404);
+      assert.equal(results[3].error.reason, 'notFound');
+      assert.equal(results[3].error.operation, 'delete');
+    });
+
+    it('Splits large batches', async function() {
+      const operations = [];
+      for (let i = 0; i < 150; i++) {
+        operations.push({operation: 'get', fileId: files[i % 3].id});
+      }
+      const results = await instance.batch(operations, auth);
+      assert.lengthOf(server.requests, 2);
+      assert.lengthOf(results, 150);
+      assert.equal(results[149].body.id, files[2].id);
+    });
+
+    it('Repeats failed requests', async function() {
+      server.failNext(503, {batch: true});
+      const results = await instance.batch([
+        {operation: 'trash', fileId: files[0].id},
+        {operation: 'trash', fileId: files[1].id},
+      ], auth);
+      assert.lengthOf(server.requests, 2);
+      assert.deepEqual(results.map((item) => item.status), [200, 200]);
+    });
+
+    it('Reports invalid response of a request', async function() {
+      const parse = instance._parseBatchResponse;
+      instance._parseBatchResponse = function(...args) {
+        const responses = parse.apply(this, args);
+        responses[0].body = '<html>Error</html>';
+        return responses;
+      };
+      const results = await instance.batch([
+        {operation: 'get', fileId: files[0].id},
+        {operation: 'get', fileId: files[1].id},
+      ], auth);
+      assert.equal(results[0].status, 200);
+      assert.isUndefined(results[0].body);
+      assert.equal(results[0].error.reason, 'invalidResponse');
+      assert.equal(results[0].error.operation, 'get');
+      assert.equal(results[1].body.id, files[1].id);
+    });
+
+    it('Removes trashed folders from the cache', async function() {
+      const folder = server.addFile({name: 'Folder',
+        mimeType: 'application/vnd.google-apps.folder'});
+      instance.cachedFolders = [{id: folder.id, name: 'Folder'}];
+      await instance.batch(new DriveBatch().trash(folder.id), auth);
+      assert.deepEqual(instance.cachedFolders, []);
+    });
+
+    it('Rejects invalid batch', async function() {
+      let error;
+      try {
+        await instance.batch([{operation: 'move', fileId: 'a'}], auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidBatch');
+      assert.lengthOf(server.requests, 0);
+    });
+  });
+});
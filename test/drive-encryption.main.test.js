@@ -0,0 +1,232 @@
+const {DriveEncryption} = require('../');
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveEncryption - main process', function() {
+  const content = Buffer.from('{"headers":"authorization: secret"}');
+  const key = Buffer.alloc(32, 7);
+
+  describe('encrypt()', function() {
+    it('Encrypts with a passphrase', async function() {
+      const encryption = new DriveEncryption({passphrase: 'test'});
+      const result = await encryption.encrypt(content);
+      assert.isTrue(DriveEncryption.isEncrypted(result));
+      assert.equal(result.indexOf('secret'), -1);
+      const decrypted = await encryption.decrypt(result);
+      assert.deepEqual(decrypted, content);
+    });
+
+    it('Encrypts with a key', async function() {
+      const encryption = new DriveEncryption({key: key.toString('base64')});
+      const result = await encryption.encrypt('test');
+      const decrypted = await new DriveEncryption({key}).decrypt(result);
+      assert.equal(decrypted.toString(), 'test');
+    });
+
+    it('Uses different salt for each file', async function() {
+      const encryption = new DriveEncryption({passphrase: 'test'});
+      const first = DriveEncryption.properties(
+          await encryption.encrypt(content));
+      const second = DriveEncryption.properties(
+          await encryption.encrypt(content));
+      assert.notEqual(first.encryptionSalt, second.encryptionSalt);
+      assert.notEqual(first.encryptionIv, second.encryptionIv);
+    });
+  });
+
+  describe('decrypt()', function() {
+    let encrypted;
+    beforeEach(async function() {
+      encrypted = await new DriveEncryption({passphrase: 'test'})
+          .encrypt(content);
+    });
+
+    it('Rejects wrong passphrase', async function() {
+      let error;
+      try {
+        await new DriveEncryption({passphrase: 'other'}).decrypt(encrypted);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidKey');
+      assert.equal(error.domain, 'encryption');
+    });
+
+    it('Rejects changed header', async function() {
+      encrypted[6] = 13;
+      let error;
+      try {
+        await new DriveEncryption({passphrase: 'test'}).decrypt(encrypted);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidKey');
+    });
+
+    it('Rejects excessive scrypt parameters', async function() {
+      const headers = [[20, 255, 255], [20, 255, 1], [14, 8, 255], [21, 8, 1],
+        [0, 8, 1]];
+      for (const [cost, r, p] of headers) {
+        const data = Buffer.from(encrypted);
+        data[6] = cost;
+        data[7] = r;
+        data[8] = p;
+        let error;
+        try {
+          await new DriveEncryption({passphrase: 'test'}).decrypt(data);
+        } catch (e) {
+          error = e;
+        }
+        assert.equal(error.reason, 'invalidEncryption', `${cost},${r},${p}`);
+      }
+    });
+
+    it('Requires a passphrase for passphrase encrypted file',
+        async function() {
+          let error;
+          try {
+            await new DriveEncryption({key}).decrypt(encrypted);
+          } catch (e) {
+            error = e;
+          }
+          assert.equal(error.reason, 'keyRequired');
+        });
+  });
+
+  describe('constructor()', function() {
+    it('Throws when key is missing', function() {
+      assert.throws(() => new DriveEncryption({}),
+          'Encryption passphrase or key is required.');
+    });
+
+    it('Throws when key has invalid length', function() {
+      assert.throws(() => new DriveEncryption({key: Buffer.alloc(16)}),
+          'Encryption key must be 32 bytes long.');
+    });
+  });
+
+  describe('properties()', function() {
+    it('Describes scrypt parameters', async function() {
+      const encrypted = await new DriveEncryption({passphrase: 'test'})
+          .encrypt(content);
+      const result = DriveEncryption.properties(encrypted);
+      assert.equal(result.encryption, 'aes-256-gcm');
+      assert.equal(result.encryptionKdf, 'scrypt');
+      assert.equal(result.encryptionKdfParams, 'N=16384,r=8,p=1');
+      assert.lengthOf(Buffer.from(result.encryptionSalt, 'base64'), 16);
+      assert.lengthOf(Buffer.from(result.encryptionIv, 'base64'), 12);
+    });
+
+    it('Removes properties of plain content', function() {
+      const result = DriveEncryption.properties(content);
+      assert.isNull(result.encryption);
+      assert.isNull(result.encryptionSalt);
+    });
+  });
+});
+
+describe('DriveExport encryption - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Encryption', function() {
+    const encryption = {passphrase: 'test'};
+    const media = {
+      mimeType: 'application/json',
+      body: '{"token":"secret"}',
+    };
+
+    it('Uploads encrypted content', async function() {
+      const file = await instance.create({name: 'a.json'}, media, auth,
+          {encryption});
+      const content = server.getContent(file.id);
+      assert.equal(content.indexOf('secret'), -1);
+      const {appProperties} = server.files.get(file.id).resource;
+      assert.equal(appProperties.encryption, 'aes-256-gcm');
+      assert.equal(appProperties.encryptionKdf, 'scrypt');
+    });
+
+    it('Decrypts the file', async function() {
+      const file = await instance.create({name: 'a.json'}, media, auth,
+          {encryption});
+      const result = await instance.getFile(file.id, auth, {
+        encryption,
+        responseType: 'json',
+      });
+      assert.deepEqual(result, {token: 'secret'});
+    });
+
+    it('Rejects when the key is missing', async function() {
+      const file = await instance.create({name: 'a.json'}, media, auth,
+          {encryption});
+      let error;
+      try {
+        await instance.getFile(file.id, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'keyRequired');
+      assert.equal(error.operation, 'getFile');
+    });
+
+    it('Rejects when the passphrase is wrong', async function() {
+      const file = await instance.create({name: 'a.json'}, media, auth,
+          {encryption});
+      let error;
+      try {
+        await instance.getFile(file.id, auth, {
+          encryption: {passphrase: 'other'},
+        });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidKey');
+    });
+
+    it('Returns plain content that looks encrypted', async function() {
+      const body = Buffer.concat([Buffer.from('\0ARC'), Buffer.alloc(60, 1)]);
+      const file = server.addFile({name: 'a.bin'}, body);
+      const result = await instance.getFile(file.id, auth, {
+        responseType: 'buffer',
+      });
+      assert.deepEqual(result, body);
+    });
+
+    it('Rejects a marked file with plain content', async function() {
+      const file = server.addFile({
+        name: 'a.json',
+        appProperties: {encryption: 'aes-256-gcm'},
+      }, '{"token":"secret"}');
+      let error;
+      try {
+        await instance.getFile(file.id, auth, {encryption});
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidEncryption');
+      assert.equal(error.operation, 'getFile');
+    });
+
+    it('Does not read properties of plain content', async function() {
+      const file = server.addFile({name: 'a.json'}, '{}');
+      await instance.getFile(file.id, auth);
+      assert.lengthOf(server.requests, 1);
+    });
+
+    it('Removes encryption properties of plain content', async function() {
+      const file = await instance.create({name: 'a.json', appProperties: {
+        app: 'arc',
+      }}, media, auth, {encryption});
+      await instance.update(file.id, {}, media, auth);
+      const {appProperties} = server.files.get(file.id).resource;
+      assert.deepEqual(appProperties, {app: 'arc'});
+      assert.equal(server.getContent(file.id).toString(), media.body);
+    });
+  });
+});
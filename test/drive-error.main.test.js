@@ -0,0 +1,92 @@
+const {DriveError} = require('../');
+const assert = require('chai').assert;
+
+describe('DriveError - main process', function() {
+  describe('fromResponse()', function() {
+    it('Reads Drive error data', function() {
+      const body = JSON.stringify({
+        error: {
+          errors: [{
+            domain: 'usageLimits',
+            reason: 'storageQuotaExceeded',
+            message: 'The user\'s Drive storage quota has been exceeded.'
+          }],
+          code: 403,
+          message: 'The user\'s Drive storage quota has been exceeded.'
+        }
+      });
+      const result = DriveError.fromResponse(403, body, 'create');
+      assert.instanceOf(result, Error);
+      assert.equal(result.message,
+          'The user\'s Drive storage quota has been exceeded.');
+      assert.equal(result.status, 403);
+      assert.equal(result.reason, 'storageQuotaExceeded');
+      assert.equal(result.domain, 'usageLimits');
+      assert.equal(result.operation, 'create');
+      assert.isFalse(result.retryable);
+    });
+
+    it('Marks rate limit errors as retryable', function() {
+      const body = JSON.stringify({
+        error: {
+          errors: [{
+            domain: 'usageLimits',
+            reason: 'userRateLimitExceeded',
+          }],
+          code: 403,
+          message: 'User rate limit exceeded.'
+        }
+      });
+      const result = DriveError.fromResponse(403, body);
+      assert.isTrue(result.retryable);
+    });
+
+    it('Uses default message for empty body', function() {
+      const result = DriveError.fromResponse(502, '');
+      assert.equal(result.message, 'Drive responded with 502 status.');
+      assert.isTrue(result.retryable);
+    });
+  });
+
+  describe('from()', function() {
+    it('Recognizes offline errors', function() {
+      const result = DriveError.from(
+          new Error('net::ERR_INTERNET_DISCONNECTED'), 'getFile');
+      assert.equal(result.reason, 'offline');
+      assert.equal(result.domain, 'network');
+      assert.equal(result.operation, 'getFile');
+      assert.isTrue(result.retryable);
+    });
+
+    it('Recognizes cancelled authorization', function() {
+      const result = DriveError.from({
+        code: 'user_interrupted',
+        message: 'The request has been canceled by the user.'
+      });
+      assert.equal(result.reason, 'authCancelled');
+      assert.equal(result.domain, 'oauth2');
+      assert.isFalse(result.retryable);
+    });
+
+    it('Keeps operation of DriveError', function() {
+      const error = new DriveError('test', {operation: 'createFolder'});
+      const result = DriveError.from(error, 'create');
+      assert.strictEqual(result, error);
+      assert.equal(result.operation, 'createFolder');
+    });
+  });
+
+  describe('fromJSON()', function() {
+    it('Restores serialized error', function() {
+      const error = new DriveError('File not found', {
+        status: 404,
+        reason: 'notFound',
+        domain: 'global',
+        operation: 'getFile',
+      });
+      const result = DriveError.fromJSON(JSON.parse(JSON.stringify(error)));
+      assert.instanceOf(result, DriveError);
+      assert.deepEqual(result.toJSON(), error.toJSON());
+    });
+  });
+});
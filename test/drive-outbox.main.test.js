@@ -0,0 +1,270 @@
+const {DriveOutbox, DriveExport, DriveError} = require('../');
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+const {net} = require('electron');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('DriveOutbox - main process', function() {
+  let dir;
+  let file;
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    file = path.join(dir, 'outbox.json');
+  });
+
+  afterEach(function() {
+    fs.readdirSync(dir).forEach((name) =>
+      fs.unlinkSync(path.join(dir, name)));
+    fs.rmdirSync(dir);
+  });
+
+  it('Stores and restores items', async function() {
+    const outbox = new DriveOutbox({file});
+    const item = outbox.add({
+      meta: {name: 'a.bin'},
+      body: Buffer.from([0, 1, 2]),
+      auth: {accessToken: 'token'},
+    }, 'request-1');
+    item.status = 'uploading';
+    await outbox.store();
+    const restored = new DriveOutbox({file});
+    await restored.restore();
+    assert.lengthOf(restored.items, 1);
+    const [copy] = restored.items;
+    assert.equal(copy.id, item.id);
+    assert.equal(copy.status, 'queued');
+    assert.deepEqual(copy.config.body, Buffer.from([0, 1, 2]));
+    assert.isUndefined(copy.config.auth);
+    assert.deepEqual(restored.list()[0], {
+      id: item.id,
+      requestId: 'request-1',
+      name: 'a.bin',
+      fileId: undefined,
+      status: 'queued',
+      time: item.time,
+      error: undefined,
+    });
+  });
+
+  it('Removes items', function() {
+    const outbox = new DriveOutbox({file: false});
+    const item = outbox.add({body: 'a'});
+    assert.isTrue(outbox.remove(item.id));
+    assert.isFalse(outbox.remove(item.id));
+  });
+});
+
+describe('DriveExport outbox - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Outbox', function() {
+    let events;
+    let sender;
+    beforeEach(function() {
+      instance = new DriveExport(Object.assign({
+        apiBase: 'http://127.0.0.1:1',
+        folderCacheFile: false,
+        accountsFile: false,
+        outbox: true,
+        outboxFile: false,
+      }, DriveExport.arcDefaults));
+      instance.auth = () => Promise.resolve(auth);
+      events = [];
+      sender = {
+        id: 1,
+        send: (type, ...args) => events.push({type, args}),
+        once: () => {},
+        isDestroyed: () => false,
+      };
+    });
+
+    afterEach(function() {
+      instance.unlisten();
+    });
+
+    function statuses() {
+      return events.filter((item) => item.type === 'google-drive-outbox-status')
+          .map((item) => item.args[0].status);
+    }
+
+    it('Queues a save and replays it', async function() {
+      await instance._dataSaveHandler({sender}, 1, {
+        meta: {name: 'offline.json'},
+        body: '{"a":1}',
+      });
+      const [result] = events;
+      assert.equal(result.type, 'google-drive-operation-result');
+      assert.isTrue(result.args[1].queued);
+      assert.deepEqual(instance.outbox.list().map((item) => item.name),
+          ['offline.json']);
+      instance.apiBase = server.baseUri;
+      await instance.flushOutbox();
+      assert.deepEqual(statuses(), ['queued', 'uploading', 'done']);
+      const done = events[events.length - 1].args[0];
+      assert.equal(done.requestId, 1);
+      assert.equal(server.getContent(done.result.id).toString(), '{"a":1}');
+      assert.lengthOf(instance.outbox.items, 0);
+    });
+
+    it('Keeps saves while offline', async function() {
+      await instance._dataSaveHandler({sender}, 1, {body: 'a'});
+      await instance._dataSaveHandler({sender}, 2, {body: 'b'});
+      await instance.flushOutbox();
+      assert.deepEqual(statuses(), ['queued', 'queued', 'uploading',
+        'queued']);
+      assert.equal(instance.outbox.items[0].error.reason, 'networkError');
+      assert.lengthOf(instance.outbox.items, 2);
+    });
+
+    it('Removes saves that fail with other errors', async function() {
+      await instance._dataSaveHandler({sender}, 1, {id: 'unknown', body: 'a'});
+      instance.apiBase = server.baseUri;
+      await instance.flushOutbox();
+      const failed = events[events.length - 1].args[0];
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.error.reason, 'notFound');
+      assert.lengthOf(instance.outbox.items, 0);
+    });
+
+    it('Does not queue encrypted saves', async function() {
+      await instance._dataSaveHandler({sender}, 1, {
+        body: 'a',
+        encryption: {passphrase: 'test'},
+      });
+      assert.equal(events[0].type, 'google-drive-operation-error');
+      assert.lengthOf(instance.outbox.items, 0);
+    });
+
+    it('Does not create again a file created before the error',
+        async function() {
+          await instance._dataSaveHandler({sender}, 1, {
+            meta: {name: 'offline.json'},
+            body: '{"a":1}',
+          });
+          const [item] = instance.outbox.items;
+          const file = server.addFile({
+            name: 'offline.json',
+            appProperties: {arcSaveId: item.config.saveId},
+          }, '{"a":1}');
+          instance.apiBase = server.baseUri;
+          await instance.flushOutbox();
+          const done = events[events.length - 1].args[0];
+          assert.equal(done.status, 'done');
+          assert.equal(done.result.id, file.id);
+          assert.lengthOf(server.files, 1);
+        });
+
+    describe('Parents', function() {
+      const FOLDER = 'application/vnd.google-apps.folder';
+      let initialize;
+      beforeEach(function() {
+        instance.apiBase = server.baseUri;
+        initialize = instance._initializeSession;
+        let failed = false;
+        instance._initializeSession = function(...args) {
+          if (!failed) {
+            failed = true;
+            return Promise.reject(new DriveError(
+                'net::ERR_INTERNET_DISCONNECTED', {
+                  reason: 'offline',
+                  domain: 'network',
+                  retryable: true,
+                }));
+          }
+          return initialize.apply(instance, args);
+        };
+      });
+
+      function folders() {
+        return Array.from(server.files.values())
+            .map((entry) => entry.resource)
+            .filter((file) => file.mimeType === FOLDER);
+      }
+
+      it('Replays a save into the folders of the original parents',
+          async function() {
+            await instance._dataSaveHandler({sender}, 1, {
+              meta: {name: 'a.json', parents: ['exports/2020']},
+              body: 'a',
+            });
+            const [item] = instance.outbox.items;
+            assert.deepEqual(item.config.meta.parents, ['exports/2020']);
+            await instance.flushOutbox();
+            const done = events[events.length - 1].args[0];
+            assert.equal(done.status, 'done');
+            const names = folders().map((folder) => folder.name).sort();
+            assert.deepEqual(names, ['2020', 'exports']);
+            const file = server.files.get(done.result.id).resource;
+            const parent = server.files.get(file.parents[0]).resource;
+            assert.equal(parent.name, '2020');
+          });
+
+      it('Replays a save into a shared drive', async function() {
+        const drive = server.addDrive({name: 'Team'});
+        await instance._dataSaveHandler({sender}, 1, {
+          meta: {name: 'a.json'},
+          body: 'a',
+          driveId: drive.id,
+        });
+        const [item] = instance.outbox.items;
+        assert.isUndefined(item.config.meta.parents);
+        await instance.flushOutbox();
+        const done = events[events.length - 1].args[0];
+        assert.equal(done.status, 'done');
+        const file = server.files.get(done.result.id).resource;
+        assert.deepEqual(file.parents, [drive.id]);
+        assert.lengthOf(folders(), 0);
+      });
+    });
+
+    it('Adds the save ID to the created file', async function() {
+      await instance._dataSaveHandler({sender}, 1, {body: 'a'});
+      const [item] = instance.outbox.items;
+      instance.apiBase = server.baseUri;
+      await instance.flushOutbox();
+      const done = events[events.length - 1].args[0];
+      const entry = server.files.get(done.result.id);
+      assert.equal(entry.resource.appProperties.arcSaveId, item.config.saveId);
+    });
+
+    describe('Online state', function() {
+      let online;
+      let isOnline;
+      beforeEach(function() {
+        ({online, isOnline} = net);
+      });
+
+      afterEach(function() {
+        net.online = online;
+        net.isOnline = isOnline;
+      });
+
+      it('Does not replay saves when offline', async function() {
+        net.isOnline = () => false;
+        await instance._dataSaveHandler({sender}, 1, {body: 'a'});
+        instance.apiBase = server.baseUri;
+        await instance.flushOutbox();
+        assert.deepEqual(statuses(), ['queued']);
+        assert.lengthOf(server.requests, 0);
+      });
+
+      it('Replays saves when the online state is unknown', async function() {
+        delete net.online;
+        delete net.isOnline;
+        await instance._dataSaveHandler({sender}, 1, {body: 'a'});
+        instance.apiBase = server.baseUri;
+        await instance.flushOutbox();
+        assert.deepEqual(statuses(), ['queued', 'uploading', 'done']);
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const {DriveQuery} = require('../');
+const assert = require('chai').assert;
+
+describe('DriveQuery - main process', function() {
+  describe('toString()', function() {
+    it('Joins conditions with and', function() {
+      const result = new DriveQuery()
+          .name('test.json')
+          .parent('folder-id')
+          .trashed(false)
+          .toString();
+      assert.equal(result, 'name = \'test.json\' and ' +
+        '\'folder-id\' in parents and trashed = false');
+    });
+
+    it('Escapes quotes and backslashes', function() {
+      const result = new DriveQuery().nameContains('it\'s \\ ok').toString();
+      assert.equal(result, 'name contains \'it\\\'s \\\\ ok\'');
+    });
+
+    it('Matches any of the values', function() {
+      const result = new DriveQuery().mimeType(['a/b', 'c/d']).toString();
+      assert.equal(result, '(mimeType = \'a/b\' or mimeType = \'c/d\')');
+    });
+
+    it('Creates modified time range', function() {
+      const result = new DriveQuery()
+          .modifiedAfter(Date.UTC(2020, 0, 1))
+          .modifiedBefore('2020-02-01T00:00:00Z')
+          .toString();
+      assert.equal(result, 'modifiedTime > \'2020-01-01T00:00:00.000Z\' ' +
+        'and modifiedTime < \'2020-02-01T00:00:00.000Z\'');
+    });
+
+    it('Creates appProperties condition', function() {
+      const result = new DriveQuery().appProperty('project', 'a\'b')
+          .toString();
+      assert.equal(result,
+          'appProperties has { key=\'project\' and value=\'a\\\'b\' }');
+    });
+  });
+
+  describe('from()', function() {
+    it('Creates a query from conditions', function() {
+      const result = DriveQuery.from({
+        nameContains: 'export',
+        properties: {type: 'project'},
+        trashed: false,
+      }).toString();
+      assert.equal(result, 'name contains \'export\' and ' +
+        'properties has { key=\'type\' and value=\'project\' } and ' +
+        'trashed = false');
+    });
+
+    it('Throws for unknown condition', function() {
+      assert.throws(() => DriveQuery.from({q: 'name = \'a\''}),
+          'Unknown query condition q.');
+    });
+
+    it('Throws for invalid date', function() {
+      assert.throws(() => DriveQuery.from({modifiedAfter: 'yesterday'}),
+          'Invalid date yesterday.');
+    });
+
+    it('Throws for non-boolean trashed value', function() {
+      assert.throws(() => DriveQuery.from({trashed: 'false'}),
+          'Invalid trashed value false.');
+      assert.throws(() => new DriveQuery().trashed(1),
+          'Invalid trashed value 1.');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const {DriveSync} = require('../');
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveSync - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('DriveSync', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let directory;
+    let folder;
+    let sync;
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-sync-'));
+      folder = server.addFile({
+        name: 'workspace',
+        mimeType: 'application/vnd.google-apps.folder',
+      });
+      sync = new DriveSync(instance, {
+        directory,
+        folderId: folder.id,
+        auth,
+      });
+    });
+
+    afterEach(function() {
+      fs.readdirSync(directory).forEach((name) =>
+        fs.unlinkSync(path.join(directory, name)));
+      fs.rmdirSync(directory);
+    });
+
+    const write = (name, content) =>
+      fs.writeFileSync(path.join(directory, name), content);
+    const read = (name) =>
+      fs.readFileSync(path.join(directory, name), 'utf8');
+    const remote = (name) => Array.from(server.files.values())
+        .find((entry) => entry.resource.name === name &&
+          !entry.resource.trashed);
+
+    it('Uploads local files', async function() {
+      write('a.json', 'local');
+      const result = await sync.sync();
+      assert.deepEqual(result.uploaded, ['a.json']);
+      const entry = remote('a.json');
+      assert.equal(entry.content.toString(), 'local');
+      assert.deepEqual(entry.resource.parents, [folder.id]);
+    });
+
+    it('Downloads remote files', async function() {
+      server.addFile({name: 'a.json', parents: [folder.id]}, 'remote');
+      const result = await sync.sync();
+      assert.deepEqual(result.downloaded, ['a.json']);
+      assert.equal(read('a.json'), 'remote');
+    });
+
+    it('Ignores remote files with names outside the directory', async function() {
+      const names = ['..', '.', '../escape.json', '..\\escape.json',
+        'a\\b.json', 'a/b.json'];
+      names.forEach((name) =>
+        server.addFile({name, parents: [folder.id]}, 'hostile'));
+      const result = await sync.sync();
+      assert.deepEqual(result.downloaded, []);
+      assert.isFalse(fs.existsSync(path.join(directory, '..',
+          'escape.json')));
+      assert.deepEqual(fs.readdirSync(directory), ['.drive-sync.json']);
+    });
+
+    it('Ignores state entries with names outside the directory',
+        async function() {
+          await sync.sync();
+          const stateFile = path.join(directory, '.drive-sync.json');
+          const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+          const file = server.addFile({name: 'b.json', parents: [folder.id]},
+              'hostile');
+          state.files['../escape.json'] = {
+            id: file.id,
+            remoteMd5Checksum: file.md5Checksum,
+          };
+          fs.writeFileSync(stateFile, JSON.stringify(state));
+          await sync.sync();
+          assert.isFalse(fs.existsSync(path.join(directory, '..',
+              'escape.json')));
+        });
+
+    it('Rejects local paths outside the directory', function() {
+      assert.throws(() => sync._localPath('../escape.json'));
+      assert.throws(() => sync._localPath('..'));
+      assert.equal(sync._localPath('a.json'), path.join(directory, 'a.json'));
+    });
+
+    it('Does not transfer synced files again', async function() {
+      write('a.json', 'local');
+      await sync.sync();
+      const result = await sync.sync();
+      assert.deepEqual(result.uploaded, []);
+      assert.deepEqual(result.downloaded, []);
+    });
+
+    it('Pulls changes from the changes feed', async function() {
+      write('a.json', 'v1');
+      await sync.sync();
+      const entry = remote('a.json');
+      server._setContent(entry, 'v2');
+      const result = await sync.sync();
+      assert.deepEqual(result.downloaded, ['a.json']);
+      assert.equal(read('a.json'), 'v2');
+    });
+
+    it('Pushes local changes', async function() {
+      write('a.json', 'v1');
+      await sync.sync();
+      write('a.json', 'v2');
+      const result = await sync.sync();
+      assert.deepEqual(result.uploaded, ['a.json']);
+      assert.equal(remote('a.json').content.toString(), 'v2');
+    });
+
+    it('Stores revisions of synced files', async function() {
+      const file = server.addFile({name: 'a.json', parents: [folder.id]},
+          'remote');
+      write('b.json', 'local');
+      await sync.sync();
+      const state = JSON.parse(read('.drive-sync.json'));
+      assert.equal(state.files['a.json'].revision, file.headRevisionId);
+      assert.equal(state.files['a.json'].remoteRevision, file.headRevisionId);
+      const uploaded = remote('b.json').resource;
+      assert.equal(state.files['b.json'].revision, uploaded.headRevisionId);
+    });
+
+    it('Does not overwrite a file changed in Drive during the sync',
+        async function() {
+          write('a.json', 'v1');
+          await sync.sync();
+          write('a.json', 'v2');
+          const listChanges = instance.listChanges;
+          instance.listChanges = async function(...args) {
+            const result = await listChanges.apply(instance, args);
+            server._setContent(remote('a.json'), 'remote');
+            return result;
+          };
+          const result = await sync.sync();
+          assert.deepEqual(result.uploaded, []);
+          assert.deepEqual(result.conflicts, ['a.json']);
+          assert.equal(remote('a.json').content.toString(), 'remote');
+        });
+
+    it('Applies removals', async function() {
+      write('a.json', 'a');
+      write('b.json', 'b');
+      await sync.sync();
+      server.removeFile(remote('a.json').resource.id);
+      fs.unlinkSync(path.join(directory, 'b.json'));
+      const result = await sync.sync();
+      assert.deepEqual(result.removedLocal, ['a.json']);
+      assert.deepEqual(result.removedRemote, ['b.json']);
+      assert.isFalse(fs.existsSync(path.join(directory, 'a.json')));
+      assert.isUndefined(remote('b.json'));
+    });
+
+    describe('Missing directory', function() {
+      let workspace;
+      beforeEach(function() {
+        workspace = path.join(directory, 'workspace');
+        sync = new DriveSync(instance, {
+          directory: workspace,
+          folderId: folder.id,
+          stateFile: path.join(directory, 'state.json'),
+          auth,
+        });
+      });
+
+      afterEach(function() {
+        if (fs.existsSync(workspace)) {
+          fs.readdirSync(workspace).forEach((name) =>
+            fs.unlinkSync(path.join(workspace, name)));
+          fs.rmdirSync(workspace);
+        }
+      });
+
+      it('Creates the directory in the first sync', async function() {
+        server.addFile({name: 'a.json', parents: [folder.id]}, 'remote');
+        const result = await sync.sync();
+        assert.deepEqual(result.downloaded, ['a.json']);
+        assert.equal(fs.readFileSync(path.join(workspace, 'a.json'), 'utf8'),
+            'remote');
+      });
+
+      it('Fails when the synced directory is missing', async function() {
+        server.addFile({name: 'a.json', parents: [folder.id]}, 'remote');
+        await sync.sync();
+        fs.unlinkSync(path.join(workspace, 'a.json'));
+        fs.rmdirSync(workspace);
+        let error;
+        try {
+          await sync.sync();
+        } catch (e) {
+          error = e;
+        }
+        assert.equal(error.code, 'ENOENT');
+        assert.isDefined(remote('a.json'));
+      });
+    });
+
+    it('Reports conflicts', async function() {
+      write('a.json', 'v1');
+      await sync.sync();
+      server._setContent(remote('a.json'), 'remote');
+      write('a.json', 'local');
+      const conflicts = [];
+      sync.onConflict = (info) => {
+        conflicts.push(info);
+      };
+      const result = await sync.sync();
+      assert.deepEqual(result.conflicts, ['a.json']);
+      assert.equal(read('a.json'), 'local');
+      assert.equal(remote('a.json').content.toString(), 'remote');
+      assert.equal(conflicts[0].name, 'a.json');
+      assert.ok(conflicts[0].local.md5Checksum);
+      // The conflict is reported until it is resolved.
+      sync.onConflict = () => 'remote';
+      const next = await sync.sync();
+      assert.deepEqual(next.downloaded, ['a.json']);
+      assert.equal(read('a.json'), 'remote');
+    });
+  });
+});
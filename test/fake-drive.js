@@ -0,0 +1,38 @@
+const {DriveExport, FakeDriveServer} = require('../');
+
+/**
+ * Registers hooks that run `FakeDriveServer` for the current suite and
+ * create a new `DriveExport` instance connected to it before each test.
+ *
+ * The returned object has `auth`, `server` and `instance` properties.
+ * The `server` and `instance` are set when the hooks run.
+ *
+ * @return {Object}
+ */
+function useFakeDrive() {
+  const context = {
+    auth: {accessToken: 'test-token'},
+  };
+  before(async function() {
+    context.server = new FakeDriveServer({
+      accessToken: context.auth.accessToken,
+    });
+    await context.server.start();
+  });
+
+  after(async function() {
+    await context.server.stop();
+  });
+
+  beforeEach(function() {
+    context.server.reset();
+    context.instance = new DriveExport(Object.assign({
+      apiBase: context.server.baseUri,
+      folderCacheFile: false,
+      accountsFile: false,
+    }, DriveExport.arcDefaults));
+  });
+  return context;
+}
+
+module.exports.useFakeDrive = useFakeDrive;
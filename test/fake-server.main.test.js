@@ -0,0 +1,399 @@
+const {DriveExport, DriveError, FakeDriveServer} = require('../');
+const http = require('http');
+const assert = require('chai').assert;
+
+describe('DriveExport with FakeDriveServer - main process', function() {
+  const auth = {accessToken: 'test-token'};
+  let server;
+  let instance;
+  before(async function() {
+    server = new FakeDriveServer({accessToken: auth.accessToken});
+    await server.start();
+  });
+
+  after(async function() {
+    await server.stop();
+  });
+
+  beforeEach(function() {
+    server.reset();
+    instance = new DriveExport(Object.assign({
+      apiBase: server.baseUri,
+      folderCacheFile: false,
+      accountsFile: false,
+    }, DriveExport.arcDefaults));
+  });
+  describe('create()', function() {
+    it('Creates a file with content', async function() {
+      const result = await instance.create({
+        name: 'test.json',
+      }, {
+        mimeType: 'application/json',
+        body: '{"a":"b"}',
+      }, auth);
+      assert.typeOf(result.id, 'string');
+      assert.equal(result.name, 'test.json');
+      assert.equal(server.getContent(result.id).toString(), '{"a":"b"}');
+    });
+
+    it('Uploads content in chunks', async function() {
+      instance.chunkSize = 256 * 1024;
+      const body = Buffer.alloc(600 * 1024, 'a');
+      const progress = [];
+      const result = await instance.create({
+        name: 'large.json',
+      }, {
+        mimeType: 'application/json',
+        body,
+      }, auth, {
+        onProgress: (info) => progress.push(info.loaded),
+      });
+      assert.equal(server.getContent(result.id).length, body.length);
+      assert.deepEqual(progress, [262144, 524288, 614400]);
+    });
+
+    it('Creates parent folders', async function() {
+      const result = await instance.create({
+        name: 'test.json',
+        parents: ['test-folder'],
+      }, {
+        mimeType: 'application/json',
+        body: '{}',
+      }, auth);
+      assert.equal(result.parents[0].name, 'test-folder');
+      const folder = server.files.get(result.parents[0].id).resource;
+      assert.equal(folder.mimeType, 'application/vnd.google-apps.folder');
+      const file = server.files.get(result.id).resource;
+      assert.deepEqual(file.parents, [folder.id]);
+    });
+
+    it('Resolves a folders path', async function() {
+      const result = await instance.create({
+        name: 'test.json',
+        parents: ['ARC/exports/2026'],
+      }, {
+        mimeType: 'application/json',
+        body: '{}',
+      }, auth);
+      const folder = server.files.get(result.parents[0].id).resource;
+      assert.equal(folder.name, '2026');
+      const exports = server.files.get(folder.parents[0]).resource;
+      assert.equal(exports.name, 'exports');
+      const arc = server.files.get(exports.parents[0]).resource;
+      assert.equal(arc.name, 'ARC');
+      assert.deepEqual(arc.parents, ['root']);
+    });
+
+    it('Reuses existing folders', async function() {
+      const arc = server.addFile({
+        name: 'ARC',
+        mimeType: 'application/vnd.google-apps.folder',
+      });
+      const media = {
+        mimeType: 'application/json',
+        body: '{}',
+      };
+      const first = await instance.create({
+        name: 'a.json',
+        parents: ['ARC/exports'],
+      }, media, auth);
+      instance.cachedFolders = undefined;
+      const second = await instance.create({
+        name: 'b.json',
+        parents: ['ARC/exports'],
+      }, media, auth);
+      assert.equal(first.parents[0].id, second.parents[0].id);
+      const folders = Array.from(server.files.values()).filter((item) =>
+        item.resource.mimeType === 'application/vnd.google-apps.folder');
+      assert.lengthOf(folders, 2);
+      const exports = server.files.get(first.parents[0].id).resource;
+      assert.deepEqual(exports.parents, [arc.id]);
+    });
+
+    it('Uses cached folders', async function() {
+      instance.cachedFolders = [{
+        id: 'cached-id',
+        name: 'ARC',
+        parents: ['root'],
+      }];
+      const result = await instance.createParents(['ARC'], auth);
+      assert.deepEqual(result, [{id: 'cached-id', name: 'ARC'}]);
+      assert.lengthOf(server.requests, 0);
+    });
+
+    it('Resolves folders again when cached folder is removed',
+        async function() {
+          instance.cachedFolders = [{
+            id: 'removed-id',
+            name: 'ARC',
+            parents: ['root'],
+          }];
+          const result = await instance.create({
+            name: 'test.json',
+            parents: ['ARC'],
+          }, {
+            mimeType: 'application/json',
+            body: '{}',
+          }, auth);
+          assert.notEqual(result.parents[0].id, 'removed-id');
+          assert.isTrue(server.files.has(result.parents[0].id));
+          assert.isUndefined(instance.cachedFolders.find((item) =>
+            item.id === 'removed-id'));
+        });
+
+    it('Rejects when token is invalid', async function() {
+      let error;
+      try {
+        await instance.create({
+          name: 'test.json',
+        }, {
+          mimeType: 'application/json',
+          body: '{}',
+        }, {accessToken: 'other'});
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+  });
+
+  describe('update()', function() {
+    it('Updates file content', async function() {
+      const file = server.addFile({name: 'test.json'}, 'old');
+      const result = await instance.update(file.id, {
+        name: 'updated.json',
+      }, {
+        mimeType: 'application/json',
+        body: 'new',
+      }, auth);
+      assert.equal(result.id, file.id);
+      assert.equal(result.name, 'updated.json');
+      assert.equal(server.getContent(file.id).toString(), 'new');
+    });
+
+    it('Encodes the file ID', async function() {
+      const file = server.addFile({id: 'a/b', name: 'test.json'}, 'old');
+      await instance.update(file.id, {}, {
+        mimeType: 'application/json',
+        body: 'new',
+      }, auth);
+      assert.equal(server.getContent(file.id).toString(), 'new');
+    });
+  });
+
+  describe('getFile()', function() {
+    beforeEach(function() {
+      instance.auth = () => Promise.resolve(auth);
+    });
+
+    it('Downloads file content', async function() {
+      const file = server.addFile({name: 'test.json'}, '{"a":"b"}');
+      const result = await instance.getFile(file.id);
+      assert.equal(result, '{"a":"b"}');
+    });
+
+    it('Rejects when file does not exist', async function() {
+      let error;
+      try {
+        await instance.getFile('unknown');
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.status, 404);
+      assert.equal(error.reason, 'notFound');
+      assert.equal(error.operation, 'getFile');
+    });
+  });
+
+  describe('listFiles()', function() {
+    it('Lists files with the registered mime type', async function() {
+      server.addFile({
+        name: 'export.arc',
+        mimeType: DriveExport.arcDefaults.mime,
+      }, '{}');
+      server.addFile({name: 'other.json', mimeType: 'application/json'});
+      const result = await instance.listFiles({}, auth);
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].name, 'export.arc');
+    });
+  });
+
+  describe('_listAppFolders()', function() {
+    it('Lists folders', async function() {
+      await instance.createFolder('test-folder', auth);
+      const result = await instance._listAppFolders(auth);
+      assert.lengthOf(result.files, 1);
+      assert.equal(result.files[0].name, 'test-folder');
+    });
+  });
+
+  describe('_request()', function() {
+    beforeEach(function() {
+      instance.retryDelay = 1;
+    });
+
+    it('Repeats request after 503 response', async function() {
+      const file = server.addFile({name: 'test.json'}, 'test');
+      server.failNext(503);
+      const result = await instance.getFile(file.id, auth);
+      assert.equal(result, 'test');
+      assert.lengthOf(server.requests, 2);
+    });
+
+    it('Repeats request after 429 response', async function() {
+      server.failNext(429, {
+        count: 2,
+        headers: {'retry-after': '0'},
+      });
+      const result = await instance.listFiles({}, auth);
+      assert.deepEqual(result, []);
+      assert.lengthOf(server.requests, 3);
+    });
+
+    it('Rejects when maxRetries is reached', async function() {
+      instance.maxRetries = 1;
+      server.failNext(500, {count: 2});
+      let error;
+      try {
+        await instance.listFiles({}, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.status, 500);
+      assert.lengthOf(server.requests, 2);
+    });
+
+    it('Renews invalid token and repeats the request', async function() {
+      const file = server.addFile({name: 'test.json'}, 'test');
+      let invalidated = false;
+      instance.auth = () => Promise.resolve({
+        accessToken: invalidated ? auth.accessToken : 'expired-token',
+      });
+      instance._invalidateAuth = () => {
+        invalidated = true;
+        return Promise.resolve(true);
+      };
+      const result = await instance.getFile(file.id);
+      assert.equal(result, 'test');
+      assert.isTrue(invalidated);
+    });
+
+    it('Does not repeat 401 request for passed token', async function() {
+      let error;
+      try {
+        await instance.listFiles({}, {accessToken: 'other'});
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.status, 401);
+      assert.lengthOf(server.requests, 1);
+    });
+
+    it('Rejects non-JSON response body with DriveError', async function() {
+      const file = server.addFile({name: 'test.json'}, '<html></html>');
+      let error;
+      try {
+        await instance.getFile(file.id, auth, {responseType: 'json'});
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, DriveError);
+      assert.equal(error.reason, 'invalidResponse');
+      assert.equal(error.operation, 'getFile');
+    });
+
+    it('Rejects when the response is interrupted', async function() {
+      const other = http.createServer((req, res) => {
+        res.writeHead(200, {
+          'content-type': 'application/json',
+          'content-length': '100',
+        });
+        res.write('{"files":');
+        setTimeout(() => res.socket.destroy(), 20);
+      });
+      await new Promise((resolve) => other.listen(0, '127.0.0.1', resolve));
+      instance.apiBase = `http://127.0.0.1:${other.address().port}`;
+      let error;
+      try {
+        await instance.listFiles({}, auth);
+      } catch (e) {
+        error = e;
+      } finally {
+        await new Promise((resolve) => other.close(resolve));
+      }
+      assert.instanceOf(error, DriveError);
+      assert.equal(error.domain, 'network');
+      assert.equal(error.operation, 'listFiles');
+    });
+
+    it('Encodes the file ID', async function() {
+      const file = server.addFile({id: 'a/b', name: 'test.json'}, 'test');
+      const result = await instance.getFile(file.id, auth);
+      assert.equal(result, 'test');
+    });
+  });
+
+  describe('_listAppFoldersHandler()', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let cacheFile;
+    let results;
+    let sender;
+
+    beforeEach(function() {
+      cacheFile = path.join(os.tmpdir(),
+          `drive-folders-${Date.now()}-${Math.random()}.json`);
+      instance.folderCacheFile = cacheFile;
+      instance.auth = () => Promise.resolve(auth);
+      results = [];
+      sender = {
+        send: (type, id, result) => results.push(result),
+      };
+      server.addFile({
+        name: 'ARC',
+        mimeType: 'application/vnd.google-apps.folder',
+      });
+    });
+
+    afterEach(function() {
+      if (fs.existsSync(cacheFile)) {
+        fs.unlinkSync(cacheFile);
+      }
+    });
+
+    it('Serves folders from the cache', async function() {
+      await instance._listAppFoldersHandler({sender}, 1);
+      await instance._listAppFoldersHandler({sender}, 2);
+      assert.lengthOf(server.requests, 1);
+      assert.deepEqual(results[0], results[1]);
+      assert.equal(results[0][0].name, 'ARC');
+    });
+
+    it('Reads folders again when refresh is set', async function() {
+      await instance._listAppFoldersHandler({sender}, 1);
+      await instance._listAppFoldersHandler({sender}, 2, {refresh: true});
+      assert.lengthOf(server.requests, 2);
+    });
+
+    it('Reads folders again when the cache expires', async function() {
+      instance.folderCacheTtl = 0;
+      await instance._listAppFoldersHandler({sender}, 1);
+      await instance._listAppFoldersHandler({sender}, 2);
+      assert.lengthOf(server.requests, 2);
+    });
+
+    it('Restores the cache from the cache file', async function() {
+      await instance._listAppFoldersHandler({sender}, 1);
+      await instance._storeFolderCache();
+      const other = new DriveExport({
+        apiBase: server.baseUri,
+        folderCacheFile: cacheFile,
+        accountsFile: false,
+      });
+      await other._listAppFoldersHandler({sender}, 2);
+      assert.lengthOf(server.requests, 1);
+      assert.deepEqual(results[1], results[0]);
+    });
+  });
+});
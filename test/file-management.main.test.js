@@ -0,0 +1,88 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport file management - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('File management', function() {
+    const folderMime = 'application/vnd.google-apps.folder';
+    let folder;
+    let child;
+    let file;
+    beforeEach(function() {
+      folder = server.addFile({name: 'Folder', mimeType: folderMime});
+      child = server.addFile({name: 'Child', mimeType: folderMime,
+        parents: [folder.id]});
+      file = server.addFile({name: 'test.json', parents: [child.id]}, 'v1');
+      instance.cachedFolders = [folder, child].map((item) => ({
+        id: item.id,
+        name: item.name,
+        parents: item.parents,
+      }));
+    });
+
+    it('Renames a folder in the cache', async function() {
+      const result = await instance.rename(folder.id, 'Renamed', auth);
+      assert.equal(result.name, 'Renamed');
+      assert.equal(instance.cachedFolders[0].name, 'Renamed');
+    });
+
+    it('Rejects empty name', async function() {
+      let error;
+      try {
+        await instance.rename(file.id, '', auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidName');
+      assert.lengthOf(server.requests, 0);
+    });
+
+    it('Moves a file', async function() {
+      const result = await instance.move(file.id, folder.id, auth);
+      assert.deepEqual(result.parents, [folder.id]);
+      const url = server.requests[server.requests.length - 1].url;
+      assert.include(url, `addParents=${folder.id}`);
+      assert.include(url, `removeParents=${child.id}`);
+    });
+
+    it('Moves a folder in the cache', async function() {
+      await instance.move(child.id, 'root', auth);
+      assert.deepEqual(instance.cachedFolders[1].parents, ['root']);
+    });
+
+    it('Copies a file', async function() {
+      const result = await instance.copy(file.id, {name: 'copy.json'}, auth);
+      assert.notEqual(result.id, file.id);
+      assert.equal(result.name, 'copy.json');
+      assert.deepEqual(result.parents, [child.id]);
+      assert.equal(server.getContent(result.id).toString(), 'v1');
+    });
+
+    it('Trashes and restores a folder', async function() {
+      const trashed = await instance.trash(folder.id, auth);
+      assert.isTrue(trashed.trashed);
+      assert.deepEqual(instance.cachedFolders, []);
+      const restored = await instance.untrash(folder.id, auth);
+      assert.isFalse(restored.trashed);
+      assert.deepEqual(instance.cachedFolders.map((item) => item.id),
+          [folder.id]);
+    });
+
+    it('Deletes a folder', async function() {
+      const result = await instance.delete(child.id, auth);
+      assert.isTrue(result);
+      assert.isFalse(server.files.has(child.id));
+      assert.isFalse(server.files.has(file.id));
+      assert.deepEqual(instance.cachedFolders.map((item) => item.id),
+          [folder.id]);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport launch - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('handleLaunch()', function() {
+    it('Downloads files to open', async function() {
+      const file = server.addFile({name: 'a.arc'}, '{"a":1}');
+      const events = [];
+      const webContents = {
+        send: (type, data) => events.push({type, data}),
+      };
+      const state = JSON.stringify({ids: [file.id], action: 'open'});
+      const result = await instance.handleLaunch(
+          `arc://drive?state=${encodeURIComponent(state)}`, webContents, {
+            auth,
+            responseType: 'json',
+          });
+      assert.equal(result.action, 'open');
+      assert.equal(result.files[0].name, 'a.arc');
+      assert.deepEqual(result.files[0].content, {a: 1});
+      assert.equal(result.files[0].version.md5Checksum, file.md5Checksum);
+      assert.equal(events[0].type, 'google-drive-open-request');
+      assert.deepEqual(events[0].data, result);
+    });
+
+    it('Returns the folder to create a file in', async function() {
+      const state = JSON.stringify({folderId: 'folder-1', action: 'create'});
+      const result = await instance.handleLaunch(`--state=${state}`);
+      assert.equal(result.action, 'create');
+      assert.equal(result.folderId, 'folder-1');
+      assert.lengthOf(server.requests, 0);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport revisions - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Revisions', function() {
+    let file;
+    let first;
+    beforeEach(async function() {
+      file = server.addFile({name: 'test.json'}, 'v1');
+      first = file.headRevisionId;
+      await instance.update(file.id, {}, {
+        mimeType: 'application/json',
+        body: 'v2',
+      }, auth);
+    });
+
+    it('Lists revisions', async function() {
+      const result = await instance.listRevisions(file.id, auth);
+      assert.lengthOf(result, 2);
+      assert.equal(result[0].id, first);
+      assert.equal(result[1].id, server.files.get(file.id).resource
+          .headRevisionId);
+    });
+
+    it('Downloads a revision', async function() {
+      const result = await instance.getRevision(file.id, first, auth);
+      assert.equal(result, 'v1');
+    });
+
+    it('Restores a revision', async function() {
+      await instance.restoreRevision(file.id, first, auth);
+      assert.equal(server.getContent(file.id).toString(), 'v1');
+      const result = await instance.listRevisions(file.id, auth);
+      assert.lengthOf(result, 3);
+    });
+
+    it('Keeps a revision forever', async function() {
+      const result = await instance.keepRevision(file.id, first, true, auth);
+      assert.isTrue(result.keepForever);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const {DriveQuery} = require('../');
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport search - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('search()', function() {
+    beforeEach(function() {
+      server.addFile({name: 'it\'s a test.json', mimeType: 'text/plain',
+        appProperties: {project: 'arc'}});
+      server.addFile({name: 'other.json', appProperties: {project: 'x'}});
+      server.addFile({name: 'third.json', appProperties: {project: 'arc'}});
+    });
+
+    it('Searches with a query object', async function() {
+      const result = await instance.search({
+        nameContains: 'it\'s',
+        appProperties: {project: 'arc'},
+      }, {}, auth);
+      assert.lengthOf(result.files, 1);
+      assert.equal(result.files[0].name, 'it\'s a test.json');
+      assert.isUndefined(result.nextPageToken);
+    });
+
+    it('Reads pages of the results', async function() {
+      const query = new DriveQuery().appProperty('project', 'arc');
+      const opts = {pageSize: 1, orderBy: 'name', fields: ['id', 'name']};
+      const first = await instance.search(query, opts, auth);
+      assert.equal(first.files[0].name, 'it\'s a test.json');
+      const second = await instance.search(query, Object.assign({
+        pageToken: first.nextPageToken,
+      }, opts), auth);
+      assert.equal(second.files[0].name, 'third.json');
+      assert.isUndefined(second.nextPageToken);
+      const url = server.requests[server.requests.length - 1].url;
+      assert.include(url, 'fields=nextPageToken%2Cfiles(id%2Cname)');
+    });
+
+    it('Rejects invalid query', async function() {
+      let error;
+      try {
+        await instance.search({q: 'trashed = true'}, {}, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidQuery');
+      assert.lengthOf(server.requests, 0);
+    });
+  });
+});
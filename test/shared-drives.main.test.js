@@ -0,0 +1,101 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport shared drives - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Shared drives', function() {
+    let drive;
+    beforeEach(function() {
+      drive = server.addDrive({name: 'Team'});
+    });
+
+    it('Lists shared drives', async function() {
+      const result = await instance.listSharedDrives(auth);
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].id, drive.id);
+      assert.equal(result[0].name, 'Team');
+    });
+
+    it('Creates a file in the root of a shared drive', async function() {
+      const result = await instance.create({name: 'test.json'}, {
+        mimeType: 'application/json',
+        body: '{}',
+      }, auth, {driveId: drive.id});
+      assert.deepEqual(result.parents, [drive.id]);
+      assert.equal(result.driveId, drive.id);
+    });
+
+    it('Resolves folder paths in a shared drive', async function() {
+      server.addFile({
+        name: 'exports',
+        mimeType: 'application/vnd.google-apps.folder',
+      });
+      const result = await instance.create({
+        name: 'test.json',
+        parents: ['exports/2020'],
+      }, {
+        mimeType: 'application/json',
+        body: '{}',
+      }, auth, {driveId: drive.id});
+      const folder = server.files.get(result.parents[0].id).resource;
+      assert.equal(folder.driveId, drive.id);
+      const parent = server.files.get(folder.parents[0]).resource;
+      assert.equal(parent.name, 'exports');
+      assert.deepEqual(parent.parents, [drive.id]);
+    });
+
+    it('Does not cache folders of a shared drive', async function() {
+      await instance.create({
+        name: 'test.json',
+        parents: ['exports'],
+      }, {
+        mimeType: 'application/json',
+        body: '{}',
+      }, auth, {driveId: drive.id});
+      const folders = instance._folderCache(auth).folders || [];
+      assert.lengthOf(folders, 0);
+    });
+
+    it('Lists and reads files of a shared drive', async function() {
+      const file = server.addFile({
+        name: 'test.json',
+        mimeType: 'application/json',
+        parents: [drive.id],
+      }, '{"a":1}');
+      server.addFile({name: 'other.json', mimeType: 'application/json'});
+      const files = await instance.listFiles({
+        driveId: drive.id,
+        mimeType: false,
+      }, auth);
+      assert.deepEqual(files.map((item) => item.id), [file.id]);
+      const own = await instance.listFiles({mimeType: false}, auth);
+      assert.deepEqual(own.map((item) => item.name), ['other.json']);
+      const content = await instance.getFile(file.id, auth);
+      assert.equal(content, '{"a":1}');
+      await instance.update(file.id, {}, {
+        mimeType: 'application/json',
+        body: '{"a":2}',
+      }, auth);
+      assert.equal(server.getContent(file.id).toString(), '{"a":2}');
+    });
+
+    it('Lists changes of a shared drive', async function() {
+      const token = await instance.getChangesStartToken(auth,
+          {driveId: drive.id});
+      const file = server.addFile({name: 'test.json', parents: [drive.id]},
+          'v1');
+      server.addFile({name: 'other.json'}, 'v1');
+      const result = await instance.listChanges(token, auth,
+          {driveId: drive.id});
+      assert.deepEqual(result.changes.map((item) => item.fileId), [file.id]);
+    });
+  });
+});
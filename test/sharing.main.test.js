@@ -0,0 +1,81 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport sharing - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Sharing', function() {
+    let file;
+    beforeEach(function() {
+      file = server.addFile({name: 'test.json'}, 'v1');
+    });
+
+    it('Shares a file with a user', async function() {
+      const result = await instance.share(file.id, {
+        type: 'user',
+        role: 'writer',
+        emailAddress: 'user@example.com',
+      }, auth, {sendNotificationEmail: false, emailMessage: 'test'});
+      assert.equal(result.role, 'writer');
+      assert.equal(result.emailAddress, 'user@example.com');
+      const url = server.requests[server.requests.length - 1].url;
+      assert.include(url, 'sendNotificationEmail=false');
+      assert.notInclude(url, 'emailMessage');
+    });
+
+    it('Rejects invalid permission', async function() {
+      let error;
+      try {
+        await instance.share(file.id, {type: 'user', role: 'writer'}, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidPermission');
+      assert.lengthOf(server.requests, 0);
+    });
+
+    it('Rejects owner role', async function() {
+      let error;
+      try {
+        await instance.share(file.id, {
+          type: 'domain',
+          role: 'owner',
+          domain: 'example.com',
+        }, auth);
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.reason, 'invalidPermission');
+    });
+
+    it('Creates a link', async function() {
+      const result = await instance.shareLink(file.id, auth);
+      assert.equal(result.link, file.webViewLink);
+      assert.equal(result.permission.type, 'anyone');
+      assert.equal(result.permission.role, 'reader');
+      assert.isFalse(result.permission.allowFileDiscovery);
+    });
+
+    it('Lists and revokes permissions', async function() {
+      const permission = await instance.share(file.id, {
+        type: 'domain',
+        role: 'reader',
+        domain: 'example.com',
+      }, auth);
+      let result = await instance.listPermissions(file.id, auth);
+      assert.deepEqual(result.map((item) => item.role), ['owner', 'reader']);
+      const revoked = await instance.revokePermission(file.id, permission.id,
+          auth);
+      assert.isTrue(revoked);
+      result = await instance.listPermissions(file.id, auth);
+      assert.lengthOf(result, 1);
+    });
+  });
+});
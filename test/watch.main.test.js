@@ -0,0 +1,89 @@
+const assert = require('chai').assert;
+const {useFakeDrive} = require('./fake-drive');
+
+describe('DriveExport watching changes - main process', function() {
+  const drive = useFakeDrive();
+  const {auth} = drive;
+  let server;
+  let instance;
+  beforeEach(function() {
+    server = drive.server;
+    instance = drive.instance;
+  });
+
+  describe('Watching changes', function() {
+    let file;
+    beforeEach(function() {
+      instance.watchInterval = 10;
+      file = server.addFile({name: 'a.json'}, 'v1');
+    });
+
+    afterEach(function() {
+      Object.keys(instance._watches).forEach((key) => {
+        const watch = instance._watches[key];
+        clearTimeout(watch.timer);
+        watch.stopped = true;
+      });
+    });
+
+    const waitFor = async (test) => {
+      for (let i = 0; i < 100 && !test(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    };
+
+    it('Notifies about file changes', async function() {
+      const changes = [];
+      await instance.watch(file.id, auth, (info) => changes.push(info));
+      server._setContent(server.files.get(file.id), 'v2');
+      await waitFor(() => changes.length);
+      assert.equal(changes[0].id, file.id);
+      assert.equal(changes[0].fileId, file.id);
+      assert.isFalse(changes[0].removed);
+      assert.equal(changes[0].file.md5Checksum,
+          server.files.get(file.id).resource.md5Checksum);
+    });
+
+    it('Notifies about changes in a folder', async function() {
+      const folder = server.addFile({
+        name: 'ARC',
+        mimeType: 'application/vnd.google-apps.folder',
+      });
+      const changes = [];
+      await instance.watch(folder.id, auth, (info) => changes.push(info));
+      const child = server.addFile({name: 'b.json', parents: [folder.id]});
+      await waitFor(() => changes.length);
+      assert.equal(changes[0].id, folder.id);
+      assert.equal(changes[0].fileId, child.id);
+    });
+
+    it('Stops checking for changes when unwatched', async function() {
+      const listener = () => {};
+      await instance.watch(file.id, auth, listener);
+      instance.unwatch(file.id, auth, listener);
+      assert.deepEqual(instance._watches, {});
+    });
+
+    it('Sends changes to the renderer', async function() {
+      const events = [];
+      let destroyed;
+      const sender = {
+        id: 1,
+        send: (type, ...args) => events.push({type, args}),
+        once: (type, fn) => {
+          destroyed = fn;
+        },
+        isDestroyed: () => false,
+      };
+      instance.auth = () => Promise.resolve(auth);
+      await instance._watchHandler({sender}, 1, file.id);
+      assert.equal(events[0].type, 'google-drive-operation-result');
+      server._setContent(server.files.get(file.id), 'v2');
+      await waitFor(() => events.length > 1);
+      assert.equal(events[1].type, 'google-drive-file-changed');
+      assert.equal(events[1].args[0].fileId, file.id);
+      destroyed();
+      assert.deepEqual(instance._watches, {});
+    });
+  });
+});